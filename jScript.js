@@ -1,128 +1,131 @@
-// --- Global variables to hold instances for cleanup ---
-let artInstance = null;
-let resizeObserverInstance = null;
-let resizeHandler = null;
-let tempData = {};
-let languageCode = 'en'; // Default language code, can be overridden
-let currentAdRegion = null; // Track which ad region we're currently in
-let pendingAdType = null; // Track which ad type is pending during countdown
-/**
- * @function destroyApp
- * @description Destroys the ArtPlayer instance, removes dynamically added styles,
- * and cleans up event listeners to prevent memory leaks and element duplication
- * when re-initializing the player.
- */
-let sData = {
-    databaseName: "",
-    _id: '',
-    startTime: "",
-    endTime: "",
-    totalTime: "",
-};
-let eData = {
-    databaseName: "",
-    _id: '',
-    startTime: "",
-    endTime: "",
-    totalTime: "",
-};
+// --- Shared configuration ---
+// Player state (Artplayer instance, observers, timers, markers, ad tracking) lives on
+// each RebaPlayer instance so several players can coexist on one page.
+const DEFAULT_AD_URLS = ["https://video.wixstatic.com/video/d7f9fb_e09d55d52f0e427c9891189606b4925b/1080p/mp4/file.mp4", "https://video.wixstatic.com/video/d7f9fb_fbbc3d184a5c4ff284da54cb2e72c453/1080p/mp4/file.mp4", "https://video.wixstatic.com/video/d7f9fb_08949df5483a4b1dbe9d36d7451994e9/1080p/mp4/file.mp4"];
 
 
 /**
- * @function cleanupCompletedMovies
- * @description Removes completed movies/episodes from localStorage continue watching list
- * based on completion criteria (>90% watched or watched past endTime for final episodes)
+ * @class CompletionPolicy
+ * @description The single place that decides when a movie or episode counts as watched, used by the cleanup pass,
+ * live playback and the episode history. An item is finished once its watched percentage passes the threshold for
+ * its kind (movie, episode or final episode), or once playback passes `time.endTime`, where the credits start.
+ * Items without progress data are never finished, to be safe.
+ * @param {Object} [rules]
+ * @param {number} [rules.movieThreshold=90] - Percentage after which a movie (type 'M') is finished.
+ * @param {number} [rules.episodeThreshold=90] - Percentage after which an episode is finished.
+ * @param {number} [rules.finalEpisodeThreshold=90] - Percentage after which the final episode of a series is finished.
+ * @param {boolean} [rules.creditsComplete=true] - Whether passing `time.endTime` finishes an item regardless of percentage.
+ * @param {boolean} [rules.removeFinishedEpisodes=true] - Whether a finished non-final episode takes its series off the
+ *        continue-watching list (it comes back as soon as the next episode is played).
  */
-function cleanupCompletedMovies() {
-    const CONTINUE_WATCHING_KEY = 'continuewatching';
-
-    try {
-        const savedData = localStorage.getItem(CONTINUE_WATCHING_KEY);
-        if (!savedData) {
-            //console.log("No continue watching data found in localStorage");
-            return;
-        }
-
-        let continueWatchingList = JSON.parse(savedData);
-        if (!Array.isArray(continueWatchingList)) {
-            //console.log("Invalid continue watching data format");
-            return;
-        }
-
-        //console.log(`Found ${continueWatchingList.length} items in continue watching list`);
-
-        // Filter out completed movies/episodes
-        const filteredList = continueWatchingList.filter(item => {
-            // Ensure required properties exist
-            if (!item.continueWatching || typeof item.continueWatching.inPercentage !== 'number') {
-                //console.warn("Item missing continueWatching data:", item.episodeId || item.movieId);
-                return true; // Keep items with incomplete data for safety
-            }
-
-            const percentage = item.continueWatching.inPercentage;
-            const watchedMinutes = item.continueWatching.inMinutes || 0;
-            const endTime = item.time?.endTime ? parseInt(item.time.endTime, 10) : null;
-            const type = item.type;
-            const partName = item.partName;
-
-            // Check completion criteria
-            const isOverNinetyPercent = percentage > 90;
-            const isWatchedPastEndTime = endTime && watchedMinutes > endTime;
-
-            // For Movies (type 'M')
-            if (type === 'M') {
-                if (isOverNinetyPercent || isWatchedPastEndTime) {
-                    //console.log(`Removing completed movie: ${item.title} (${percentage}% watched)`);
-                    return false; // Remove this item
-                }
-            }
-
-            // For Series/Episodes (type 'S')
-            if (type === 'S') {
-                // Check if it's a final episode/part
-                const isFinalPart = partName && partName.toLowerCase().includes('final');
-
-                if (isFinalPart && (isOverNinetyPercent || isWatchedPastEndTime)) {
-                    //console.log(`Removing completed final episode: ${item.title} - ${partName} (${percentage}% watched)`);
-                    return false; // Remove this item
-                }
-
-                // For non-final episodes, also remove if >90% to avoid clutter
-                // You can comment this out if you want to keep non-final episodes
-                if (isOverNinetyPercent || isWatchedPastEndTime) {
-                    //console.log(`Removing completed episode: ${item.title} - EP${item.episode || ''}${partName || ''} (${percentage}% watched)`);
-                    return false; // Remove this item
-                }
-            }
-
-            return true; // Keep this item
-        });
+class CompletionPolicy {
+    constructor({ movieThreshold = 90, episodeThreshold = 90, finalEpisodeThreshold = 90, creditsComplete = true, removeFinishedEpisodes = true } = {}) {
+        this.rules = { movieThreshold, episodeThreshold, finalEpisodeThreshold, creditsComplete, removeFinishedEpisodes };
+    }
 
-        const removedCount = continueWatchingList.length - filteredList.length;
+    /**
+     * @method isFinalEpisode
+     * @description Whether an episode ends its series. Live playback knows (no next episode); stored entries fall back
+     * to a partName containing "final".
+     * @param {Object} item
+     * @param {boolean} [final] - Known answer, if any.
+     */
+    isFinalEpisode(item, final) {
+        if (typeof final === 'boolean') return final;
+        return Boolean(item.partName && item.partName.toLowerCase().includes('final'));
+    }
 
-        if (removedCount > 0) {
-            //console.log(`Removed ${removedCount} completed items from continue watching list`);
-            localStorage.setItem(CONTINUE_WATCHING_KEY, JSON.stringify(filteredList));
-        } else {
-            //console.log("No completed items found to remove");
-        }
+    /**
+     * @method isFinished
+     * @param {Object} item - A movie/episode with `continueWatching` ({ inMinutes (seconds watched), inPercentage }).
+     * @param {Object} [context]
+     * @param {boolean} [context.final] - Whether this is the series' final episode, when known.
+     * @returns {boolean}
+     */
+    isFinished(item, { final } = {}) {
+        const progress = item.continueWatching;
+        if (!progress || typeof progress.inPercentage !== 'number') return false;
+        const threshold = item.type === 'M'
+            ? this.rules.movieThreshold
+            : this.isFinalEpisode(item, final) ? this.rules.finalEpisodeThreshold : this.rules.episodeThreshold;
+        if (progress.inPercentage > threshold) return true;
+        const creditsStart = this.rules.creditsComplete && item.time?.endTime ? parseInt(item.time.endTime, 10) : null;
+        return Boolean(creditsStart) && (progress.inMinutes || 0) > creditsStart;
+    }
 
+    /**
+     * @method shouldRemove
+     * @description Whether a continue-watching entry should leave the list: finished movies and final episodes,
+     * and other finished episodes unless `removeFinishedEpisodes` is off.
+     * @param {Object} item
+     * @param {Object} [context] - As for isFinished.
+     * @returns {boolean}
+     */
+    shouldRemove(item, context = {}) {
+        if (!this.isFinished(item, context)) return false;
+        return item.type === 'M' || this.isFinalEpisode(item, context.final) || this.rules.removeFinishedEpisodes;
+    }
+}
+/**
+ * @function cleanupCompletedMovies
+ * @description Removes completed movies/episodes from the continue watching list
+ * @param {ProgressStore} store - The store holding the list.
+ * @param {CompletionPolicy} policy - Decides what is completed.
+ * @returns {Promise<void>}
+ */
+async function cleanupCompletedMovies(store, policy) {
+    try {
+        await store.removeWhere(item => policy.shouldRemove(item));
     } catch (error) {
-        console.error("Error cleaning up completed movies from localStorage:", error);
+        console.error("Error cleaning up completed movies from the continue watching list:", error);
     }
 }
+const PROGRESS_CLOCK_SKEW = 2 * 60 * 1000; // Updates this close together are treated as simultaneous
+/**
+ * @function compareProgress
+ * @description Orders two progress records by how far along the title they are (season, episode, then minutes).
+ * @returns {number} Positive when `a` is further along, negative when `b` is, 0 when level.
+ */
+function compareProgress(a, b) {
+    const positionA = a.position || {};
+    const positionB = b.position || {};
+    return (positionA.seasonIndex ?? 0) - (positionB.seasonIndex ?? 0)
+        || (positionA.episodeIndex ?? 0) - (positionB.episodeIndex ?? 0)
+        || (a.continueWatching?.inMinutes || 0) - (b.continueWatching?.inMinutes || 0);
+}
+/**
+ * @function resolveProgressConflict
+ * @description Picks the progress to resume from when this device and the server disagree: the most recently
+ * updated record wins, unless both were updated within PROGRESS_CLOCK_SKEW, then the furthest-watched one does.
+ * @param {Object|null} local - The record from the ProgressStore.
+ * @param {Object|null} remote - The record from the server (see ProgressSync).
+ * @returns {Object|null} The winning record.
+ */
+function resolveProgressConflict(local, remote) {
+    if (!local || !remote) return local || remote || null;
+    const localTime = local.updatedAt || 0;
+    const remoteTime = remote.updatedAt || 0;
+    if (Math.abs(localTime - remoteTime) > PROGRESS_CLOCK_SKEW) return localTime > remoteTime ? local : remote;
+    return compareProgress(local, remote) >= 0 ? local : remote;
+}
+const PROGRESS_REPORT_INTERVAL = 60000; // Longest a web host waits to hear about progress within the same episode
 /**
  * @function mergeSavedWithFreshEpisode
- * @description Merges saved episode data with fresh API data while preserving continueWatching info
- * @param {Object} savedEpisode - The saved episode data from localStorage (without video links)
+ * @description Merges saved episode data with fresh API data while preserving continueWatching info.
+ * When both a local and a remote record exist for the episode, resolveProgressConflict decides which one to keep.
+ * @param {Object} savedEpisode - The saved episode data from the ProgressStore (without video links)
  * @param {Object} freshEpisode - The fresh episode data from API (with video links)
+ * @param {Object} [remoteProgress] - The title's progress from the server, if synced
  * @returns {Object} Merged episode data with fresh metadata and preserved continue watching
  */
-const mergeSavedWithFreshEpisode = (savedEpisode, freshEpisode) => {
-    if (!savedEpisode || !freshEpisode) return freshEpisode;
+const mergeSavedWithFreshEpisode = (savedEpisode, freshEpisode, remoteProgress = null) => {
+    if (!freshEpisode) return freshEpisode;
+    const forThisEpisode = (record) => record && record.episodeId === freshEpisode.episodeId ? record : null;
+    const progress = resolveProgressConflict(forThisEpisode(savedEpisode), forThisEpisode(remoteProgress));
+    if (!progress) return freshEpisode;
 
-    // Preserve continue watching data from saved episode
-    const preservedContinueWatching = savedEpisode.continueWatching || {
+    // Preserve continue watching data from the winning record
+    const preservedContinueWatching = progress.continueWatching || {
         inMinutes: 0,
         inPercentage: 0
     };
@@ -134,77 +137,19 @@ const mergeSavedWithFreshEpisode = (savedEpisode, freshEpisode) => {
         continueWatching: preservedContinueWatching // Preserved watching progress
     };
 };
-// Function to handle keypress events for S and E keys
-async function saveMovieData(sData, eData) {
-    // Save the movie data to the global savingData object
-    if (sData._id == eData._id) {
-        const response = await fetch("https://api.rebamovie.com/updateAnalytics", {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                "databaseName": eData.databaseName,
-                "_id": eData._id,
-                "startTime": sData.startTime,
-                "endTime": eData.endTime,
-                "totalTime": eData.totalTime,
-                "userId": window.userId
-            })
-        });
-        const data = await response.json();
-        if (data.success === true) {
-            const event = new CustomEvent('playerAction', {
-                detail: {
-                    action: 'saveTime',
-                    data: {
-                        databaseName: eData.databaseName,
-                        _id: eData._id,
-                        startTime: sData.startTime,
-                        endTime: eData.endTime,
-                        totalTime: eData.totalTime,
-                    }
-                }
-            });
-            document.dispatchEvent(event); // dispatch globally
-        }
-    }
-}
-function handleKeyPress(event) {
-    // Convert to lowercase to handle both upper and lower case
-    const key = event.key.toLowerCase();
-    function formatSecondsToHHMMSS(inputSeconds) {
-        const totalSeconds = Math.floor(Number(inputSeconds)); // Convert to number and remove any decimals
-        const hours = Math.floor(totalSeconds / 3600);
-        const minutes = Math.floor((totalSeconds % 3600) / 60);
-        const seconds = totalSeconds % 60;
-        const pad = (num) => String(num).padStart(2, '0');
-        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
-    }
-    switch (key) {
-        case 's':
-            // Add your logic for S key here
-            sData = {
-                databaseName: tempData.type == "S" ? "Season" + (Number(tempData.position.seasonIndex) + 1) : "Items",
-                _id: tempData.episodeId,
-                startTime: artInstance.currentTime,
-                endTime: 0,
-                totalTime: formatSecondsToHHMMSS(artInstance.duration),
-            };
-            break;
-        case 'e':
-            // Add your logic for E key here
-            eData = {
-                databaseName: tempData.type == "S" ? "Season" + (Number(tempData.position.seasonIndex) + 1) : "Items",
-                _id: tempData.episodeId,
-                startTime: 0,
-                endTime: artInstance.currentTime,
-                totalTime: formatSecondsToHHMMSS(artInstance.duration),
-            };
-            saveMovieData(sData, eData);
-            break;
-        default:
-            // Optional: handle other keys or do nothing
-            break;
-    }
+/**
+ * @function formatSecondsToHHMMSS
+ * @description Formats a number of seconds as an HH:MM:SS string.
+ * @param {number|string} inputSeconds - The duration in seconds.
+ * @returns {string} The formatted duration.
+ */
+function formatSecondsToHHMMSS(inputSeconds) {
+    const totalSeconds = Math.floor(Number(inputSeconds)); // Convert to number and remove any decimals
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (num) => String(num).padStart(2, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
 }
 // Updated function to determine which ad region the current time falls into
 const getCurrentAdRegion = (percentage) => {
@@ -217,60 +162,18 @@ const getCurrentAdRegion = (percentage) => {
     }
     return null;
 };
-function destroyApp() {
-    //console.log("Destroying existing player instance if it exists...");
-    // 1. Destroy the ArtPlayer instance if it exists
-    document.removeEventListener('keydown', handleKeyPress);
-    if (artInstance) {
-        try {
-            // The `true` argument also removes the player's root element from the DOM
-            const movieTitleEl = artInstance.layers.bottomInfo.querySelector('#movie-title-display');
-            if (movieTitleEl) {
-                movieTitleEl.textContent = '';
-            }
-            const seasonEpInfoEl = artInstance.layers.bottomInfo.querySelector('#season-episode-info');
-            if (seasonEpInfoEl) {
-                seasonEpInfoEl.textContent = '';
-            }
-            const playerContainer = document.querySelector('.artplayer-app');
-            //console.log("player container", playerContainer);
-            if (playerContainer) {
-                //console.log("Removing player container from DOM...", playerContainer);
-                playerContainer.innerHTML = '';
-            }
-            artInstance.destroy(true);
-            artInstance = null;
-            //console.log("ArtPlayer instance destroyed.");
-        } catch (e) {
-            console.error("Error destroying ArtPlayer instance:", e);
-        }
-    }
-    // 2. Disconnect the ResizeObserver to stop watching for element resizes
-    if (resizeObserverInstance) {
-        resizeObserverInstance.disconnect();
-        resizeObserverInstance = null;
-        //console.log("ResizeObserver disconnected.");
-    }
-    // 3. Remove the window resize event listener
-    if (resizeHandler) {
-        window.removeEventListener('resize', resizeHandler);
-        resizeHandler = null;
-        //console.log("Window resize listener removed.");
-    }
-    //console.log("Cleanup complete. Ready for re-initialization.");
-}
 Artplayer.NOTICE_TIME = 5000;
 // --- Quality Preference Local Storage Helpers ---
 const USER_QUALITY_PREFERENCE_KEY = 'userPreferredQuality';
 /**
  * @function getUserQualityPreference
  * @description Retrieves the user's preferred quality from localStorage.
- * @returns {string|null} The preferred quality ('hd', 'mid', 'low') or null if not set.
+ * @returns {string|null} The preferred quality ('auto', 'hd', 'mid', 'low') or null if not set.
  */
 function getUserQualityPreference() {
     try {
         const preference = localStorage.getItem(USER_QUALITY_PREFERENCE_KEY);
-        if (preference === 'hd' || preference === 'mid' || preference === 'low') {
+        if (preference === 'auto' || preference === 'hd' || preference === 'mid' || preference === 'low') {
             return preference;
         }
         return null; // Return null if preference is invalid or not set
@@ -282,10 +185,10 @@ function getUserQualityPreference() {
 /**
  * @function saveUserQualityPreference
  * @description Saves the user's chosen quality to localStorage.
- * @param {string} quality - The quality to save ('hd', 'mid', 'low').
+ * @param {string} quality - The quality to save ('auto', 'hd', 'mid', 'low').
  */
 function saveUserQualityPreference(quality) {
-    if (quality === 'hd' || quality === 'mid' || quality === 'low') {
+    if (quality === 'auto' || quality === 'hd' || quality === 'mid' || quality === 'low') {
         try {
             localStorage.setItem(USER_QUALITY_PREFERENCE_KEY, quality);
             //console.log(`User quality preference saved: ${quality}`);
@@ -296,35 +199,410 @@ function saveUserQualityPreference(quality) {
         console.warn("Attempted to save invalid quality preference:", quality);
     }
 }
-// --- Global variable for video type ---
-let videoType = 'm3u8'; // Default video type, can be overridden
+const NETWORK_TYPES = ['wifi', 'ethernet', 'cellular']; // Connection types a host can report
+/**
+ * @function chooseDefaultQuality
+ * @description Picks the rendition to start with when the user has no saved preference, from what is known about
+ *              the connection and the screen. Unknown signals leave the usual 'mid' default.
+ *              - the Save-Data flag, a 2G/3G effective type or under 1.5 Mbps downlink: 'low'
+ *              - Wi-Fi/ethernet reported by the host, or a downlink of 5 Mbps or more: 'hd'
+ *              - cellular reported by the host, or a screen under 720 physical pixels on its short side: at most 'mid'
+ * @param {Object} [signals]
+ * @param {string|null} [signals.networkType] - 'wifi', 'ethernet' or 'cellular', as reported by the host.
+ * @param {Object} [signals.connection=navigator.connection] - The Network Information API, where supported.
+ * @param {{width: number, height: number}} [signals.screen=window.screen]
+ * @param {number} [signals.pixelRatio=window.devicePixelRatio]
+ * @returns {{quality: string, reason: string}} The quality and the signals that decided it.
+ */
+function chooseDefaultQuality({ networkType = null, connection = navigator.connection, screen = window.screen, pixelRatio = window.devicePixelRatio || 1 } = {}) {
+    const reasons = [];
+    let quality = 'mid';
+    const downlink = connection?.downlink; // Mbit/s; browsers cap it at 10
+    if (networkType === 'wifi' || networkType === 'ethernet') {
+        quality = 'hd';
+        reasons.push(`host reports ${networkType}`);
+    } else if (downlink >= 5) {
+        quality = 'hd';
+        reasons.push(`downlink ${downlink} Mbps`);
+    }
+    if (networkType === 'cellular' && quality === 'hd') {
+        quality = 'mid';
+        reasons.push('host reports cellular');
+    }
+    if (screen?.width && screen?.height && Math.min(screen.width, screen.height) * pixelRatio < 720 && quality === 'hd') {
+        quality = 'mid';
+        reasons.push('small screen');
+    }
+    if (['slow-2g', '2g', '3g'].includes(connection?.effectiveType)) {
+        quality = 'low';
+        reasons.push(`effective type ${connection.effectiveType}`);
+    } else if (downlink > 0 && downlink < 1.5) {
+        quality = 'low';
+        reasons.push(`downlink ${downlink} Mbps`);
+    }
+    if (connection?.saveData) {
+        quality = 'low';
+        reasons.push('Save-Data');
+    }
+    return { quality, reason: reasons.join(', ') || 'no network information' };
+}
+// --- CDN Mirrors ---
+// A rendition (`video.hdVideo`, ...) is either one URL or an ordered list of mirrors on different CDNs.
+const CDN_STATS_KEY = 'rebaCdnStats'; // sessionStorage: how each CDN host has performed this session
+const CDN_PROBE_TIMEOUT = 3000; // A mirror that hasn't answered a probe by then counts as this slow
+const CDN_PROBE_SETTLE = 250; // After the first probe answers, wait this long for the others before starting
+const CDN_FAILURE_PENALTY = 2000; // Added to a host's score (ms) for every failure this session
+const CDN_SEGMENT_FAILURES = 2; // Segment failures in a row before playback moves to another mirror
+/**
+ * @function getMirrorUrls
+ * @param {Object} videoData - An episode's `video` object.
+ * @param {string} quality - 'low', 'mid' or 'hd'.
+ * @returns {Array<string>} The rendition's usable URLs in listed order; empty if it has none.
+ */
+function getMirrorUrls(videoData, quality) {
+    const entry = videoData?.[`${quality}Video`];
+    const urls = Array.isArray(entry) ? entry : [entry];
+    return urls.filter(url => typeof url === 'string' && url !== '' && !url.includes('not found'));
+}
+/**
+ * @function hasRendition
+ * @param {Object} videoData - An episode's `video` object.
+ * @param {string} quality - 'low', 'mid' or 'hd'.
+ * @returns {boolean} Whether the rendition has at least one usable URL.
+ */
+function hasRendition(videoData, quality) {
+    return getMirrorUrls(videoData, quality).length > 0;
+}
+/**
+ * @function bestMirror
+ * @param {Object} videoData - An episode's `video` object.
+ * @param {string} quality - 'low', 'mid' or 'hd'.
+ * @param {Set<string>} [excludeUrls] - Mirrors that must not be picked, e.g. ones that already failed.
+ * @returns {string|null} The rendition's URL on the best-ranked CDN, or null if it has none left.
+ */
+function bestMirror(videoData, quality, excludeUrls = null) {
+    const urls = getMirrorUrls(videoData, quality);
+    return getCdnRanking().best(excludeUrls ? urls.filter(url => !excludeUrls.has(url)) : urls);
+}
+/**
+ * @function cdnOf
+ * @param {string} url
+ * @returns {string} The URL's host, which identifies its CDN.
+ */
+function cdnOf(url) {
+    try {
+        return new URL(url, location.href).host;
+    } catch (e) {
+        return url;
+    }
+}
+/**
+ * @class CdnRanking
+ * @description Per-session record of each CDN host's probe latency (a moving average) and failures, kept in
+ *              sessionStorage so every player in the tab benefits. Lower scores are better; unmeasured hosts rank
+ *              as if they timed out, so listed order decides between them.
+ */
+class CdnRanking {
+    constructor(storageKey = CDN_STATS_KEY) {
+        this.storageKey = storageKey;
+        this.stats = {};
+        try {
+            this.stats = JSON.parse(sessionStorage.getItem(storageKey) || '{}') || {};
+        } catch (e) {
+            // Storage unavailable: rank in memory for this page only
+        }
+    }
+    save() {
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(this.stats));
+        } catch (e) {
+            // Keep the in-memory ranking
+        }
+    }
+    entry(url) {
+        const host = cdnOf(url);
+        if (!this.stats[host]) this.stats[host] = { latency: null, failures: 0 };
+        return this.stats[host];
+    }
+    /**
+     * @method recordProbe
+     * @param {string} url - The probed URL.
+     * @param {number} ms - How long it took to answer; CDN_PROBE_TIMEOUT if it didn't.
+     */
+    recordProbe(url, ms) {
+        const entry = this.entry(url);
+        entry.latency = entry.latency === null ? ms : Math.round(entry.latency * 0.7 + ms * 0.3);
+        this.save();
+    }
+    /**
+     * @method recordFailure
+     * @param {string} url - A URL whose segments or manifest failed to load.
+     */
+    recordFailure(url) {
+        this.entry(url).failures++;
+        this.save();
+    }
+    /**
+     * @method isMeasured
+     * @param {string} url
+     * @returns {boolean} Whether the URL's host has been probed this session.
+     */
+    isMeasured(url) {
+        return this.stats[cdnOf(url)]?.latency != null;
+    }
+    score(url) {
+        const stats = this.stats[cdnOf(url)];
+        return (stats?.latency ?? CDN_PROBE_TIMEOUT) + (stats?.failures || 0) * CDN_FAILURE_PENALTY;
+    }
+    /**
+     * @method order
+     * @param {Array<string>} urls - Mirrors in listed order.
+     * @returns {Array<string>} The same mirrors, best first; ties keep the listed order.
+     */
+    order(urls) {
+        return urls.map((url, index) => ({ url, index, score: this.score(url) }))
+            .sort((a, b) => a.score - b.score || a.index - b.index)
+            .map(({ url }) => url);
+    }
+    /**
+     * @method best
+     * @param {Array<string>} urls
+     * @returns {string|null}
+     */
+    best(urls) {
+        return urls.length > 1 ? this.order(urls)[0] : urls[0] || null;
+    }
+}
+let sharedCdnRanking = null;
+/**
+ * @function getCdnRanking
+ * @returns {CdnRanking} The tab's CDN ranking, created on first use.
+ */
+function getCdnRanking() {
+    if (!sharedCdnRanking) sharedCdnRanking = new CdnRanking();
+    return sharedCdnRanking;
+}
+/**
+ * @function probeMirrors
+ * @description Startup probe: times a tiny request to one URL per CDN host not yet measured this session and records
+ *              the result. Resolves shortly after the first answer (slower hosts keep being recorded as they answer),
+ *              or after CDN_PROBE_TIMEOUT, so playback never waits long for a slow mirror.
+ * @param {Object} videoData - An episode's `video` object.
+ * @returns {Promise<void>}
+ */
+function probeMirrors(videoData) {
+    const ranking = getCdnRanking();
+    const lists = AUTO_QUALITY_LEVELS.map(quality => getMirrorUrls(videoData, quality));
+    if (!lists.some(urls => urls.length > 1)) return Promise.resolve(); // Nothing to choose between
+    const byHost = new Map();
+    lists.flat().forEach(url => {
+        if (!byHost.has(cdnOf(url)) && !ranking.isMeasured(url)) byHost.set(cdnOf(url), url);
+    });
+    if (byHost.size === 0) return Promise.resolve();
+    return new Promise(resolve => {
+        const done = setTimeout(resolve, CDN_PROBE_TIMEOUT);
+        byHost.forEach(url => {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), CDN_PROBE_TIMEOUT);
+            const started = performance.now();
+            fetch(url, { cache: 'no-store', headers: { Range: 'bytes=0-1023' }, signal: controller.signal })
+                .then(response => {
+                    response.body?.cancel().catch(() => { }); // Only the time to first byte matters
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    ranking.recordProbe(url, Math.round(performance.now() - started));
+                    setTimeout(() => {
+                        clearTimeout(done);
+                        resolve();
+                    }, CDN_PROBE_SETTLE);
+                })
+                .catch(() => ranking.recordProbe(url, CDN_PROBE_TIMEOUT))
+                .finally(() => clearTimeout(timeout));
+        });
+    });
+}
+// --- Source Types ---
+// 'm3u8' (HLS) and 'mpd' (DASH) play through hls.js/dash.js, 'mp4' and 'webm' are progressive files the browser plays itself.
+const SOURCE_TYPE_ALIASES = {
+    m3u8: ['m3u8', 'hls', 'application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'],
+    mpd: ['mpd', 'dash', 'application/dash+xml'],
+    mp4: ['mp4', 'm4v', 'video/mp4', 'video/x-m4v'],
+    webm: ['webm', 'video/webm'],
+};
+const SOURCE_SNIFF_TIMEOUT = 3000; // Give up on HEAD/first bytes after this long and go by the URL
+const SOURCE_SNIFF_BYTES = 512; // Enough for a playlist tag, an MPD root element or a container signature
+const sourceTypeCache = new Map(); // url -> type, for URLs declared by the API or sniffed this page
+/**
+ * @function normalizeSourceType
+ * @param {string} value - A type name ('hls', 'mp4', ...) or a MIME type, possibly with parameters.
+ * @returns {string|null} 'm3u8', 'mpd', 'mp4' or 'webm'; null if it isn't one the player knows.
+ */
+function normalizeSourceType(value) {
+    if (typeof value !== 'string') return null;
+    const name = value.split(';')[0].trim().toLowerCase();
+    return Object.keys(SOURCE_TYPE_ALIASES).find(type => SOURCE_TYPE_ALIASES[type].includes(name)) || null;
+}
+/**
+ * @function declaredSourceType
+ * @description The type the API gave for a rendition: `video.<quality>Type` (e.g. `hdType`), or `video.type` for all of them.
+ * @param {Object} videoData - An episode's `video` object.
+ * @param {string} quality - 'low', 'mid' or 'hd'.
+ * @returns {string|null}
+ */
+function declaredSourceType(videoData, quality) {
+    return normalizeSourceType(videoData?.[`${quality}Type`]) || normalizeSourceType(videoData?.type);
+}
+/**
+ * @function sourceTypeFromExtension
+ * @description The type named by the extension of the URL's path (`.m3u8`, `.mpd`, `.mp4`, ...), which is unambiguous.
+ * @param {string} url
+ * @returns {string|null} Null when the path has no known extension.
+ */
+function sourceTypeFromExtension(url) {
+    let path = url.toLowerCase();
+    try {
+        path = new URL(url, location.href).pathname.toLowerCase();
+    } catch (e) {
+        // Not a URL the parser accepts; look at the whole string
+    }
+    const extension = path.match(/\.([a-z0-9]+)$/)?.[1];
+    return extension ? normalizeSourceType(extension) : null;
+}
+/**
+ * @function sourceTypeFromUrl
+ * @description Guesses the type from the URL alone: its extension, or the .rebacdn1 (HLS) / .rebacdn2 (DASH) hosts.
+ * @param {string} url
+ * @returns {string|null} Null when the URL gives nothing away.
+ */
+function sourceTypeFromUrl(url) {
+    const fromExtension = sourceTypeFromExtension(url);
+    if (fromExtension) return fromExtension;
+    const lowerUrl = url.toLowerCase();
+    if (lowerUrl.includes('.m3u8') || lowerUrl.includes('.rebacdn1')) return 'm3u8';
+    if (lowerUrl.includes('.mpd') || lowerUrl.includes('.rebacdn2')) return 'mpd';
+    return null;
+}
+/**
+ * @function guessSourceType
+ * @description Best type known without a request: the declared one, a cached one, or the URL's.
+ * @param {string} url
+ * @param {string|null} [declaredType]
+ * @returns {string|null}
+ */
+function guessSourceType(url, declaredType = null) {
+    return declaredType || sourceTypeCache.get(url) || sourceTypeFromUrl(url);
+}
+/**
+ * @function sniffBytes
+ * @param {Uint8Array} bytes - The start of a response body.
+ * @returns {string|null} The type its content shows, if any.
+ */
+function sniffBytes(bytes) {
+    if (bytes.length >= 8 && String.fromCharCode(...bytes.subarray(4, 8)) === 'ftyp') return 'mp4';
+    if (bytes.length >= 4 && bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'webm'; // EBML header
+    const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('#EXTM3U')) return 'm3u8';
+    if (/<MPD[\s>]/.test(text)) return 'mpd';
+    return null;
+}
+/**
+ * @function sniffSourceType
+ * @description Asks the server: the Content-Type of a HEAD response, or, when that is missing or generic
+ *              (application/octet-stream, text/plain, ...), the first bytes of the body.
+ * @param {string} url
+ * @returns {Promise<string|null>} Null if neither tells (or the requests failed, e.g. CORS).
+ */
+async function sniffSourceType(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), SOURCE_SNIFF_TIMEOUT);
+    try {
+        const head = await fetch(url, { method: 'HEAD', signal: controller.signal }).catch(() => null);
+        const headType = head?.ok ? normalizeSourceType(head.headers.get('Content-Type')) : null;
+        if (headType) return headType;
+        const response = await fetch(url, { headers: { Range: `bytes=0-${SOURCE_SNIFF_BYTES - 1}` }, signal: controller.signal });
+        if (!response.ok) return null;
+        const contentType = normalizeSourceType(response.headers.get('Content-Type'));
+        if (contentType) {
+            response.body?.cancel().catch(() => { });
+            return contentType;
+        }
+        if (!response.body) return sniffBytes(new Uint8Array(await response.arrayBuffer()).subarray(0, SOURCE_SNIFF_BYTES));
+        // Servers that ignore Range would send the whole file: read the first chunk only
+        const reader = response.body.getReader();
+        const { value } = await reader.read();
+        reader.cancel().catch(() => { });
+        return value ? sniffBytes(value.subarray(0, SOURCE_SNIFF_BYTES)) : null;
+    } catch (error) {
+        return null;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+/**
+ * @function resolveSourceType
+ * @description The type to play a URL as. A type declared by the API wins, then the URL's extension. Only when neither
+ *              tells is the server asked (sniffSourceType), before the URL's weaker hints (e.g. its host) are used.
+ *              Declared and sniffed types are cached per URL.
+ * @param {string} url
+ * @param {string|null} [declaredType] - From declaredSourceType().
+ * @returns {Promise<string>} 'm3u8', 'mpd', 'mp4' or 'webm'; HLS when nothing tells.
+ */
+async function resolveSourceType(url, declaredType = null) {
+    if (declaredType) {
+        sourceTypeCache.set(url, declaredType);
+        return declaredType;
+    }
+    if (sourceTypeCache.has(url)) return sourceTypeCache.get(url);
+    const fromExtension = sourceTypeFromExtension(url);
+    if (fromExtension) return fromExtension; // No request needed
+    const sniffed = await sniffSourceType(url);
+    if (sniffed) {
+        sourceTypeCache.set(url, sniffed);
+        return sniffed;
+    }
+    const fromUrl = sourceTypeFromUrl(url);
+    if (fromUrl) return fromUrl;
+    // Fallback or error handling for unknown types
+    console.warn(`Unknown video type for selected URL: ${url}. Defaulting to 'm3u8'.`);
+    return 'm3u8';
+}
+/**
+ * @function resolvePlaybackType
+ * @param {{url: string, quality: string, type: string|null}} playback - From determinePlaybackQualityAndUrl.
+ * @param {Object} videoData - The episode's `video` object, for a declared type.
+ * @returns {Promise<{url: string, quality: string, type: string}>} The same playback with its resolved type.
+ */
+function resolvePlaybackType(playback, videoData) {
+    return resolveSourceType(playback.url, declaredSourceType(videoData, playback.quality)).then(type => ({ ...playback, type }));
+}
 /**
  * @function determinePlaybackQualityAndUrl
  * @description Determines the best quality URL to use for playback based on user preference and availability.
- *              Sets the global `videoType` based on the selected URL.
+ *              Also reports the stream type of the selected URL as far as it is known without a request (see
+ *              guessSourceType); it may be null, so pass the result through resolvePlaybackType before playing it.
  *              If no user preference exists, it defaults playback to 'mid' (if available) without saving 'mid' as a preference.
+ *              'auto' is not a rendition: it starts like no preference and AutoQualityController adjusts from there.
  *              If the preferred quality URL is missing, it falls back to the best available without changing the saved preference.
+ *              With a `maxQuality` cap (data saver), a pick above the cap is lowered to the best available rendition within it.
+ *              A rendition may list several mirror URLs; the one on the best-performing CDN is used (see CdnRanking).
  * @param {Object} movieData - The data object for the current movie/episode containing video URLs.
  * @param {string|null} preferredQuality - The user's preferred quality (from localStorage or explicit choice).
- * @returns {{url: string, quality: string}|null} Object containing the URL and the quality used for playback, or null if no URL found.
+ * @param {string|null} [maxQuality=null] - The highest rendition allowed ('low', 'mid' or 'hd').
+ * @param {Set<string>} [excludeUrls=null] - Mirror URLs to skip; a rendition with none left counts as unavailable.
+ * @returns {{url: string, quality: string, type: string|null}|null} Object containing the URL, the quality used for playback and the stream type, or null if no URL found.
  */
-function determinePlaybackQualityAndUrl(movieData, preferredQuality) {
-    tempData = movieData; // Store movieData in a global variable for later use
+function determinePlaybackQualityAndUrl(movieData, preferredQuality, maxQuality = null, excludeUrls = null) {
     const qualityOrder = ['hd', 'mid', 'low'];
     const videoData = movieData.video;
     if (!videoData) {
         console.error("No video data found in movie ", movieData);
-        // Reset videoType to default if no video data
-        videoType = 'm3u8';
         return null;
     }
     let selectedUrl = null;
     let selectedQuality = null;
     // 1. If user has a specific preference saved, try to honor it first.
-    if (preferredQuality) {
-        const preferredUrlKey = `${preferredQuality}Video`;
-        const preferredUrl = videoData[preferredUrlKey];
-        if (preferredUrl && !preferredUrl.includes('not found')) {
+    if (preferredQuality && preferredQuality !== 'auto') {
+        const preferredUrl = bestMirror(videoData, preferredQuality, excludeUrls);
+        if (preferredUrl) {
             //console.log(`Using user's preferred quality URL: ${preferredQuality}`);
             selectedUrl = preferredUrl;
             selectedQuality = preferredQuality;
@@ -332,9 +610,8 @@ function determinePlaybackQualityAndUrl(movieData, preferredQuality) {
             //console.log(`User's preferred quality '${preferredQuality}' not available. Finding fallback...`);
             // 2. Preferred quality not available, find fallback without changing preference.
             for (const quality of qualityOrder) {
-                const urlKey = `${quality}Video`;
-                const url = videoData[urlKey];
-                if (url && !url.includes('not found')) {
+                const url = bestMirror(videoData, quality, excludeUrls);
+                if (url) {
                     //console.log(`Falling back to available quality: ${quality}`);
                     selectedUrl = url;
                     selectedQuality = quality;
@@ -345,8 +622,8 @@ function determinePlaybackQualityAndUrl(movieData, preferredQuality) {
     } else {
         // 3. No saved preference. Default playback to 'mid'.
         //console.log("No saved user preference found. Defaulting playback quality logic...");
-        const midUrl = videoData['midVideo'];
-        if (midUrl && !midUrl.includes('not found')) {
+        const midUrl = bestMirror(videoData, 'mid', excludeUrls);
+        if (midUrl) {
             //console.log("Defaulting playback to 'mid' quality.");
             selectedUrl = midUrl;
             selectedQuality = 'mid';
@@ -355,9 +632,8 @@ function determinePlaybackQualityAndUrl(movieData, preferredQuality) {
             //console.log("'mid' quality (default) not available. Finding alternative default...");
             for (const quality of qualityOrder) {
                 if (quality === 'mid') continue; // Already checked
-                const urlKey = `${quality}Video`;
-                const url = videoData[urlKey];
-                if (url && !url.includes('not found')) {
+                const url = bestMirror(videoData, quality, excludeUrls);
+                if (url) {
                     //console.log(`Defaulting playback to alternative quality: ${quality}`);
                     selectedUrl = url;
                     selectedQuality = quality;
@@ -366,34 +642,318 @@ function determinePlaybackQualityAndUrl(movieData, preferredQuality) {
             }
         }
     }
-    // --- Determine and Set videoType based on the selected URL ---
-    if (selectedUrl) {
-        const lowerSelectedUrl = selectedUrl.toLowerCase();
-        if (lowerSelectedUrl.includes('.m3u8') || lowerSelectedUrl.includes('.rebacdn1')) {
-            videoType = 'm3u8';
-            //console.log(`Set videoType to 'm3u8' for URL: ${selectedUrl}`);
-        } else if (lowerSelectedUrl.includes('.mpd') || lowerSelectedUrl.includes('.rebacdn2')) {
-            videoType = 'mpd';
-            //console.log(`Set videoType to 'mpd' for URL: ${selectedUrl}`);
-        } else {
-            // Fallback or error handling for unknown types
-            console.warn(`Unknown video type for selected URL: ${selectedUrl}. Defaulting to 'm3u8'.`);
-            videoType = 'm3u8'; // Or handle error as needed
-            // For stricter handling, you might consider returning null here if type is critical
+    // 4. Data saver: stay at or below the cap when such a rendition exists.
+    if (selectedQuality && maxQuality && QUALITY_RANK[selectedQuality] > QUALITY_RANK[maxQuality]) {
+        for (const quality of qualityOrder) {
+            if (QUALITY_RANK[quality] > QUALITY_RANK[maxQuality]) continue;
+            const url = bestMirror(videoData, quality, excludeUrls);
+            if (url) {
+                selectedUrl = url;
+                selectedQuality = quality;
+                break;
+            }
         }
-    } else {
+    }
+    if (!selectedUrl) {
         // No URL found at all
         console.error("No playable video sources found.", movieData);
-        // Reset videoType to default if no playable source
-        videoType = 'm3u8';
     }
-    // --- End Determine and Set videoType ---
     if (selectedUrl && selectedQuality) {
-        return { url: selectedUrl, quality: selectedQuality };
+        return { url: selectedUrl, quality: selectedQuality, type: guessSourceType(selectedUrl, declaredSourceType(videoData, selectedQuality)) };
     } else {
         return null;
     }
 }
+// --- Auto Quality ---
+const AUTO_QUALITY_LEVELS = ['low', 'mid', 'hd']; // Lowest to highest
+const DEFAULT_RENDITION_BITRATES = { low: 1000000, mid: 2500000, hd: 5000000 }; // bits/s, used when a size label can't be parsed
+const AUTO_STALL_WINDOW = 60000; // Stalls older than this no longer count
+const AUTO_SWITCH_COOLDOWN = 20000; // Minimum time between two automatic switches
+const AUTO_UPSWITCH_HEADROOM = 1.5; // Bandwidth must exceed the next level's bitrate by this factor...
+const AUTO_UPSWITCH_CHECKS = 3; // ...on this many consecutive checks before stepping up
+/**
+ * @function parseSizeToBytes
+ * @description Parses a size label such as "850MB" or "1.2 GB" into bytes.
+ * @param {string} label - The size label from the API.
+ * @returns {number|null} The size in bytes, or null if the label isn't a size.
+ */
+function parseSizeToBytes(label) {
+    const match = /([\d.]+)\s*(KB|MB|GB)/i.exec(label || '');
+    if (!match) return null;
+    return parseFloat(match[1]) * { KB: 1e3, MB: 1e6, GB: 1e9 }[match[2].toUpperCase()];
+}
+/**
+ * @class AutoQualityController
+ * @description The AUTO quality mode. Picks between the LOW/MID/HD renditions from measured throughput:
+ *              the hls.js or dash.js bandwidth estimate when the engine has one, otherwise a timed probe
+ *              download of the current rendition. Steps down a level when playback stalls and steps up
+ *              after bandwidth stays well above the next level's bitrate. Each decision is passed to `log`
+ *              with its reason.
+ * @param {Object} options
+ * @param {Artplayer} options.art - The player whose engine and video element are measured.
+ * @param {function(): Object} options.getEpisode - Returns the episode playing now (video URLs and sizes).
+ * @param {function(): string} options.getQuality - Returns the rendition playing now.
+ * @param {function(string): Promise} options.switchTo - Switches to a rendition, keeping the position.
+ * @param {function(string): void} [options.log] - Receives a line for every decision.
+ * @param {function(): string|null} [options.getMaxQuality] - The highest rendition allowed (data saver), or null.
+ * @param {number} [options.interval=5000] - Milliseconds between decisions.
+ */
+class AutoQualityController {
+    constructor({ art, getEpisode, getQuality, switchTo, log = () => { }, getMaxQuality = () => null, interval = 5000 }) {
+        this.art = art;
+        this.getEpisode = getEpisode;
+        this.getQuality = getQuality;
+        this.getMaxQuality = getMaxQuality;
+        this.switchTo = switchTo;
+        this.log = log;
+        this.interval = interval;
+        this.enabled = false;
+        this.timer = null;
+        this.stalls = []; // Timestamps of recent stalls
+        this.goodChecks = 0;
+        this.lastSwitchAt = 0;
+        this.probe = null; // { bps, at } from the last probe download
+        this.probing = null;
+        this.waitingHandler = () => {
+            const video = this.art.video;
+            // Seeking and the first load also fire `waiting`; only count stalls in running playback
+            if (!this.enabled || video.seeking || this.art.currentTime === 0) return;
+            if (Date.now() - this.lastSwitchAt < 3000) return; // The switch itself rebuffers
+            if (this.art.template.$player.classList.contains('reba-switching')) return; // Hidden under a seamless switch
+            this.stalls.push(Date.now());
+            this.check(true);
+        };
+    }
+    /**
+     * @method enable
+     * @description Starts making decisions. Safe to call when already enabled.
+     */
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.stalls = [];
+        this.goodChecks = 0;
+        this.art.on('video:waiting', this.waitingHandler);
+        this.timer = setInterval(() => this.check(), this.interval);
+        this.log(`AUTO on at ${this.getQuality().toUpperCase()}`);
+    }
+    /**
+     * @method disable
+     * @description Stops making decisions; the rendition playing now stays.
+     */
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        this.art.off('video:waiting', this.waitingHandler);
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+    /**
+     * @method estimate
+     * @description The current throughput estimate, from the engine if it has one, else the last probe.
+     * @returns {{bps: number, from: string}|null}
+     */
+    estimate() {
+        const hls = this.art.hls;
+        if (hls && Number.isFinite(hls.bandwidthEstimate) && hls.bandwidthEstimate > 0) {
+            return { bps: hls.bandwidthEstimate, from: 'hls.js' };
+        }
+        const dash = this.art.dash;
+        if (dash && typeof dash.getAverageThroughput === 'function') {
+            const kbps = dash.getAverageThroughput('video'); // dash.js reports kbit/s
+            if (kbps > 0) return { bps: kbps * 1000, from: 'dash.js' };
+        }
+        if (this.probe) return { bps: this.probe.bps, from: 'probe' };
+        const downlink = navigator.connection?.downlink; // Mbit/s, where supported
+        if (downlink > 0) return { bps: downlink * 1e6, from: 'connection' };
+        return null;
+    }
+    /**
+     * @method runProbe
+     * @description Times a small ranged download of the current rendition to estimate throughput when the
+     *              engine has no estimate (e.g. native HLS). Only one probe runs at a time.
+     * @returns {Promise<void>}
+     */
+    runProbe() {
+        if (this.probing) return this.probing;
+        const episode = this.getEpisode();
+        const url = bestMirror(episode?.video, this.getQuality());
+        if (!url) return Promise.resolve();
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 10000);
+        const started = performance.now();
+        this.probing = fetch(url, { cache: 'no-store', headers: { Range: 'bytes=0-262143' }, signal: controller.signal })
+            .then(response => response.arrayBuffer())
+            .then(buffer => {
+                const seconds = (performance.now() - started) / 1000;
+                if (buffer.byteLength > 0 && seconds > 0) this.probe = { bps: buffer.byteLength * 8 / seconds, at: Date.now() };
+            })
+            .catch(() => { }) // No estimate this round; the next check tries again
+            .finally(() => {
+                clearTimeout(timeout);
+                this.probing = null;
+            });
+        return this.probing;
+    }
+    /**
+     * @method isAvailable
+     * @param {string} quality - 'low', 'mid' or 'hd'.
+     * @returns {boolean} Whether the current episode has that rendition and it is within the cap.
+     */
+    isAvailable(quality) {
+        const maxQuality = this.getMaxQuality();
+        if (maxQuality && QUALITY_RANK[quality] > QUALITY_RANK[maxQuality]) return false;
+        return hasRendition(this.getEpisode()?.video, quality);
+    }
+    /**
+     * @method bitrateOf
+     * @description Average bitrate of a rendition, from its file size over the duration; a default if unknown.
+     * @param {string} quality - 'low', 'mid' or 'hd'.
+     * @returns {number} Bits per second.
+     */
+    bitrateOf(quality) {
+        const bytes = parseSizeToBytes(this.getEpisode()?.size?.[`${quality}Size`]);
+        const duration = this.art.duration;
+        if (bytes && duration > 0) return bytes * 8 / duration;
+        return DEFAULT_RENDITION_BITRATES[quality];
+    }
+    /**
+     * @method neighbour
+     * @description The nearest available rendition above (direction 1) or below (direction -1) `quality`.
+     * @returns {string|null}
+     */
+    neighbour(quality, direction) {
+        for (let i = AUTO_QUALITY_LEVELS.indexOf(quality) + direction; i >= 0 && i < AUTO_QUALITY_LEVELS.length; i += direction) {
+            if (this.isAvailable(AUTO_QUALITY_LEVELS[i])) return AUTO_QUALITY_LEVELS[i];
+        }
+        return null;
+    }
+    /**
+     * @method startingQuality
+     * @description The highest available rendition the current estimate can carry, for starting an episode.
+     * @returns {string|null} A rendition, or null to use the normal default.
+     */
+    startingQuality() {
+        const estimate = this.estimate();
+        if (!estimate) return null;
+        for (let i = AUTO_QUALITY_LEVELS.length - 1; i >= 0; i--) {
+            const quality = AUTO_QUALITY_LEVELS[i];
+            if (this.isAvailable(quality) && estimate.bps >= this.bitrateOf(quality) * AUTO_UPSWITCH_HEADROOM) return quality;
+        }
+        return this.isAvailable('low') ? 'low' : null;
+    }
+    /**
+     * @method check
+     * @description One decision: step down on stalls, step up on sustained bandwidth, otherwise stay.
+     * @param {boolean} [stalled=false] - Called from a stall, so run even though playback isn't progressing.
+     */
+    check(stalled = false) {
+        if (!this.enabled || (!stalled && !this.art.playing)) return;
+        const now = Date.now();
+        this.stalls = this.stalls.filter(at => now - at < AUTO_STALL_WINDOW);
+        const current = this.getQuality();
+        const estimate = this.estimate();
+        if (!estimate || estimate.from === 'probe' && now - this.probe.at > 30000) this.runProbe();
+        const measured = estimate ? `${(estimate.bps / 1e6).toFixed(2)} Mbps via ${estimate.from}` : 'no bandwidth estimate';
+        if (now - this.lastSwitchAt < AUTO_SWITCH_COOLDOWN) return;
+        const lower = this.neighbour(current, -1);
+        if (lower && (this.stalls.length >= 2 || (this.stalls.length && estimate && estimate.bps < this.bitrateOf(current)))) {
+            this.decide(lower, `${this.stalls.length} stall(s) in ${AUTO_STALL_WINDOW / 1000}s, ${measured}`);
+            return;
+        }
+        const higher = this.neighbour(current, 1);
+        const recentStall = this.stalls.some(at => now - at < AUTO_STALL_WINDOW / 2);
+        if (higher && estimate && !recentStall && estimate.bps >= this.bitrateOf(higher) * AUTO_UPSWITCH_HEADROOM) {
+            this.goodChecks++;
+            if (this.goodChecks >= AUTO_UPSWITCH_CHECKS) {
+                this.decide(higher, `${measured} held ${AUTO_UPSWITCH_HEADROOM}x above ${higher.toUpperCase()} for ${this.goodChecks} checks`);
+                return;
+            }
+        } else {
+            this.goodChecks = 0;
+        }
+        if (stalled) this.log(`AUTO stay ${current.toUpperCase()}: stall, ${measured}`);
+    }
+    /**
+     * @method decide
+     * @description Switches to `quality` and logs why; a failed switch is logged and retried on a later check.
+     */
+    decide(quality, reason) {
+        const from = this.getQuality();
+        this.lastSwitchAt = Date.now();
+        this.goodChecks = 0;
+        this.stalls = [];
+        this.log(`AUTO ${from.toUpperCase()} -> ${quality.toUpperCase()}: ${reason}`);
+        this.switchTo(quality).catch(error => this.log(`AUTO switch to ${quality.toUpperCase()} failed: ${error.message}`));
+    }
+}
+// --- Data Saver ---
+const QUALITY_RANK = { low: 0, mid: 1, hd: 2 };
+const DATA_SAVER_LEVEL_HEIGHTS = { low: 480, mid: 720, hd: Infinity }; // Tallest in-manifest level allowed under each cap
+/**
+ * @function resolveDataSaver
+ * @description Normalises the `dataSaver` option into its settings.
+ * @param {boolean|{enabled?: boolean, maxQuality?: string, budgetMB?: number}} [option] - `true` turns it on with the defaults.
+ *        An object turns it on when it sets `maxQuality`; `{ budgetMB }` alone only sets the usage warning.
+ * @returns {{enabled: boolean, maxQuality: string, budgetMB: number|null}}
+ */
+function resolveDataSaver(option) {
+    const settings = option && typeof option === 'object' ? option : { enabled: option === true };
+    return {
+        enabled: settings.enabled ?? settings.maxQuality !== undefined,
+        maxQuality: settings.maxQuality in QUALITY_RANK ? settings.maxQuality : 'low',
+        budgetMB: settings.budgetMB > 0 ? settings.budgetMB : null, // Warns even with the data saver off
+    };
+}
+/**
+ * @class DataUsageMeter
+ * @description Counts the media bytes downloaded this session from the fragment/segment load events in _m/_x
+ *              (`reba:bytes`). Native HLS playback reports no loads and isn't counted; neither are ads.
+ * @param {Object} [options]
+ * @param {number|null} [options.budgetMB] - Calls onBudget once when usage reaches this many megabytes.
+ * @param {function(number): void} [options.onChange] - Receives the running total in megabytes.
+ * @param {function(number): void} [options.onBudget] - Receives the total when the budget is reached.
+ */
+class DataUsageMeter {
+    constructor({ budgetMB = null, onChange = () => { }, onBudget = () => { } } = {}) {
+        this.bytes = 0;
+        this.onChange = onChange;
+        this.onBudget = onBudget;
+        this.setBudget(budgetMB);
+    }
+    /**
+     * @method megabytes
+     * @returns {number} Megabytes used so far.
+     */
+    get megabytes() {
+        return this.bytes / 1e6; // Decimal megabytes, like the size labels
+    }
+    /**
+     * @method add
+     * @param {number} bytes - Bytes of one loaded fragment/segment.
+     */
+    add(bytes) {
+        if (!(bytes > 0)) return;
+        this.bytes += bytes;
+        this.onChange(this.megabytes);
+        this.checkBudget();
+    }
+    /**
+     * @method setBudget
+     * @description Replaces the budget; a new budget can warn again.
+     * @param {number|null} budgetMB
+     */
+    setBudget(budgetMB) {
+        this.budgetMB = budgetMB > 0 ? budgetMB : null;
+        this.budgetReached = false;
+        this.checkBudget();
+    }
+    checkBudget() {
+        if (!this.budgetMB || this.budgetReached || this.megabytes < this.budgetMB) return;
+        this.budgetReached = true;
+        this.onBudget(this.megabytes);
+    }
+}
 // --- End Blob Management (No longer used for conversion) ---
 // --- UI Component HTML Strings ---
 const controlsPlayAndPauseElement = `
@@ -424,6 +984,10 @@ const mainTopControlsContainer = `
                             </svg>
                         </button>
                         <div class="segmented-control-container" id="qualityControl">
+                           <button class="segment-button" id="autoButton" data-value="auto">
+                                <span class="quality-label">AUTO</span>
+                                <span class="quality-size" id="autoSize"></span>
+                            </button>
                            <button class="segment-button" id="hdButton" data-value="hd">
                                 <span class="quality-label">HD</span>
                                 <span class="quality-size" id="hdSize"></span>
@@ -459,6 +1023,7 @@ const mainTopControlsContainer = `
             </div>
         </div>
         <div class="action-button-container" id="actionButtonContainer"></div>
+        <div class="data-usage" id="dataUsage" style="display: none;"></div>
     </div>`;
 // --- Inject CSS Styles ---
 function injectComponentStyles() {
@@ -486,6 +1051,7 @@ function injectComponentStyles() {
                             display: flex;
                             width: 100%;
                             align-items: center;
+                            justify-content: space-between;
                             gap: 12px;
                         }
                         .icon-button {
@@ -529,7 +1095,7 @@ function injectComponentStyles() {
                         .segmented-control-container {
                               flex: 1;
                               min-width: 60px;
-                              max-width: 240px;
+                              max-width: 320px; /* AUTO + HD/MID/LOW */
                               margin: 0 auto;
                         }
                         .right-icons-container {
@@ -652,6 +1218,17 @@ function injectComponentStyles() {
                             background-color: transparent;
                             color: #4B5563;
                         }
+                        .data-usage {
+                            align-self: center;
+                            margin-top: 6px;
+                            padding: 2px 10px;
+                            border-radius: 8px;
+                            background: rgba(0, 0, 0, 0.45);
+                            color: #E5E7EB;
+                            font-size: 0.75rem;
+                            font-family: system-ui;
+                            pointer-events: none;
+                        }
                         @media (max-width: 480px) {
                             #volumeButton, #bottom-left-info { display: none !important; }
                             .art-controls-center { display: none; }
@@ -669,6 +1246,16 @@ function injectComponentStyles() {
 injectComponentStyles();
 function injectPlaybackStyles() {
     const cssRules = `
+                        .reba-switch-buffer {
+                            position: absolute;
+                            inset: 0;
+                            width: 100%;
+                            height: 100%;
+                            opacity: 0;
+                            pointer-events: none;
+                        }
+                        .reba-switch-buffer.visible { opacity: 1; }
+                        .reba-switching .art-loading { display: none !important; } /* The buffer covers the reload */
                         @keyframes rotate-360 { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
                         @keyframes rotate-minus-360 { from { transform: rotate(0deg); } to { transform: rotate(-360deg); } }
                         .spin-forward { animation: rotate-360 0.5s linear; }
@@ -1131,6 +1718,12 @@ function injectEpisodesOverlayStyles() {
                             flex-shrink: 0;
                             margin-bottom: 10px;
                         }
+                        .episodes-header h3 {
+                            margin: 0;
+                            color: white;
+                            font-size: 1.1rem;
+                            font-weight: 600;
+                        }
                         .season-selector-button {
                             background: rgba(170, 170, 170, 0.25);
                             -webkit-backdrop-filter: blur(10px);
@@ -1338,6 +1931,37 @@ function injectEpisodesOverlayStyles() {
                         }
                         .scroll-arrow.left { left: -10px; }
                         .scroll-arrow.right { right: -10px; }
+                        .episode-progress {
+                            position: absolute;
+                            bottom: 0;
+                            left: 0;
+                            width: 100%;
+                            height: 4px;
+                            background: rgba(255, 255, 255, 0.3);
+                            z-index: 3;
+                        }
+                        .episode-progress-fill {
+                            height: 100%;
+                            background-color: #1fdf67;
+                        }
+                        .watched-icon {
+                            position: absolute;
+                            top: 8px;
+                            left: 8px;
+                            width: 22px;
+                            height: 22px;
+                            border-radius: 50%;
+                            background-color: #1fdf67;
+                            display: flex;
+                            align-items: center;
+                            justify-content: center;
+                            z-index: 3;
+                        }
+                        .watched-icon svg {
+                            width: 16px;
+                            height: 16px;
+                            fill: black;
+                        }
                         .lock-icon {
                             position: absolute;
                             top: 8px;
@@ -1416,64 +2040,2141 @@ function injectEpisodesOverlayStyles() {
     document.head.appendChild(styleElement);
 }
 injectEpisodesOverlayStyles();
-// --- Add Debug CSS Styles ---
-function injectDebugStyles() {
-    const debugCSS = `
-#debugInfo {
-    white-space: pre-wrap;
-    word-break: break-all;
-    font-family: 'Courier New', monospace;
-    line-height: 1.2;
-    /* Remove max-height and overflow to allow continuous growth */
-}
-`;
-    const styleElement = document.createElement('style');
-    styleElement.id = 'debug-styles';
-    styleElement.type = 'text/css';
-    styleElement.appendChild(document.createTextNode(debugCSS));
-    document.head.appendChild(styleElement);
-}
+function injectErrorLayerStyles() {
+    const cssRules = `
+                        .reba-error-layer {
+                            position: absolute;
+                            inset: 0;
+                            z-index: 100;
+                            display: flex;
+                            justify-content: center;
+                            align-items: center;
+                            background: rgba(0, 0, 0, 0.9);
+                        }
+                        .reba-error-content {
+                            font-family: 'Inter', sans-serif;
+                            color: white;
+                            text-align: center;
+                            max-width: 450px;
+                            padding: 20px;
+                        }
+                        .reba-error-content h2 {
+                            font-size: 1.5rem;
+                            font-weight: 700;
+                        }
+                        .reba-error-content p {
+                            font-size: 1rem;
+                            margin: 15px 0 10px;
+                            line-height: 1.5;
+                        }
+                        .reba-error-content .reba-error-code {
+                            font-size: 0.8rem;
+                            color: #999;
+                            margin: 0 0 25px;
+                        }
+                        .reba-error-retry {
+                            background-color: #1fdf67;
+                            color: black;
+                        }
+                        .reba-error-retry:hover {
+                            background-color: #1bbf57;
+                        }
+                        .reba-error-back {
+                            background-color: #fff;
+                            color: black;
+                        }
+                        .reba-error-back:hover {
+                            background-color: #e0e0e0;
+                        }
+                    `;
+    const styleElement = document.createElement('style');
+    styleElement.id = 'error-layer-styles';
+    styleElement.type = 'text/css';
+    styleElement.appendChild(document.createTextNode(cssRules));
+    document.head.appendChild(styleElement);
+}
+injectErrorLayerStyles();
+// --- Add Debug CSS Styles ---
+function injectDebugStyles() {
+    const debugCSS = `
+#debugInfo {
+    white-space: pre-wrap;
+    word-break: break-all;
+    font-family: 'Courier New', monospace;
+    line-height: 1.2;
+    /* Remove max-height and overflow to allow continuous growth */
+}
+`;
+    const styleElement = document.createElement('style');
+    styleElement.id = 'debug-styles';
+    styleElement.type = 'text/css';
+    styleElement.appendChild(document.createTextNode(debugCSS));
+    document.head.appendChild(styleElement);
+}
 injectDebugStyles();
 // --- End Debug CSS Styles ---
-let allLolls = ["https://video.wixstatic.com/video/d7f9fb_e09d55d52f0e427c9891189606b4925b/1080p/mp4/file.mp4", "https://video.wixstatic.com/video/d7f9fb_fbbc3d184a5c4ff284da54cb2e72c453/1080p/mp4/file.mp4", "https://video.wixstatic.com/video/d7f9fb_08949df5483a4b1dbe9d36d7451994e9/1080p/mp4/file.mp4"];
-function _m(video, url, art) {
+/**
+ * @function reportPlaybackFailure
+ * @description Tells the owning RebaPlayer (through the `reba:fatal` Artplayer event) that playback cannot continue.
+ *              Deferred, because the custom types below can run while Artplayer is still being constructed.
+ * @param {Artplayer} art
+ * @param {string} code - A PLAYER_ERRORS code.
+ * @param {*} [details] - Extra information for the host.
+ */
+function reportPlaybackFailure(art, code, details) {
+    Promise.resolve().then(() => art.emit('reba:fatal', { code, details }));
+}
+/**
+ * @function reportRenditionFailure
+ * @description Tells the owning RebaPlayer (through `reba:renditionFailed`) that the engine gave up on this rendition,
+ *              so it can try another rendition before showing `code`. Deferred like reportPlaybackFailure.
+ * @param {Artplayer} art
+ * @param {string} code - The PLAYER_ERRORS code to show if no other rendition plays.
+ * @param {Object} details - What failed, for analytics and the host.
+ */
+function reportRenditionFailure(art, code, details) {
+    Promise.resolve().then(() => art.emit('reba:renditionFailed', { code, details }));
+}
+/**
+ * @function reportRecovery
+ * @description Publishes an engine recovery attempt as `reba:recovery` (for analytics and the debug readout).
+ * @param {Artplayer} art
+ * @param {{engine: string, action: string, attempt: number}} attempt - Plus the error's own fields.
+ */
+function reportRecovery(art, attempt) {
+    art.emit('reba:recovery', attempt);
+}
+/**
+ * @function reportSegmentFailures
+ * @description Publishes `reba:segmentFailures` once a rendition's segments have failed CDN_SEGMENT_FAILURES times in a
+ *              row, so the player can move to another mirror before the engine gives up on the rendition.
+ * @param {Artplayer} art
+ * @param {{engine: string, url: string, count: number}} failure - Plus the error's own fields.
+ */
+function reportSegmentFailures(art, failure) {
+    art.emit('reba:segmentFailures', failure);
+}
+const HLS_RECOVERY_LIMITS = { network: 3, media: 2 }; // Recovery attempts per rendition before trying another one
+const HLS_MANIFEST_ERRORS = ['manifestLoadError', 'manifestLoadTimeOut', 'manifestParsingError']; // Need the source reloaded
+/**
+ * @function handleHlsError
+ * @description Fatal hls.js errors, by category: network errors restart loading (the manifest, if that is what
+ *              failed) with a growing delay, media errors go through recoverMediaError() (swapping the audio codec on
+ *              the second try). Anything else, or running out of attempts, gives up on the rendition. DRM (key system)
+ *              errors end playback, since every rendition shares the license.
+ *              A buffered fragment means the stream is healthy again and resets the attempt counts.
+ *              Fragment load failures are counted even while hls.js retries them (see reportSegmentFailures).
+ * @param {Artplayer} art
+ * @param {Hls} hls - The instance that raised the error.
+ * @param {string} url - The rendition it plays.
+ * @param {{network: number, media: number, segment: number}} attempts - Attempts so far on this rendition; updated in place.
+ * @param {Object} data - The hls.js error data.
+ */
+function handleHlsError(art, hls, url, attempts, data) {
+    const error = { type: data.type, details: data.details };
+    if (data.details === Hls.ErrorDetails.FRAG_LOAD_ERROR || data.details === Hls.ErrorDetails.FRAG_LOAD_TIMEOUT) {
+        attempts.segment++;
+        if (attempts.segment === CDN_SEGMENT_FAILURES) reportSegmentFailures(art, { engine: 'hls', url, count: attempts.segment, ...error });
+    }
+    if (!data.fatal) return; // hls.js retries non-fatal errors itself
+    if (data.type === Hls.ErrorTypes.KEY_SYSTEM_ERROR) {
+        // The license covers every rendition and mirror, so there is nothing to fall back to
+        reportPlaybackFailure(art, data.details === Hls.ErrorDetails.KEY_SYSTEM_NO_ACCESS ? 'DRM_UNSUPPORTED' : 'DRM_FAILED', { engine: 'hls', url, ...error });
+        return;
+    }
+    if (data.type === Hls.ErrorTypes.NETWORK_ERROR && attempts.network < HLS_RECOVERY_LIMITS.network) {
+        attempts.network++;
+        const manifest = HLS_MANIFEST_ERRORS.includes(data.details);
+        reportRecovery(art, { engine: 'hls', action: manifest ? 'loadSource' : 'startLoad', attempt: attempts.network, ...error });
+        setTimeout(() => {
+            if (art.hls !== hls) return; // Replaced by another source meanwhile
+            if (manifest) hls.loadSource(url);
+            else hls.startLoad();
+        }, 1000 * 2 ** (attempts.network - 1));
+    } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR && attempts.media < HLS_RECOVERY_LIMITS.media) {
+        attempts.media++;
+        reportRecovery(art, { engine: 'hls', action: 'recoverMediaError', attempt: attempts.media, ...error });
+        if (attempts.media > 1) hls.swapAudioCodec(); // A repeat media error is often an audio codec mismatch
+        hls.recoverMediaError();
+    } else {
+        reportRenditionFailure(art, 'HLS_FATAL', { engine: 'hls', url, ...error });
+    }
+}
+// --- DRM ---
+// Protected episodes carry a `drm` object from the API, one entry per key system:
+//   { widevine: { licenseUrl }, playready: { licenseUrl }, fairplay: { licenseUrl, certificateUrl },
+//     clearkey: { licenseUrl } or { keys: { <kid>: <key> } }, headers: { ... } }
+// `headers` go with every license request, as do those of an entry. Key IDs and keys are hex or base64url.
+const DRM_KEY_SYSTEMS = Object.freeze({
+    widevine: 'com.widevine.alpha',
+    playready: 'com.microsoft.playready',
+    fairplay: 'com.apple.fps',
+    clearkey: 'org.w3.clearkey',
+});
+const CLEARKEY = DRM_KEY_SYSTEMS.clearkey;
+/**
+ * @function toBase64Url
+ * @param {string} value - A 16-byte key ID or key, as 32 hex digits or already base64url.
+ * @returns {string} Base64url without padding, as ClearKey licenses and dash.js `clearkeys` expect.
+ */
+function toBase64Url(value) {
+    if (!/^[0-9a-f]{32}$/i.test(value)) return value;
+    const bytes = value.match(/../g).map(byte => parseInt(byte, 16));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+/**
+ * @function resolveDrmConfig
+ * @description Normalises an episode's `drm` object. Clear keys given to the player replace it, so protected streams
+ *              can be tested locally without a license server; episodes without a `drm` object stay clear either way.
+ * @param {Object|null} drm - The episode's `drm` object from the API.
+ * @param {Object} [options]
+ * @param {Object<string, string>|null} [options.clearKeys] - kid -> key; switches to clear-key mode.
+ * @param {function(Object): Promise<{url: string, headers: Object}>} [options.prepareLicenseRequest] - The license-request
+ *        hook (see RebaPlayer#prepareLicenseRequest).
+ * @returns {{systems: Object<string, Object>, prepareLicenseRequest: function}|null} Key system -> { licenseUrl,
+ *          certificateUrl, headers, keys }, or null for a clear stream.
+ */
+function resolveDrmConfig(drm, { clearKeys = null, prepareLicenseRequest = null } = {}) {
+    const systems = {};
+    const normalizeKeys = (keys) => Object.fromEntries(Object.entries(keys).map(([kid, key]) => [toBase64Url(kid), toBase64Url(key)]));
+    if (!drm || typeof drm !== 'object') return null;
+    if (clearKeys && Object.keys(clearKeys).length > 0) {
+        systems[CLEARKEY] = { licenseUrl: null, certificateUrl: null, headers: {}, keys: normalizeKeys(clearKeys) };
+    } else {
+        Object.keys(DRM_KEY_SYSTEMS).forEach(name => {
+            const entry = drm[name];
+            if (!entry) return;
+            const system = {
+                licenseUrl: entry.licenseUrl || null,
+                certificateUrl: entry.certificateUrl || null,
+                headers: { ...drm.headers, ...entry.headers },
+                keys: name === 'clearkey' && entry.keys ? normalizeKeys(entry.keys) : null,
+            };
+            if (system.licenseUrl || system.keys) systems[DRM_KEY_SYSTEMS[name]] = system;
+        });
+    }
+    if (Object.keys(systems).length === 0) return null;
+    return { systems, prepareLicenseRequest: prepareLicenseRequest || ((request) => Promise.resolve(request)) };
+}
+/**
+ * @function clearKeyLicenseUrl
+ * @description A blob: URL serving the ClearKey license (a JWK set) for inline keys, so hls.js can "request" it like any
+ *              other license. Created once per config; it is a few hundred bytes and lives as long as the page.
+ * @param {Object} system - A clear-key system from resolveDrmConfig with `keys`.
+ * @returns {string}
+ */
+function clearKeyLicenseUrl(system) {
+    if (!system.blobUrl) {
+        const license = { keys: Object.entries(system.keys).map(([kid, k]) => ({ kty: 'oct', kid, k })), type: 'temporary' };
+        system.blobUrl = URL.createObjectURL(new Blob([JSON.stringify(license)], { type: 'application/json' }));
+    }
+    return system.blobUrl;
+}
+/**
+ * @function hlsDrmConfig
+ * @description hls.js settings for a DRM config: EME with one drmSystems entry per key system, and license requests
+ *              passed through the license-request hook.
+ * @param {Object|null} drm - From resolveDrmConfig.
+ * @returns {Object} To spread into the Hls config; empty for a clear stream.
+ */
+function hlsDrmConfig(drm) {
+    if (!drm) return {};
+    const drmSystems = {};
+    Object.entries(drm.systems).forEach(([keySystem, system]) => {
+        drmSystems[keySystem] = { licenseUrl: system.keys ? clearKeyLicenseUrl(system) : system.licenseUrl };
+        if (system.certificateUrl) drmSystems[keySystem].serverCertificateUrl = system.certificateUrl;
+    });
+    return {
+        emeEnabled: true,
+        drmSystems,
+        licenseXhrSetup: (xhr, url, keyContext) => {
+            const system = drm.systems[keyContext?.keySystem];
+            if (system?.keys) {
+                xhr.open('GET', url, true); // blob: URLs only answer GET
+                return undefined;
+            }
+            return drm.prepareLicenseRequest({ keySystem: keyContext?.keySystem, url, headers: { ...system?.headers } }).then((request) => {
+                xhr.open('POST', request.url, true); // hls.js hands over an unopened XHR; headers can only be set once it is open
+                Object.entries(request.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            });
+        },
+    };
+}
+/**
+ * @function applyDashDrm
+ * @description Gives a dash.js player the protection data for a DRM config and routes its license requests through
+ *              the license-request hook. Call before the source is attached.
+ * @param {Object} dash - A dash.js MediaPlayer.
+ * @param {Object|null} drm - From resolveDrmConfig.
+ */
+function applyDashDrm(dash, drm) {
+    if (!drm) return;
+    const protectionData = {};
+    Object.entries(drm.systems).forEach(([keySystem, system]) => {
+        protectionData[keySystem] = system.keys ? { clearkeys: system.keys } : { serverURL: system.licenseUrl, httpRequestHeaders: system.headers };
+    });
+    dash.setProtectionData(protectionData);
+    dash.registerLicenseRequestFilter((request) => {
+        const keySystem = Object.keys(drm.systems).find(name => drm.systems[name].licenseUrl === request.url) || null;
+        return drm.prepareLicenseRequest({ keySystem, url: request.url, headers: { ...request.headers } }).then(({ url, headers }) => {
+            request.url = url;
+            request.headers = headers;
+        });
+    });
+}
+/**
+ * @function attachNativeFairPlay
+ * @description Plays FairPlay-protected HLS natively (Safari without MSE) through unprefixed EME: the server certificate
+ *              is set on the MediaKeys, and each `encrypted` event opens a session whose SPC is POSTed to the license
+ *              server through the license-request hook; the response (CKC) unlocks the stream. Browsers with only the
+ *              prefixed WebKit EME are reported as DRM_UNSUPPORTED.
+ * @param {HTMLVideoElement} video
+ * @param {string} url - The HLS playlist.
+ * @param {Artplayer} art
+ * @param {Object} drm - From resolveDrmConfig.
+ */
+function attachNativeFairPlay(video, url, art, drm) {
+    const keySystem = DRM_KEY_SYSTEMS.fairplay;
+    const system = drm.systems[keySystem];
+    if (!system || !navigator.requestMediaKeySystemAccess || !window.MediaKeys) {
+        reportPlaybackFailure(art, 'DRM_UNSUPPORTED', { engine: 'native', type: 'm3u8' });
+        return;
+    }
+    let failed = false;
+    const fail = (error) => {
+        if (failed) return; // One report per source, however many sessions fail
+        failed = true;
+        reportPlaybackFailure(art, error?.name === 'NotSupportedError' ? 'DRM_UNSUPPORTED' : 'DRM_FAILED', { engine: 'native', url, message: error?.message });
+    };
+    const mediaKeys = navigator.requestMediaKeySystemAccess(keySystem, [{
+        initDataTypes: ['skd'],
+        videoCapabilities: [{ contentType: 'application/vnd.apple.mpegurl', robustness: '' }],
+        distinctiveIdentifier: 'not-allowed',
+        persistentState: 'not-allowed',
+        sessionTypes: ['temporary'],
+    }]).then(async (access) => {
+        const keys = await access.createMediaKeys();
+        if (!system.certificateUrl) throw new Error('FairPlay needs a certificateUrl');
+        const response = await fetch(system.certificateUrl);
+        if (!response.ok) throw new HttpError(response);
+        await keys.setServerCertificate(await response.arrayBuffer());
+        await video.setMediaKeys(keys);
+        return keys;
+    });
+    const onEncrypted = (event) => {
+        mediaKeys.then(async (keys) => {
+            const session = keys.createSession();
+            session.addEventListener('message', (message) => {
+                drm.prepareLicenseRequest({ keySystem, url: system.licenseUrl, headers: { ...system.headers } })
+                    .then(request => fetch(request.url, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/octet-stream', ...request.headers },
+                        body: message.message,
+                    }))
+                    .then((response) => {
+                        if (!response.ok) throw new HttpError(response);
+                        return response.arrayBuffer();
+                    })
+                    .then(license => session.update(license))
+                    .catch(fail);
+            });
+            await session.generateRequest(event.initDataType, event.initData);
+        }).catch(fail);
+    };
+    mediaKeys.catch(fail);
+    video.addEventListener('encrypted', onEncrypted);
+    art.fairPlay = () => video.removeEventListener('encrypted', onEncrypted);
+    video.src = url;
+}
+/**
+ * @function detachEngines
+ * @description Tears down the hls.js/dash.js instance (or native FairPlay listener) playing the previous source, so a
+ *              source of another type doesn't share the video element with it.
+ * @param {Artplayer} art
+ */
+function detachEngines(art) {
+    if (art.hls) art.hls.destroy();
+    if (art.dash) art.dash.destroy();
+    if (art.fairPlay) art.fairPlay();
+    art.hls = null;
+    art.dash = null;
+    art.fairPlay = null;
+}
+/**
+ * @function _m
+ * @description HLS through hls.js, or natively where MSE is missing (Safari on older iOS). Protected streams play
+ *              natively only with FairPlay (see attachNativeFairPlay).
+ * @param {Object|null} [drm] - From resolveDrmConfig.
+ */
+function _m(video, url, art, drm = null) {
     if (Hls.isSupported()) {
-        if (art.hls) art.hls.destroy();
-        const hls = new Hls(); hls.loadSource(url); hls.attachMedia(video); art.hls = hls;
+        detachEngines(art);
+        const hls = new Hls(hlsDrmConfig(drm)); hls.loadSource(url); hls.attachMedia(video); art.hls = hls;
+        const attempts = { network: 0, media: 0, segment: 0 };
+        hls.on(Hls.Events.ERROR, (event, data) => handleHlsError(art, hls, url, attempts, data));
+        hls.on(Hls.Events.FRAG_BUFFERED, () => {
+            attempts.network = 0;
+            attempts.media = 0;
+            attempts.segment = 0;
+        });
+        hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => reportEngineLevels(art, 'hls', data.levels));
+        hls.on(Hls.Events.LEVEL_SWITCHED, (event, data) => art.emit('reba:levelSwitched', data.level));
+        hls.on(Hls.Events.FRAG_LOADED, (event, data) => art.emit('reba:bytes', data.frag.stats?.loaded || data.payload?.byteLength || 0));
         art.on("destroy", () => hls.destroy());
+    } else if (drm && video.canPlayType("application/vnd.apple.mpegurl")) {
+        detachEngines(art);
+        attachNativeFairPlay(video, url, art, drm);
+        reportEngineLevels(art, 'native', []);
+    } else if (drm) {
+        reportPlaybackFailure(art, 'DRM_UNSUPPORTED', { type: 'm3u8' });
     } else if (video.canPlayType("application/vnd.apple.mpegurl")) {
+        detachEngines(art); // Drops a FairPlay listener left by a protected episode
         video.src = url;
+        reportEngineLevels(art, 'native', []); // Safari picks the level itself
+    } else {
+        reportPlaybackFailure(art, 'UNSUPPORTED_FORMAT', { type: 'm3u8' });
+    }
+}
+const DASH_RECOVERY_LIMITS = { manifest: 3, segment: 3, media: 2, stall: 2 }; // Attempts per rendition, as for HLS
+const DASH_STALL_TIMEOUT = 8000; // An empty buffer for this long while playing counts as a stall to recover from
+// dash.js error codes (dashjs.MediaPlayer.errors), by how they are recovered
+const DASH_ERROR_CATEGORIES = {
+    manifest: [10, 11, 25, 31], // MANIFEST_LOADER_PARSING_FAILURE, MANIFEST_LOADER_LOADING_FAILURE, DOWNLOAD_ERROR_ID_MANIFEST, MANIFEST_ERROR_ID_PARSE
+    segment: [17, 26, 27, 28], // FRAGMENT_LOADER_LOADING_FAILURE, DOWNLOAD_ERROR_ID_SIDX, DOWNLOAD_ERROR_ID_CONTENT, DOWNLOAD_ERROR_ID_INITIALIZATION
+    media: [20, 21], // APPEND_ERROR, REMOVE_ERROR
+    drm: [24, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114], // CAPABILITY_MEDIAKEYS_ERROR, MEDIA_KEYERR_*, KEY_*, license errors
+};
+const DASH_DRM_UNSUPPORTED = [24, 112]; // No EME, KEY_SYSTEM_ACCESS_DENIED
+/**
+ * @function categorizeDashError
+ * @param {Object} error - `event.error` of a dash.js ERROR event.
+ * @returns {string} 'manifest', 'segment', 'media', 'drm' (ends playback), or 'other' (not worth retrying on this rendition).
+ */
+function categorizeDashError(error) {
+    return Object.keys(DASH_ERROR_CATEGORIES).find(category => DASH_ERROR_CATEGORIES[category].includes(error?.code)) || 'other';
+}
+/**
+ * @function watchDashPlayback
+ * @description Keeps a dash.js stream going, matching handleHlsError: manifest and segment failures reload the source at
+ *              the current position with a growing delay, media (append) errors reload it straight away, and a buffer
+ *              that stays empty (bufferStalled) is first nudged past the gap, then reloaded. Running out of attempts, or
+ *              an error that retrying can't fix, gives up on the rendition. A filled buffer resets the attempt counts.
+ *              Manifests with a validity window are refreshed when it expires. Repeated segment failures are also
+ *              reported through reportSegmentFailures.
+ * @param {Artplayer} art
+ * @param {Object} dash - The dash.js MediaPlayer playing `url`.
+ * @param {string} url - The rendition.
+ */
+function watchDashPlayback(art, dash, url) {
+    const events = dashjs.MediaPlayer.events;
+    const attempts = { manifest: 0, segment: 0, media: 0, stall: 0 };
+    let stallTimer = null;
+    let validityTimer = null;
+    const active = () => art.dash === dash; // False once another source replaced this one
+    const giveUp = (details) => reportRenditionFailure(art, 'DASH_FATAL', { engine: 'dash', url, ...details });
+    const reload = () => dash.attachSource(url, art.video.currentTime); // Resumes where playback was
+    const retry = (category, details) => {
+        if (attempts[category] >= DASH_RECOVERY_LIMITS[category]) {
+            giveUp(details);
+            return;
+        }
+        const delay = category === 'media' ? 0 : 1000 * 2 ** attempts[category];
+        attempts[category]++;
+        reportRecovery(art, { engine: 'dash', action: 'attachSource', attempt: attempts[category], category, ...details });
+        setTimeout(() => {
+            if (active()) reload();
+        }, delay);
+    };
+    dash.on(events.ERROR, (event) => {
+        const category = categorizeDashError(event.error);
+        const details = { code: event.error?.code, message: event.error?.message, category };
+        if (category === 'drm') {
+            reportPlaybackFailure(art, DASH_DRM_UNSUPPORTED.includes(details.code) ? 'DRM_UNSUPPORTED' : 'DRM_FAILED', { engine: 'dash', url, ...details });
+            return;
+        }
+        if (category === 'other') giveUp(details);
+        else retry(category, details);
+        if (category === 'segment' && attempts.segment === CDN_SEGMENT_FAILURES) {
+            reportSegmentFailures(art, { engine: 'dash', url, count: attempts.segment, ...details });
+        }
+    });
+    const clearStall = () => {
+        clearTimeout(stallTimer);
+        stallTimer = null;
+    };
+    const onStall = (event) => {
+        if (event.mediaType && event.mediaType !== 'video') return;
+        if (stallTimer || art.video.paused || art.video.seeking) return;
+        stallTimer = setTimeout(() => {
+            stallTimer = null;
+            if (!active() || art.video.paused || art.video.seeking) return;
+            const details = { code: 'BUFFER_STALLED', message: `No data for ${DASH_STALL_TIMEOUT / 1000}s`, category: 'stall' };
+            if (attempts.stall >= DASH_RECOVERY_LIMITS.stall) {
+                giveUp(details);
+                return;
+            }
+            attempts.stall++;
+            const action = attempts.stall === 1 ? 'nudge' : 'attachSource';
+            reportRecovery(art, { engine: 'dash', action, attempt: attempts.stall, ...details });
+            if (action === 'nudge') dash.seek(art.video.currentTime + 0.5); // Skips a small gap in the buffered data
+            else reload();
+        }, DASH_STALL_TIMEOUT);
+    };
+    dash.on(events.BUFFER_EMPTY, onStall); // 'bufferStalled'
+    dash.on(events.PLAYBACK_STALLED, onStall);
+    dash.on(events.BUFFER_LOADED, (event) => {
+        if (event.mediaType && event.mediaType !== 'video') return;
+        clearStall();
+        attempts.manifest = 0;
+        attempts.segment = 0;
+        attempts.media = 0;
+        attempts.stall = 0;
+    });
+    dash.on(events.PLAYBACK_SEEKING, clearStall);
+    dash.on(events.MANIFEST_VALIDITY_CHANGED, (event) => {
+        clearTimeout(validityTimer);
+        const validUntil = event.validUntil instanceof Date ? event.validUntil.getTime() : Number(event.validUntil);
+        if (!Number.isFinite(validUntil)) return;
+        validityTimer = setTimeout(() => {
+            if (!active()) return;
+            dash.refreshManifest((manifest, error) => {
+                if (error && active()) retry('manifest', { code: error.code, message: error.message, category: 'manifest' });
+            });
+        }, Math.max(validUntil - Date.now(), 0));
+    });
+    art.on('destroy', () => {
+        clearStall();
+        clearTimeout(validityTimer);
+    });
+}
+/**
+ * @function _x
+ * @description DASH through dash.js.
+ * @param {Object|null} [drm] - From resolveDrmConfig.
+ */
+function _x(video, url, art, drm = null) {
+    if (dashjs.supportsMediaSource()) {
+        detachEngines(art);
+        const dash = dashjs.MediaPlayer().create(); applyDashDrm(dash, drm); dash.initialize(video, url, art.option.autoplay); art.dash = dash;
+        watchDashPlayback(art, dash, url);
+        dash.on(dashjs.MediaPlayer.events.STREAM_INITIALIZED, () => reportEngineLevels(art, 'dash', dash.getBitrateInfoListFor('video')));
+        dash.on(dashjs.MediaPlayer.events.QUALITY_CHANGE_RENDERED, (event) => {
+            if (event.mediaType === 'video') art.emit('reba:levelSwitched', event.newQuality);
+        });
+        dash.on(dashjs.MediaPlayer.events.FRAGMENT_LOADING_COMPLETED, (event) => {
+            art.emit('reba:bytes', event.request?.bytesLoaded || event.response?.byteLength || 0);
+        });
+        art.on("destroy", () => dash.destroy());
     } else {
-        art.notice.show = "Unsupported playback format: m3u8";
+        reportPlaybackFailure(art, 'UNSUPPORTED_FORMAT', { type: 'mpd' });
+    }
+}
+/**
+ * @function _p
+ * @description Progressive files (mp4, webm): the browser plays them directly, as a single level.
+ */
+function _p(video, url, art) {
+    detachEngines(art);
+    const type = art.option.type;
+    if (!video.canPlayType(`video/${type}`)) {
+        reportPlaybackFailure(art, 'UNSUPPORTED_FORMAT', { type });
+        return;
+    }
+    video.src = url;
+    reportEngineLevels(art, 'native', []);
+}
+// --- In-Manifest Levels ---
+/**
+ * @function reportEngineLevels
+ * @description Publishes the renditions listed in the stream's manifest as `reba:levels` `{engine, levels}`,
+ *              highest first. Also kept on `art.rebaLevels` for listeners attached after the manifest loaded.
+ * @param {Artplayer} art
+ * @param {string} engine - 'hls', 'dash' or 'native' (no level control).
+ * @param {Array<Object>} levels - hls.js `levels` or dash.js `getBitrateInfoListFor('video')`.
+ */
+function reportEngineLevels(art, engine, levels) {
+    const described = (levels || []).map((level, index) => ({
+        index: level.qualityIndex ?? index, // dash.js numbers its own; hls.js uses the array position
+        height: level.height || 0,
+        bitrate: level.bitrate || 0,
+    })).map(level => ({
+        ...level,
+        label: level.height ? `${level.height}p` : `${Math.round(level.bitrate / 1000)}k`,
+    })).sort((a, b) => b.height - a.height || b.bitrate - a.bitrate);
+    art.rebaLevels = { engine, levels: described };
+    Promise.resolve().then(() => art.emit('reba:levels', art.rebaLevels)); // Deferred like reportPlaybackFailure
+}
+/**
+ * @function setEngineLevel
+ * @description Switches the current stream to one of its in-manifest levels without reloading it or dropping the buffer.
+ * @param {Artplayer} art
+ * @param {string} engine - The engine that reported the levels.
+ * @param {number} index - A level index from `reba:levels`, or -1 to hand control back to the engine's ABR.
+ * @returns {boolean} False if that engine isn't attached.
+ */
+function setEngineLevel(art, engine, index) {
+    if (engine === 'hls' && art.hls) {
+        art.hls.nextLevel = index; // Takes over at the next fragment (a keyframe) and keeps what is already buffered
+        return true;
+    }
+    if (engine === 'dash' && art.dash) {
+        art.dash.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: index < 0 } } } });
+        if (index >= 0) art.dash.setQualityFor('video', index);
+        return true;
+    }
+    return false;
+}
+/**
+ * @function capEngineLevels
+ * @description Keeps the engine's own ABR at or below a level height (data saver).
+ * @param {Artplayer} art
+ * @param {{engine: string, levels: Array<Object>}} engineLevels - As reported by `reba:levels`.
+ * @param {number} maxHeight - The tallest level allowed; Infinity lifts the cap.
+ */
+function capEngineLevels(art, { engine, levels }, maxHeight) {
+    const allowed = levels.filter(level => !level.height || level.height <= maxHeight);
+    const capped = allowed.length < levels.length;
+    const top = allowed[0] || levels[levels.length - 1]; // Levels are highest first; the lowest if none fit
+    if (engine === 'hls' && art.hls) {
+        art.hls.autoLevelCapping = capped ? top.index : -1;
+    } else if (engine === 'dash' && art.dash) {
+        art.dash.updateSettings({ streaming: { abr: { maxBitrate: { video: capped ? Math.ceil(top.bitrate / 1000) : -1 } } } }); // kbit/s
+    }
+}
+// --- Seamless Switching ---
+const SWITCH_BUFFER_LEAD = 2; // Seconds past currentTime where the hidden buffer starts
+const SWITCH_PRELOAD_TIMEOUT = 8000; // Give up on the hidden buffer (and reload instead) after this long
+/**
+ * @function attachBufferEngine
+ * @description Loads `url` into a video element outside Artplayer with the engine for its type, starting at
+ *              `startTime`. Its fragment loads count towards the data meter like the main stream's.
+ * @param {Object|null} [drm] - From resolveDrmConfig; protected renditions need their own license session.
+ * @returns {function(): void|null} Tears the engine down; null if this browser can't play the type.
+ */
+function attachBufferEngine(art, video, url, type, startTime, drm = null) {
+    if (type === 'm3u8' && typeof Hls !== 'undefined' && Hls.isSupported()) {
+        const hls = new Hls({ startPosition: startTime, ...hlsDrmConfig(drm) });
+        hls.on(Hls.Events.FRAG_LOADED, (event, data) => art.emit('reba:bytes', data.frag.stats?.loaded || 0));
+        hls.loadSource(url);
+        hls.attachMedia(video);
+        return () => hls.destroy();
+    }
+    if (type === 'mpd' && typeof dashjs !== 'undefined' && dashjs.supportsMediaSource()) {
+        const dash = dashjs.MediaPlayer().create();
+        applyDashDrm(dash, drm);
+        dash.on(dashjs.MediaPlayer.events.FRAGMENT_LOADING_COMPLETED, (event) => art.emit('reba:bytes', event.request?.bytesLoaded || 0));
+        dash.initialize(video, url, false, startTime);
+        return () => dash.destroy();
+    }
+    if (drm) return null; // Native playback is only used for clear streams
+    if ((type === 'm3u8' && video.canPlayType('application/vnd.apple.mpegurl')) || ((type === 'mp4' || type === 'webm') && video.canPlayType(`video/${type}`))) {
+        video.src = `${url}#t=${startTime}`;
+        return () => {
+            video.removeAttribute('src');
+            video.load();
+        };
+    }
+    return null;
+}
+/**
+ * @function preloadRendition
+ * @description Buffers a rendition in a hidden video stacked over the main one, a little ahead of the current position,
+ *              and parks it on the cut-over point: the keyframe that starts the buffered segment, when that is still
+ *              ahead of playback. If playback overtakes the cut-over point while the buffer loads, the buffer is moved
+ *              ahead again, until SWITCH_PRELOAD_TIMEOUT.
+ * @param {Artplayer} art
+ * @param {{url: string, type: string}} playback - The target rendition.
+ * @param {AbortSignal} [signal] - Aborting discards the buffer.
+ * @param {Object|null} [drm] - From resolveDrmConfig.
+ * @returns {Promise<{video: HTMLVideoElement, cutAt: number, discard: function(): void}>}
+ */
+function preloadRendition(art, { url, type }, signal, drm = null) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        video.className = 'reba-switch-buffer';
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.style.objectFit = getComputedStyle(art.video).objectFit;
+        let target = art.currentTime + SWITCH_BUFFER_LEAD;
+        const detach = attachBufferEngine(art, video, url, type, target, drm);
+        if (!detach) {
+            reject(new Error(`No engine for '${type}'`));
+            return;
+        }
+        art.video.insertAdjacentElement('afterend', video);
+        const discard = () => {
+            detach();
+            video.remove();
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            video.removeEventListener('error', onError);
+            video.removeEventListener('canplay', onCanPlay);
+            video.removeEventListener('seeked', onRetargeted);
+        };
+        const fail = (error) => {
+            cleanup();
+            discard();
+            reject(error);
+        };
+        const onAbort = () => fail(new DOMException('Switch superseded', 'AbortError'));
+        const onError = () => fail(new Error('Preload failed'));
+        const onRetargeted = () => {
+            if (video.readyState >= 3) onCanPlay(); // HAVE_FUTURE_DATA: the new target was already buffered
+            else video.addEventListener('canplay', onCanPlay);
+        };
+        const onCanPlay = () => {
+            video.removeEventListener('canplay', onCanPlay);
+            if (target <= art.currentTime + 0.2) {
+                // Playback passed the target while the buffer loaded; parking there would jump back
+                target = art.currentTime + SWITCH_BUFFER_LEAD;
+                video.addEventListener('seeked', onRetargeted, { once: true });
+                video.currentTime = target;
+                return;
+            }
+            // Segments start on keyframes, so the start of the buffered range holding the target is one
+            let cutAt = target;
+            for (let i = 0; i < video.buffered.length; i++) {
+                const start = video.buffered.start(i);
+                if (start <= target && video.buffered.end(i) >= target && start > art.currentTime + 0.2) cutAt = start;
+            }
+            const ready = () => {
+                cleanup();
+                resolve({ video, cutAt, discard });
+            };
+            if (Math.abs(video.currentTime - cutAt) < 0.05) {
+                ready();
+            } else {
+                video.addEventListener('seeked', ready, { once: true });
+                video.currentTime = cutAt;
+            }
+        };
+        const timer = setTimeout(() => fail(new Error('Preload timed out')), SWITCH_PRELOAD_TIMEOUT);
+        signal?.addEventListener('abort', onAbort);
+        video.addEventListener('error', onError);
+        video.addEventListener('canplay', onCanPlay);
+    });
+}
+/**
+ * @function switchRenditionSeamlessly
+ * @description Switches the main video to another rendition without a black frame or visible rebuffer. The target is
+ *              preloaded in a hidden buffer; when playback reaches the buffer's keyframe the buffer is shown (with sound)
+ *              while the main video reloads muted underneath, then removed once the main video has caught up.
+ * @param {Artplayer} art
+ * @param {{url: string, type: string}} playback - The target rendition.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - A newer switch aborts this one (rejects with an AbortError).
+ * @param {function(string): void} [options.log] - Told why a switch falls back.
+ * @param {Object|null} [options.drm] - The episode's DRM config (see resolveDrmConfig).
+ * @returns {Promise<boolean>} False if nothing visible changed because the buffer couldn't take over (the preload
+ *          failed, playback passed the cut-over point, the user seeked, or playback stopped); the caller should reload instead.
+ */
+async function switchRenditionSeamlessly(art, playback, { signal, log = () => { }, drm = null } = {}) {
+    let buffer;
+    try {
+        buffer = await preloadRendition(art, playback, signal, drm);
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        log(`Seamless switch unavailable: ${error.message}`);
+        return false;
+    }
+    const { video, cutAt, discard } = buffer;
+    const main = art.video;
+    if (cutAt <= main.currentTime) {
+        // Playback passed the cut-over point while the buffer was parked; cutting now would jump backwards
+        discard();
+        log('Seamless switch abandoned: playback passed the cut-over point');
+        return false;
+    }
+    // Wait for playback to reach the cut-over keyframe; a seek or pause in the meantime makes the buffer stale
+    const reached = await new Promise((resolve) => {
+        const deadline = Date.now() + (cutAt - main.currentTime) * 1000 / (main.playbackRate || 1) + 3000;
+        const poll = () => {
+            if (signal?.aborted || main.seeking || main.paused || Date.now() > deadline || main.currentTime < cutAt - SWITCH_BUFFER_LEAD * 2) {
+                resolve(false);
+            } else if (main.currentTime >= cutAt - 0.04) {
+                resolve(true);
+            } else {
+                setTimeout(poll, 20);
+            }
+        };
+        poll();
+    });
+    if (!reached) {
+        discard();
+        if (signal?.aborted) throw new DOMException('Switch superseded', 'AbortError');
+        log('Seamless switch abandoned: playback moved before the cut-over');
+        return false;
+    }
+    const mainMuted = main.muted;
+    video.muted = mainMuted;
+    video.volume = main.volume;
+    video.playbackRate = main.playbackRate;
+    try {
+        await video.play();
+    } catch (error) {
+        discard(); // Autoplay with sound refused; nothing is visible yet
+        log(`Seamless switch unavailable: ${error.message}`);
+        return false;
+    }
+    // Cut over: the buffer covers the reload, with the main video muted underneath
+    video.classList.add('visible');
+    main.muted = true;
+    art.template.$player.classList.add('reba-switching');
+    try {
+        await art.switchQuality(playback.url);
+        main.currentTime = video.currentTime; // Catch up with the buffer, which kept playing
+        await waitForArtEvent(art, 'video:seeked', 5000);
+        if (main.paused) await art.play();
+        return true;
+    } finally {
+        main.muted = mainMuted;
+        art.template.$player.classList.remove('reba-switching');
+        discard();
+    }
+}
+/**
+ * @typedef {Object} AuthProvider
+ * @property {function({forceRefresh: boolean}): Promise<string>} getToken - Resolves the bearer token for API calls.
+ *           Called with `forceRefresh: true` after the API rejected the previous token with a 401.
+ */
+/**
+ * @function authorizedFetch
+ * @description fetch() with the auth provider's bearer token. On a 401 the token is refreshed once and the request is sent again.
+ * @param {string} url - The request URL.
+ * @param {RequestInit} [options] - Standard fetch options.
+ * @param {AuthProvider} [auth] - Without one the request is sent unauthenticated.
+ * @returns {Promise<Response>}
+ */
+async function authorizedFetch(url, options = {}, auth) {
+    if (!auth) return fetch(url, options);
+    const send = async (forceRefresh) => {
+        const token = await auth.getToken({ forceRefresh });
+        const headers = new Headers(options.headers);
+        if (token) headers.set('Authorization', `Bearer ${token}`);
+        return fetch(url, { ...options, headers });
+    };
+    const response = await send(false);
+    return response.status === 401 ? send(true) : response;
+}
+/**
+ * @class HttpError
+ * @description A non-2xx API response. `retryAfter` holds the server's Retry-After in milliseconds, or null.
+ */
+class HttpError extends Error {
+    constructor(response) {
+        super(`API request failed with status ${response.status}`);
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    }
+}
+/**
+ * @function parseRetryAfter
+ * @description Converts a Retry-After header (delay in seconds or an HTTP date) to milliseconds.
+ * @param {string|null} value - The header value.
+ * @returns {number|null} Milliseconds to wait, or null when absent or unreadable.
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+/**
+ * @function isRetryableError
+ * @description Only network failures, 5xx and 429 can succeed on a later attempt; other 4xx never will.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    if (error instanceof HttpError) return error.status >= 500 || error.status === 429;
+    return error instanceof TypeError; // fetch() rejects with a TypeError when the network fails
+}
+/**
+ * @function retryDelay
+ * @description Exponential backoff with jitter for the given retry, or the server's Retry-After when it sent one.
+ * @param {Error} error - The failure being retried (an HttpError may carry `retryAfter`).
+ * @param {number} retry - 1 for the first retry, 2 for the second, …
+ * @param {number} baseDelay - Backoff before the first retry in ms.
+ * @param {number} maxDelay - Upper bound for the backoff in ms.
+ * @returns {number} Milliseconds to wait.
+ */
+function retryDelay(error, retry, baseDelay, maxDelay) {
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** (retry - 1));
+    return error.retryAfter ?? backoff / 2 + Math.random() * backoff / 2; // Jitter spreads out clients retrying together
+}
+/**
+ * @function abortableDelay
+ * @description Waits `ms` milliseconds, rejecting with the signal's reason as soon as it aborts.
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+/**
+ * @function fetchWithRetry
+ * @description Fetches JSON, retrying network errors, 5xx and 429 with exponential backoff and jitter.
+ *              A 429's Retry-After is honoured instead of the backoff. Other errors fail straight away.
+ * @param {string} url - The request URL.
+ * @param {RequestInit} [options] - Standard fetch options (without `signal`).
+ * @param {Object} [retryOptions]
+ * @param {number} [retryOptions.retries=4] - Retries after the first attempt.
+ * @param {number} [retryOptions.baseDelay=1000] - Backoff before the first retry in ms; doubles on each retry.
+ * @param {number} [retryOptions.maxDelay=30000] - Upper bound for a single backoff in ms.
+ * @param {number} [retryOptions.timeout=60000] - Overall time budget in ms across all attempts (0 = none).
+ * @param {AbortSignal} [retryOptions.signal] - Cancels the request and any pending retry.
+ * @param {AuthProvider} [retryOptions.auth] - Supplies the bearer token (see authorizedFetch).
+ * @param {function({retry: number, retries: number, delay: number, error: Error}): void} [retryOptions.onRetry]
+ *        Called before each retry, e.g. to show "Retrying (2/4)…".
+ * @returns {Promise<*>} The parsed JSON body. Rejects with the last error, or the abort/timeout reason.
+ */
+async function fetchWithRetry(url, options = {}, { retries = 4, baseDelay = 1000, maxDelay = 30000, timeout = 60000, signal, auth, onRetry } = {}) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    if (signal?.aborted) abort();
+    else if (signal) signal.addEventListener('abort', abort, { once: true });
+    const timeoutTimer = timeout ? setTimeout(() => {
+        controller.abort(new DOMException(`Request timed out after ${timeout}ms`, 'TimeoutError'));
+    }, timeout) : null;
+    try {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await authorizedFetch(url, { ...options, signal: controller.signal }, auth);
+                if (!response.ok) throw new HttpError(response);
+                return await response.json(); // success
+            } catch (error) {
+                if (controller.signal.aborted) throw controller.signal.reason;
+                if (attempt > retries || !isRetryableError(error)) throw error;
+                const delay = retryDelay(error, attempt, baseDelay, maxDelay);
+                console.warn(`Attempt ${attempt} failed: ${error.message}. Retrying in ${Math.round(delay)}ms`);
+                if (onRetry) onRetry({ retry: attempt, retries, delay, error });
+                await abortableDelay(delay, controller.signal);
+            }
+        }
+    } finally {
+        clearTimeout(timeoutTimer);
+        if (signal) signal.removeEventListener('abort', abort);
+    }
+}
+/**
+ * @function waitForArtEvent
+ * @description Resolves with the first argument of the next `name` event on an Artplayer instance.
+ * @param {Artplayer} art - The player to listen on.
+ * @param {string} name - The event name, e.g. 'video:seeked'.
+ * @param {number} [timeout=10000] - Milliseconds before giving up.
+ * @returns {Promise<*>} Rejects if the event does not fire in time.
+ */
+function waitForArtEvent(art, name, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        const onEvent = (value) => {
+            clearTimeout(timer);
+            art.off(name, onEvent);
+            resolve(value);
+        };
+        const timer = setTimeout(() => {
+            art.off(name, onEvent);
+            reject(new Error(`Timed out waiting for '${name}'`));
+        }, timeout);
+        art.on(name, onEvent);
+    });
+}
+// --- Persistent Storage ---
+const PLAYER_DB_NAME = 'rebaPlayer';
+const PLAYER_DB_VERSION = 3;
+let playerDatabasePromise = null;
+/**
+ * @function openPlayerDatabase
+ * @description Opens the player's IndexedDB database once per page, creating its object stores on upgrade.
+ * @returns {Promise<IDBDatabase>} Rejects where IndexedDB is unavailable (e.g. some private browsing modes).
+ */
+function openPlayerDatabase() {
+    if (!playerDatabasePromise) {
+        playerDatabasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(PLAYER_DB_NAME, PLAYER_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('analyticsQueue')) db.createObjectStore('analyticsQueue', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains('progress')) {
+                    const progress = db.createObjectStore('progress', { keyPath: 'movieId' });
+                    progress.createIndex('episodeId', 'episodeId');
+                    progress.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains('episodeHistory')) {
+                    const history = db.createObjectStore('episodeHistory', { keyPath: 'episodeId' });
+                    history.createIndex('movieId', 'movieId');
+                    history.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => db.close(); // Let a newer version of the player upgrade the schema
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return playerDatabasePromise;
+}
+/**
+ * @function runStoreTransaction
+ * @description Runs `operation` against one object store and resolves with its request's result once the transaction commits.
+ * @param {string} storeName - The object store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): (IDBRequest|void)} operation - Issues the requests.
+ * @returns {Promise<*>}
+ */
+async function runStoreTransaction(storeName, mode, operation) {
+    const db = await openPlayerDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+// --- Progress Store ---
+const CONTINUE_WATCHING_KEY = 'continuewatching'; // Legacy localStorage list, newest first
+const EPISODE_HISTORY_KEY = 'episodehistory'; // localStorage fallback for the episode history
+let progressMigration = null;
+function readLegacyProgress() {
+    try {
+        const list = JSON.parse(localStorage.getItem(CONTINUE_WATCHING_KEY) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+/**
+ * @function toEpisodeHistoryRecord
+ * @description The per-episode history entry for a progress update. Once finished, an episode stays finished on rewatch.
+ * @param {Object} episodeData - The episode with its `continueWatching`.
+ * @param {Object} [previous] - The episode's existing history entry.
+ * @param {CompletionPolicy} policy - Decides whether the episode is finished.
+ * @returns {Object} `{ episodeId, movieId, position, continueWatching, finished, updatedAt }`
+ */
+function toEpisodeHistoryRecord(episodeData, previous, policy) {
+    return {
+        episodeId: episodeData.episodeId,
+        movieId: episodeData.movieId,
+        position: episodeData.position,
+        continueWatching: episodeData.continueWatching,
+        finished: Boolean(previous?.finished) || policy.isFinished(episodeData),
+        updatedAt: Date.now(),
+    };
+}
+function readLegacyHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(EPISODE_HISTORY_KEY) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+/**
+ * @function migrateLegacyProgress
+ * @description Copies the legacy localStorage list into IndexedDB once (without overwriting newer records) and removes it.
+ * @returns {Promise<boolean>} Whether IndexedDB is usable; if not, ProgressStore keeps using localStorage.
+ */
+async function migrateLegacyProgress() {
+    try {
+        await openPlayerDatabase();
+    } catch (error) {
+        console.warn("ProgressStore: IndexedDB unavailable, using localStorage:", error.message);
+        return false;
+    }
+    const legacy = readLegacyProgress();
+    try {
+        if (legacy.length) {
+            const now = Date.now();
+            await runStoreTransaction('progress', 'readwrite', store => {
+                legacy.forEach((item, index) => {
+                    if (!item || !item.movieId) return;
+                    const existing = store.get(item.movieId);
+                    existing.onsuccess = () => {
+                        if (!existing.result) store.put({ ...item, updatedAt: now - index }); // Keep the list's order
+                    };
+                });
+            });
+        }
+        localStorage.removeItem(CONTINUE_WATCHING_KEY);
+    } catch (error) {
+        console.error("ProgressStore: migration failed, will retry on next load:", error);
+    }
+    return true;
+}
+/**
+ * @class ProgressStore
+ * @description Continue-watching progress: one IndexedDB record per title, keyed by movieId and indexed by
+ *              episodeId and updatedAt. Only the `capacity` most recently updated titles are kept.
+ *              Alongside it, an episode history keeps one record per episode (see toEpisodeHistoryRecord), so a
+ *              series knows which episodes were finished or partly watched. Removing a title from the
+ *              continue-watching list keeps its history.
+ *              Falls back to localStorage where IndexedDB is unavailable.
+ * @param {Object} [options]
+ * @param {number} [options.capacity=15] - Titles to keep.
+ * @param {number} [options.historyCapacity=2000] - Episodes to keep in the history.
+ * @param {CompletionPolicy} [options.completionPolicy] - Marks history entries finished.
+ */
+class ProgressStore {
+    constructor({ capacity = 15, historyCapacity = 2000, completionPolicy = new CompletionPolicy() } = {}) {
+        this.capacity = capacity;
+        this.historyCapacity = historyCapacity;
+        this.completionPolicy = completionPolicy;
+    }
+
+    ready() {
+        if (!progressMigration) progressMigration = migrateLegacyProgress();
+        return progressMigration;
+    }
+
+    /**
+     * @method list
+     * @returns {Promise<Array<Object>>} Saved entries, most recently updated first.
+     */
+    async list() {
+        if (!(await this.ready())) return readLegacyProgress();
+        const records = await runStoreTransaction('progress', 'readonly', store => store.index('updatedAt').getAll());
+        return records.reverse();
+    }
+
+    /**
+     * @method get
+     * @param {string} movieId
+     * @returns {Promise<Object|null>} The saved entry for a title.
+     */
+    async get(movieId) {
+        if (!(await this.ready())) return readLegacyProgress().find(item => item.movieId === movieId) || null;
+        return (await runStoreTransaction('progress', 'readonly', store => store.get(movieId))) || null;
+    }
+
+    /**
+     * @method save
+     * @description Stores an episode as its title's progress (without video links) and trims the store to capacity.
+     * @param {Object} episodeData - The episode, with `continueWatching`.
+     * @returns {Promise<Array<Object>>} The updated list.
+     */
+    async save(episodeData) {
+        const record = { ...episodeData, updatedAt: Date.now() };
+        delete record.video;
+        if (!(await this.ready())) {
+            const list = [record, ...readLegacyProgress().filter(item => item.movieId !== record.movieId)].slice(0, this.capacity);
+            localStorage.setItem(CONTINUE_WATCHING_KEY, JSON.stringify(list));
+            if (record.episodeId) {
+                const history = readLegacyHistory();
+                history[record.episodeId] = toEpisodeHistoryRecord(record, history[record.episodeId], this.completionPolicy);
+                localStorage.setItem(EPISODE_HISTORY_KEY, JSON.stringify(history));
+            }
+            return list;
+        }
+        await runStoreTransaction('progress', 'readwrite', store => {
+            store.put(record);
+            this.trim(store, this.capacity);
+        });
+        if (record.episodeId) {
+            await runStoreTransaction('episodeHistory', 'readwrite', store => {
+                const previous = store.get(record.episodeId);
+                previous.onsuccess = () => {
+                    store.put(toEpisodeHistoryRecord(record, previous.result, this.completionPolicy));
+                    this.trim(store, this.historyCapacity);
+                };
+            });
+        }
+        return this.list();
+    }
+
+    /**
+     * @method trim
+     * @description Within a readwrite transaction, deletes the least recently updated records beyond `capacity`.
+     */
+    trim(store, capacity) {
+        const count = store.count();
+        count.onsuccess = () => {
+            let excess = count.result - capacity;
+            if (excess <= 0) return;
+            const cursor = store.index('updatedAt').openCursor(); // Oldest first
+            cursor.onsuccess = () => {
+                if (!cursor.result || excess-- <= 0) return;
+                cursor.result.delete();
+                cursor.result.continue();
+            };
+        };
+    }
+
+    /**
+     * @method episodeHistory
+     * @param {string} movieId
+     * @returns {Promise<Map<string, Object>>} The title's history records by episodeId.
+     */
+    async episodeHistory(movieId) {
+        const records = (await this.ready())
+            ? await runStoreTransaction('episodeHistory', 'readonly', store => store.index('movieId').getAll(movieId))
+            : Object.values(readLegacyHistory()).filter(record => record.movieId === movieId);
+        return new Map(records.map(record => [record.episodeId, record]));
+    }
+
+    /**
+     * @method remove
+     * @param {string} movieId
+     * @returns {Promise<Array<Object>>} The updated list.
+     */
+    async remove(movieId) {
+        return this.removeWhere(item => item.movieId === movieId).then(() => this.list());
+    }
+
+    /**
+     * @method removeWhere
+     * @param {function(Object): boolean} predicate - Returns true for entries to delete.
+     * @returns {Promise<number>} How many entries were deleted.
+     */
+    async removeWhere(predicate) {
+        if (!(await this.ready())) {
+            const list = readLegacyProgress();
+            const kept = list.filter(item => !predicate(item));
+            if (kept.length !== list.length) localStorage.setItem(CONTINUE_WATCHING_KEY, JSON.stringify(kept));
+            return list.length - kept.length;
+        }
+        let removed = 0;
+        await runStoreTransaction('progress', 'readwrite', store => {
+            const cursor = store.openCursor();
+            cursor.onsuccess = () => {
+                if (!cursor.result) return;
+                if (predicate(cursor.result.value)) {
+                    cursor.result.delete();
+                    removed++;
+                }
+                cursor.result.continue();
+            };
+        });
+        return removed;
+    }
+}
+// --- Analytics Queue ---
+/**
+ * @class AnalyticsQueue
+ * @description A write-ahead queue for analytics POSTs (S/E markers, view pings). Calls are stored in IndexedDB
+ *              before sending, so they survive dropped connections and reloads. They are then delivered with
+ *              exponential backoff, when the browser comes back online, and via sendBeacon when the page is hidden.
+ *              With a `batchUrl` each flush round posts its calls as one request; without one every call is its own POST.
+ *              Entries are keyed: enqueueing a key that is still pending replaces it instead of sending twice.
+ *              Each call carries its own auth provider, so players signed in as different users can share the queue.
+ *              Falls back to an in-memory queue where IndexedDB is unavailable. Use getAnalyticsQueue() for the shared one.
+ * @param {Object} [options]
+ * @param {string} [options.batchUrl] - Receives `{ calls: [{ url, body }] }` and answers 2xx once every call is stored.
+ * @param {number} [options.batchSize=10] - Calls per flush round: one batch request, or that many POSTs in parallel.
+ * @param {number} [options.baseDelay=2000] - Backoff before the first retry in ms.
+ * @param {number} [options.maxDelay=300000] - Upper bound for the backoff in ms.
+ * @param {number} [options.maxAttempts=20] - Attempts before a call is dropped.
+ */
+class AnalyticsQueue {
+    constructor({ batchUrl = null, batchSize = 10, baseDelay = 2000, maxDelay = 300000, maxAttempts = 20 } = {}) {
+        this.batchUrl = batchUrl;
+        this.batchSize = batchSize;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.maxAttempts = maxAttempts;
+        this.entries = new Map(); // Last known queue contents; the only copy when IndexedDB is unavailable
+        this.unpersisted = new Set(); // Keys whose IndexedDB write failed; readAll() keeps their in-memory entries
+        this.inFlight = new Set(); // Ids of entries being sent, so the pagehide beacon does not send them again
+        this.auths = new Map(); // Entry key -> AuthProvider; providers are functions and cannot be stored in IndexedDB
+        this.endpointAuths = new Map(); // URL -> the provider of the last call to it, for calls left from earlier visits
+        this.flushing = null;
+        this.flushTimer = null;
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('pagehide', () => this.flushWithBeacon());
+    }
+
+    /**
+     * @method enqueue
+     * @description Stores a POST and starts delivering it.
+     * @param {string} url - The endpoint.
+     * @param {Object} body - The JSON body.
+     * @param {string} [key] - De-duplication key; a pending entry with the same key is replaced.
+     * @param {AuthProvider} [auth] - Supplies the bearer token for this call.
+     * @returns {Promise<void>} Resolves once the call is stored, not when it is delivered.
+     */
+    async enqueue(url, body, key = `${url}:${Date.now()}:${Math.random().toString(36).slice(2)}`, auth = null) {
+        const entry = { key, id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, url, body, authenticated: Boolean(auth), attempts: 0, nextAttemptAt: 0 };
+        this.entries.set(key, entry);
+        if (auth) {
+            this.auths.set(key, auth);
+            this.endpointAuths.set(url, auth);
+        } else {
+            this.auths.delete(key);
+        }
+        try {
+            await runStoreTransaction('analyticsQueue', 'readwrite', store => store.put(entry));
+            this.unpersisted.delete(key);
+        } catch (error) {
+            this.unpersisted.add(key);
+        }
+        this.flush();
+    }
+
+    /**
+     * @method authFor
+     * @description The auth provider for an entry: the one it was enqueued with, or for a call left from an earlier
+     *              visit, the one of the latest call to the same endpoint. Undefined while an authenticated call has none yet.
+     * @returns {AuthProvider|null|undefined}
+     */
+    authFor(entry) {
+        if (!entry.authenticated) return null;
+        return this.auths.get(entry.key) || this.endpointAuths.get(entry.url);
+    }
+
+    /**
+     * @method flush
+     * @description Sends every due entry. Concurrent calls share the same run.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.sendDue()
+                .catch(error => console.warn('AnalyticsQueue: flush failed:', error))
+                .finally(() => {
+                    this.flushing = null;
+                });
+        }
+        return this.flushing;
+    }
+
+    async sendDue() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (navigator.onLine === false) return; // The 'online' listener resumes delivery
+        const sendable = entries => entries.filter(entry => this.authFor(entry) !== undefined);
+        let entries = sendable(await this.readAll());
+        let due = entries.filter(entry => entry.nextAttemptAt <= Date.now());
+        while (due.length) {
+            const round = due.slice(0, this.batchSize);
+            if (this.batchUrl) {
+                // A batch request carries one Authorization header, so calls with different providers go separately
+                const groups = new Map();
+                round.forEach(entry => {
+                    const auth = this.authFor(entry);
+                    groups.set(auth, [...(groups.get(auth) || []), entry]);
+                });
+                await Promise.all([...groups].map(([auth, group]) => this.send(group, auth)));
+            } else {
+                await Promise.all(round.map(entry => this.send([entry], this.authFor(entry))));
+            }
+            entries = sendable(await this.readAll());
+            due = entries.filter(entry => entry.nextAttemptAt <= Date.now());
+        }
+        if (entries.length) {
+            const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+            this.flushTimer = setTimeout(() => this.flush(), Math.max(0, nextAttemptAt - Date.now()));
+        }
+    }
+
+    async send(entries, auth) {
+        const batched = Boolean(this.batchUrl);
+        entries.forEach(entry => this.inFlight.add(entry.id));
+        try {
+            const response = await authorizedFetch(batched ? this.batchUrl : entries[0].url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(batched ? { calls: entries.map(({ url, body }) => ({ url, body })) } : entries[0].body),
+                keepalive: true
+            }, auth);
+            if (!response.ok) throw new HttpError(response);
+            await Promise.all(entries.map(entry => this.settle(entry, null)));
+        } catch (error) {
+            await Promise.all(entries.map(entry => {
+                const attempts = entry.attempts + 1;
+                if (!isRetryableError(error) || attempts >= this.maxAttempts) {
+                    console.warn(`AnalyticsQueue: dropping ${entry.key}: ${error.message}`);
+                    return this.settle(entry, null);
+                }
+                const nextAttemptAt = Date.now() + retryDelay(error, attempts, this.baseDelay, this.maxDelay);
+                return this.settle(entry, { attempts, nextAttemptAt });
+            }));
+        } finally {
+            entries.forEach(entry => this.inFlight.delete(entry.id));
+        }
+    }
+
+    /**
+     * @method flushWithBeacon
+     * @description On pagehide, hands every pending unauthenticated entry to navigator.sendBeacon, which outlives the page.
+     *              Beacons cannot carry an Authorization header, so authenticated entries wait for the next visit; entries
+     *              already being sent are skipped. Entries are removed before the beacon goes out, because an IndexedDB
+     *              delete started afterwards may not commit before the page is gone; a refused beacon puts them back.
+     */
+    flushWithBeacon() {
+        if (!navigator.sendBeacon) return;
+        const entries = [...this.entries.values()].filter(entry => !entry.authenticated && !this.inFlight.has(entry.id));
+        if (!entries.length) return;
+        entries.forEach(entry => this.entries.delete(entry.key));
+        runStoreTransaction('analyticsQueue', 'readwrite', store => entries.forEach(entry => store.delete(entry.key))).catch(() => { });
+        const refused = entries.filter(entry => {
+            const body = new Blob([JSON.stringify(entry.body)], { type: 'application/json' });
+            return !navigator.sendBeacon(entry.url, body);
+        });
+        if (!refused.length) return;
+        refused.forEach(entry => this.entries.set(entry.key, entry));
+        runStoreTransaction('analyticsQueue', 'readwrite', store => refused.forEach(entry => store.put(entry))).catch(() => { });
+    }
+
+    async readAll() {
+        try {
+            const stored = await runStoreTransaction('analyticsQueue', 'readonly', store => store.getAll());
+            const entries = new Map(stored.map(entry => [entry.key, entry]));
+            this.unpersisted.forEach(key => {
+                if (entries.has(key)) this.unpersisted.delete(key);
+                else if (this.entries.has(key)) entries.set(key, this.entries.get(key));
+                else this.unpersisted.delete(key);
+            });
+            this.entries = entries;
+        } catch (error) {
+            // No IndexedDB: the in-memory entries are the queue
+        }
+        return [...this.entries.values()];
+    }
+
+    /**
+     * @method settle
+     * @description Removes a sent entry (changes = null) or records a failed attempt, unless the entry was replaced
+     *              by a newer call with the same key while it was in flight.
+     */
+    async settle(entry, changes) {
+        const apply = (current, write, remove) => {
+            if (!current || current.id !== entry.id) return;
+            if (changes) write({ ...current, ...changes });
+            else remove(entry.key);
+        };
+        apply(this.entries.get(entry.key), updated => this.entries.set(entry.key, updated), key => {
+            this.entries.delete(key);
+            this.unpersisted.delete(key);
+            this.auths.delete(key);
+        });
+        await runStoreTransaction('analyticsQueue', 'readwrite', store => {
+            const request = store.get(entry.key);
+            request.onsuccess = () => apply(request.result, updated => store.put(updated), key => store.delete(key));
+        }).catch(() => { });
+    }
+}
+/**
+ * @class PlaybackAnalytics
+ * @description Quality-of-experience events for one player. Each episode playback is a session with its own id.
+ *              Event types: session_start, first_frame (startupTime), rebuffer_start/rebuffer_end (duration),
+ *              quality_switch, seek, ad_impression, error, completion, and a periodic heartbeat. The heartbeat carries
+ *              watch time, rebuffer time and stall ratio. Every event also carries the episode, quality, stream type
+ *              and CDN host, so startup time and stall ratio can be compared per CDN. Events are buffered and posted
+ *              in batches ({ userId, events }) through the AnalyticsQueue.
+ * @param {Object} options
+ * @param {string} options.url - The collector endpoint.
+ * @param {AnalyticsQueue} options.queue - Delivers the batches.
+ * @param {AuthProvider} [options.auth]
+ * @param {string} [options.userId] - Sent with every batch.
+ * @param {number} [options.heartbeatInterval=30000] - Milliseconds between heartbeats while a session is open.
+ * @param {number} [options.flushInterval=15000] - Longest an event waits in the buffer, in ms.
+ * @param {number} [options.batchSize=20] - Events per batch; a full buffer is sent right away.
+ */
+class PlaybackAnalytics {
+    constructor({ url, queue, auth = null, userId, heartbeatInterval = 30000, flushInterval = 15000, batchSize = 20 }) {
+        this.url = url;
+        this.queue = queue;
+        this.auth = auth;
+        this.userId = userId;
+        this.heartbeatInterval = heartbeatInterval;
+        this.flushInterval = flushInterval;
+        this.batchSize = batchSize;
+        this.buffer = [];
+        this.session = null;
+        this.heartbeatTimer = null;
+        this.flushTimer = null;
+        this.pageHideHandler = () => {
+            this.heartbeat();
+            this.flush();
+            this.queue.flushWithBeacon(); // The queue's own pagehide listener already ran before this batch was added
+        };
+        window.addEventListener('pagehide', this.pageHideHandler);
+    }
+
+    /**
+     * @method startSession
+     * @description Closes the current session and opens one for `episode` playing from `playback`.
+     * @param {Object} episode - The episode being loaded.
+     * @param {{url: string, quality: string, type: string}} playback - What determinePlaybackQualityAndUrl picked.
+     */
+    startSession(episode, playback) {
+        this.endSession();
+        this.session = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            seq: 0,
+            startedAt: performance.now(),
+            firstFrame: false,
+            rebufferStartedAt: null,
+            seekingFrom: null,
+            watchTime: 0, // Seconds since the last heartbeat
+            rebufferTime: 0, // Milliseconds since the last heartbeat
+            context: {
+                episodeId: episode.episodeId,
+                movieId: episode.movieId,
+                ...this.describePlayback(playback),
+            },
+        };
+        this.track('session_start');
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+    }
+
+    /**
+     * @method endSession
+     * @description Sends the last heartbeat of the open session, if any, and stops its timer.
+     */
+    endSession() {
+        if (!this.session) return;
+        this.heartbeat();
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.session = null;
+    }
+
+    describePlayback({ url, quality, type }) {
+        let cdn = null;
+        try {
+            cdn = new URL(url, window.location.href).host;
+        } catch (error) {
+            // Leave the CDN unknown for unparsable URLs
+        }
+        return { quality, type, cdn };
+    }
+
+    /**
+     * @method switchPlayback
+     * @description Records a quality (or CDN) change within the session.
+     * @param {{url: string, quality: string, type: string}} playback - The new rendition.
+     * @param {{method?: string, latency?: number}} [details] - How the switch was made ('seamless', 'reload' or 'level')
+     *        and how long it took in milliseconds.
+     */
+    switchPlayback(playback, details = {}) {
+        if (!this.session) return;
+        const from = this.session.context.quality;
+        Object.assign(this.session.context, this.describePlayback(playback));
+        this.track('quality_switch', { from, to: playback.quality, ...details });
+    }
+
+    /**
+     * @method playing
+     * @description Call on 'video:playing': records the first frame and closes an open rebuffer.
+     */
+    playing() {
+        if (!this.session) return;
+        if (!this.session.firstFrame) {
+            this.session.firstFrame = true;
+            this.track('first_frame', { startupTime: Math.round(performance.now() - this.session.startedAt) });
+        }
+        this.rebufferEnd();
+    }
+
+    /**
+     * @method waiting
+     * @description Call on 'video:waiting'. Stalls before the first frame or during a seek are not rebuffers.
+     */
+    waiting() {
+        const session = this.session;
+        if (!session || !session.firstFrame || session.seekingFrom !== null || session.rebufferStartedAt !== null) return;
+        session.rebufferStartedAt = performance.now();
+        this.track('rebuffer_start');
+    }
+
+    rebufferEnd() {
+        const session = this.session;
+        if (!session || session.rebufferStartedAt === null) return;
+        const duration = performance.now() - session.rebufferStartedAt;
+        session.rebufferStartedAt = null;
+        session.rebufferTime += duration;
+        this.track('rebuffer_end', { duration: Math.round(duration) });
+    }
+
+    seeking(from) {
+        if (this.session && this.session.seekingFrom === null) this.session.seekingFrom = from;
+    }
+
+    seeked(to) {
+        if (!this.session || this.session.seekingFrom === null) return;
+        const from = this.session.seekingFrom;
+        this.session.seekingFrom = null;
+        this.track('seek', { from, to });
+    }
+
+    /**
+     * @method addWatchTime
+     * @description Adds seconds of actual playback, as measured by the player's timeupdate tracking.
+     */
+    addWatchTime(seconds) {
+        if (this.session) this.session.watchTime += seconds;
+    }
+
+    adImpression(adType, adUrl) {
+        this.track('ad_impression', { adType, adUrl });
+    }
+
+    error(code, details) {
+        this.track('error', { code, details });
+    }
+
+    /**
+     * @method recovery
+     * @description Records an attempt to keep playback going after an engine error: an engine call such as
+     *              'startLoad' or 'recoverMediaError', or 'fallback' to another rendition.
+     * @param {{engine: string, action: string}} attempt - Plus whatever describes the error.
+     */
+    recovery(attempt) {
+        this.track('recovery', attempt);
+    }
+
+    completion() {
+        this.track('completion');
+    }
+
+    heartbeat() {
+        const session = this.session;
+        if (!session) return;
+        // An ongoing stall counts up to now
+        const rebufferTime = session.rebufferTime + (session.rebufferStartedAt !== null ? performance.now() - session.rebufferStartedAt : 0);
+        const watchMs = session.watchTime * 1000;
+        this.track('heartbeat', {
+            watchTime: Math.round(session.watchTime * 10) / 10,
+            rebufferTime: Math.round(rebufferTime),
+            stallRatio: watchMs + rebufferTime > 0 ? Math.round(rebufferTime / (watchMs + rebufferTime) * 1000) / 1000 : 0,
+        });
+        session.watchTime = 0;
+        session.rebufferTime = 0;
+        if (session.rebufferStartedAt !== null) session.rebufferStartedAt = performance.now();
+    }
+
+    track(type, data = {}) {
+        if (!this.session) return;
+        this.buffer.push({
+            type,
+            sessionId: this.session.id,
+            seq: ++this.session.seq,
+            at: Date.now(),
+            ...this.session.context,
+            data,
+        });
+        if (this.buffer.length >= this.batchSize) this.flush();
+        else if (!this.flushTimer) this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+
+    /**
+     * @method flush
+     * @description Hands the buffered events to the AnalyticsQueue as one batch.
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.buffer.length) return;
+        const events = this.buffer;
+        this.buffer = [];
+        this.queue.enqueue(this.url, { userId: this.userId, events }, `qoe:${events[0].sessionId}:${events[0].seq}`, this.auth);
+    }
+
+    /**
+     * @method stop
+     * @description Ends the session, sends what is buffered and removes the pagehide listener.
+     */
+    stop() {
+        this.endSession();
+        this.flush();
+        window.removeEventListener('pagehide', this.pageHideHandler);
     }
 }
-function _x(video, url, art) {
-    if (dashjs.supportsMediaSource()) {
-        if (art.dash) art.dash.destroy();
-        const dash = dashjs.MediaPlayer().create(); dash.initialize(video, url, art.option.autoplay); art.dash = dash;
-        art.on("destroy", () => dash.destroy());
-    } else {
-        art.notice.show = "Unsupported playback format: mpd";
+/**
+ * @class ProgressSync
+ * @description Carries continue-watching progress across devices. pull() fetches a title's server record when a player
+ *              mounts. push() sends the local record as a small delta at most every `pushInterval` per title, through
+ *              the AnalyticsQueue; a newer delta for a title replaces an undelivered one. See resolveProgressConflict.
+ * @param {Object} options
+ * @param {string} options.pullUrl - Returns `{ data: record | null }` for `{ userId, movieId }`.
+ * @param {string} options.pushUrl - Receives `{ userId, movieId, episodeId, position, continueWatching, updatedAt }`.
+ * @param {AnalyticsQueue} options.queue - Delivers the pushes.
+ * @param {AuthProvider} [options.auth]
+ * @param {string} [options.userId]
+ * @param {number} [options.timeout=5000] - How long a pull may delay the start of playback, in ms.
+ * @param {number} [options.pushInterval=30000] - Minimum ms between pushes of the same title.
+ */
+class ProgressSync {
+    constructor({ pullUrl, pushUrl, queue, auth = null, userId, timeout = 5000, pushInterval = 30000 }) {
+        this.pullUrl = pullUrl;
+        this.pushUrl = pushUrl;
+        this.queue = queue;
+        this.auth = auth;
+        this.userId = userId;
+        this.timeout = timeout;
+        this.pushInterval = pushInterval;
+        this.pending = new Map(); // movieId -> latest record not yet handed to the queue
+        this.pushTimer = null;
+        this.pageHideHandler = () => {
+            this.flush();
+            this.queue.flushWithBeacon();
+        };
+        window.addEventListener('pagehide', this.pageHideHandler);
+    }
+
+    /**
+     * @method pull
+     * @param {string} movieId
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object|null>} The server's record, or null if there is none or it could not be fetched.
+     */
+    async pull(movieId, signal) {
+        try {
+            const response = await fetchWithRetry(this.pullUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ userId: this.userId, movieId })
+            }, { retries: 1, timeout: this.timeout, signal, auth: this.auth });
+            const record = response?.data;
+            return record && record.movieId === movieId && record.episodeId && record.continueWatching ? record : null;
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn("ProgressSync: could not pull remote progress:", error.message);
+            return null; // Play from local progress rather than blocking
+        }
+    }
+
+    push(record) {
+        this.pending.set(record.movieId, record);
+        if (!this.pushTimer) this.pushTimer = setTimeout(() => this.flush(), this.pushInterval);
+    }
+
+    flush() {
+        clearTimeout(this.pushTimer);
+        this.pushTimer = null;
+        this.pending.forEach(record => {
+            this.queue.enqueue(this.pushUrl, {
+                userId: this.userId,
+                movieId: record.movieId,
+                episodeId: record.episodeId,
+                position: record.position,
+                continueWatching: record.continueWatching,
+                updatedAt: record.updatedAt,
+            }, `progress:${record.movieId}`, this.auth);
+        });
+        this.pending.clear();
+    }
+
+    stop() {
+        this.flush();
+        window.removeEventListener('pagehide', this.pageHideHandler);
     }
 }
-async function fetchWithRetry(url, options, retries = 4, delay = 1000) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
+// --- Cross-Tab Channel ---
+/**
+ * @class PlayerChannel
+ * @description Messages between player tabs of the same origin, over BroadcastChannel or, where that is missing,
+ *              localStorage 'storage' events. Messages are `{ type, tabId, ...data }`; a tab never receives its own.
+ *              Types: 'progress' ({ movieId, history }) after a progress save, 'playing' ({ movieId }) when playback starts.
+ * @param {string} [name='rebaPlayer'] - Channel name.
+ */
+class PlayerChannel {
+    constructor(name = 'rebaPlayer') {
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.handlers = new Set();
+        const deliver = (message) => {
+            if (message && message.tabId !== this.tabId) this.handlers.forEach(handler => handler(message));
+        };
+        if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(name);
+            this.channel.onmessage = (event) => deliver(event.data);
+        } else {
+            this.storageKey = `${name}:message`;
+            window.addEventListener('storage', (event) => {
+                if (event.key !== this.storageKey || !event.newValue) return;
+                try {
+                    deliver(JSON.parse(event.newValue));
+                } catch (e) {
+                    // Ignore malformed messages
+                }
+            });
+        }
+    }
+
+    post(type, data = {}) {
+        const message = { type, tabId: this.tabId, ...data };
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
         try {
-            const response = await fetch(url, options);
-            if (!response.ok) {
-                throw new Error(`API request failed with status ${response.status}`);
+            // sentAt makes every message a change, so repeated messages still fire 'storage'
+            localStorage.setItem(this.storageKey, JSON.stringify({ ...message, sentAt: Date.now() }));
+        } catch (e) {
+            console.warn("PlayerChannel: could not post message:", e);
+        }
+    }
+
+    /**
+     * @method subscribe
+     * @param {function(Object): void} handler - Called with messages from other tabs.
+     * @returns {function(): void} Unsubscribes the handler.
+     */
+    subscribe(handler) {
+        this.handlers.add(handler);
+        return () => this.handlers.delete(handler);
+    }
+}
+let sharedPlayerChannel = null;
+/**
+ * @function getPlayerChannel
+ * @description The page-wide PlayerChannel, created on first use.
+ * @returns {PlayerChannel}
+ */
+function getPlayerChannel() {
+    if (!sharedPlayerChannel) sharedPlayerChannel = new PlayerChannel();
+    return sharedPlayerChannel;
+}
+let sharedAnalyticsQueue = null;
+/**
+ * @function getAnalyticsQueue
+ * @description The page-wide AnalyticsQueue, created on first use; it starts by delivering calls left from earlier visits.
+ * @param {Object} [options] - AnalyticsQueue options, used by the call that creates the queue.
+ * @returns {AnalyticsQueue}
+ */
+function getAnalyticsQueue(options) {
+    if (!sharedAnalyticsQueue) {
+        sharedAnalyticsQueue = new AnalyticsQueue(options);
+        sharedAnalyticsQueue.flush();
+    }
+    return sharedAnalyticsQueue;
+}
+// --- Host Bridge ---
+/**
+ * @typedef {Object} HostBridge
+ * @description How a RebaPlayer talks to the page or app embedding it.
+ * @property {function(string, *): void} send - Delivers `{ action, data }` to the host.
+ */
+/**
+ * @constant HOST_ACTIONS
+ * @description Every action the player sends to its host, with the `data` it carries.
+ *              Embedders can listen with `player.on(action, handler)`; the bridge delivers the
+ *              same messages as `playerAction` (DOM CustomEvent detail or Flutter handler argument).
+ */
+const HOST_ACTIONS = Object.freeze({
+    backButton: 'The back button was pressed. data: {}',
+    helpButton: 'The lock overlay "Get Support" button was pressed. data: {}',
+    subscribeButton: 'The lock overlay "Get Subscription" button was pressed. data: movieId (string)',
+    saveTime: 'S/E markers were saved. data: { databaseName, _id, startTime, endTime, totalTime }',
+    seoData: 'SEO details of the loaded title. data: { seoTitle, description }',
+    saveEpisodeProgress: 'The continue-watching list changed. data: Array of saved episodes',
+    fullscreen: 'The app should change fullscreen. data: "auto" (toggle) or "exit"',
+    loadRetry: 'Loading the content failed and will be retried. data: { retry, retries, delay }',
+    error: 'The player hit an error it cannot recover from (see PLAYER_ERRORS). data: { code, message, retryable, details }',
+    levels: 'The stream lists its own renditions (empty when it does not). data: Array of { index, label, height, bitrate }',
+    dataBudget: 'Video data used this session reached the data saver budget. data: { usedMB, budgetMB }',
+});
+/**
+ * @constant PLAYER_ERRORS
+ * @description Errors shown on the player's error layer, by code. `retryable` errors offer a Retry button.
+ */
+const PLAYER_ERRORS = Object.freeze({
+    API_FAILED: {
+        retryable: true,
+        en: { title: "Couldn't load this title", message: "Check your internet connection and try again." },
+        rw: { title: "Ntibyakunze gufungura iyi filime", message: "Reba ko ufite interineti, hanyuma wongere ugerageze." },
+    },
+    NO_EPISODES: {
+        retryable: true,
+        en: { title: "Nothing to play yet", message: "This title has no episodes available right now." },
+        rw: { title: "Nta kintu cyo kureba", message: "Iyi filime nta episode ifite ubu." },
+    },
+    NO_SOURCE: {
+        retryable: true,
+        en: { title: "Video unavailable", message: "We couldn't find a playable video for this title." },
+        rw: { title: "Amashusho ntaboneka", message: "Ntitwabonye amashusho ashobora gukina kuri iyi filime." },
+    },
+    UNSUPPORTED_FORMAT: {
+        retryable: false,
+        en: { title: "Format not supported", message: "This device or browser can't play this video." },
+        rw: { title: "Ubwoko bw'amashusho ntibushyigikiwe", message: "Iki gikoresho cyangwa iyi mushakisha ntibishobora gukina aya mashusho." },
+    },
+    HLS_FATAL: {
+        retryable: true,
+        en: { title: "Playback stopped", message: "Something went wrong while streaming this video." },
+        rw: { title: "Amashusho yahagaze", message: "Habaye ikibazo mu gukina aya mashusho." },
+    },
+    DASH_FATAL: {
+        retryable: true,
+        en: { title: "Playback stopped", message: "Something went wrong while streaming this video." },
+        rw: { title: "Amashusho yahagaze", message: "Habaye ikibazo mu gukina aya mashusho." },
+    },
+    DRM_FAILED: {
+        retryable: true,
+        en: { title: "Couldn't unlock this video", message: "This video is protected and its license couldn't be loaded. Please try again." },
+        rw: { title: "Ntibyakunze gufungura aya mashusho", message: "Aya mashusho arinzwe kandi uruhushya rwayo ntirwabonetse. Ongera ugerageze." },
+    },
+    DRM_UNSUPPORTED: {
+        retryable: false,
+        en: { title: "Protected video not supported", message: "This device or browser can't play protected videos." },
+        rw: { title: "Amashusho arinzwe ntashyigikiwe", message: "Iki gikoresho cyangwa iyi mushakisha ntibishobora gukina amashusho arinzwe." },
+    },
+    INIT_FAILED: {
+        retryable: true,
+        en: { title: "Something went wrong", message: "The player couldn't start. Please try again." },
+        rw: { title: "Habaye ikibazo", message: "Ntibyakunze gutangiza amashusho. Ongera ugerageze." },
+    },
+});
+/**
+ * @constant PLAYER_COMMANDS
+ * @description Every command the host can send to the player (see RebaPlayer#execute), with its arguments.
+ *              Send them with `player.execute({ command, ...args })`, `rebaPlayerExecute(...)` from Flutter, or
+ *              `window.postMessage({ type: 'rebaPlayer:command', id, playerId, command, ...args })`, which is
+ *              answered with `{ type: 'rebaPlayer:ack', id, playerId, command, ok, result | error }`.
+ */
+const PLAYER_COMMANDS = Object.freeze({
+    play: 'Resume playback. args: none',
+    pause: 'Pause playback. args: none',
+    seek: 'Jump to a position; acknowledged once the seek completes. args: { time } in seconds',
+    switchEpisode: 'Load another episode of the current title. args: { episodeId }',
+    setQuality: 'Switch rendition and save it as the preference; "auto" picks one from measured bandwidth. args: { quality: "auto" | "hd" | "mid" | "low" }',
+    setNetworkType: 'Report the connection type; used to pick the starting quality of later episodes. args: { type: "wifi" | "ethernet" | "cellular" | null }',
+    setDataSaver: 'Change the data saver. args: { enabled, maxQuality: "low" | "mid" | "hd", budgetMB }, each optional',
+    setLevel: 'Switch to an in-manifest rendition in place (see the levels action); not saved. args: { level }, -1 for automatic',
+    showLockOverlay: 'Show the subscription lock overlay. args: none',
+    closeOverlays: 'Close the episodes, next-episode, lock and error overlays. A locked title locks again when played. args: none',
+});
+/**
+ * @class WebBridge
+ * @description Delivers actions as `playerAction` CustomEvents dispatched on `document`.
+ * @implements {HostBridge}
+ */
+class WebBridge {
+    send(action, data) {
+        const event = new CustomEvent('playerAction', {
+            detail: {
+                action,
+                data
             }
-            const data = await response.json();
-            return data; // success
-        } catch (error) {
-            console.warn(`Attempt ${attempt} failed: ${error.message}`);
-            if (attempt === retries) throw error; // throw after last attempt
-            await new Promise(resolve => setTimeout(resolve, delay)); // wait before retry
+        });
+        document.dispatchEvent(event); // dispatch globally
+    }
+}
+/**
+ * @class FlutterBridge
+ * @description Delivers actions to the Flutter shell through `flutter_inappwebview.callHandler('playerAction', …)`.
+ * @implements {HostBridge}
+ */
+class FlutterBridge {
+    send(action, data) {
+        if (!window.flutter_inappwebview) {
+            console.warn(`FlutterBridge: flutter_inappwebview is not available, dropping '${action}'.`);
+            return;
+        }
+        window.flutter_inappwebview.callHandler('playerAction', {
+            action,
+            data
+        });
+    }
+}
+// --- API Endpoints ---
+const DEFAULT_API_BASE_URL = "https://api.rebamovie.com";
+/**
+ * @constant DEFAULT_API_ENDPOINTS
+ * @description Paths of the API calls the player makes, relative to the API base URL.
+ */
+const DEFAULT_API_ENDPOINTS = Object.freeze({
+    cinemaData: '/cinemaData', // Seasons, episodes and ads for a movie
+    updateAnalytics: '/updateAnalytics', // S/E markers for online content
+    viewActivity: '/updateAnalytics', // The 10-minute "view" ping
+    updateData: '/updatedata', // S/E markers for downloaded content
+    playbackEvents: '/playbackEvents', // Batched QoE events (see PlaybackAnalytics)
+    progressPull: '/continueWatching', // A title's continue-watching record (see ProgressSync)
+    progressPush: '/updateContinueWatching', // Continue-watching updates
+});
+/**
+ * @function resolveApiEndpoints
+ * @description Builds the full URL of every API endpoint from the player options.
+ * @param {Object} [options]
+ * @param {string} [options.apiBaseUrl] - Base URL for all endpoints, e.g. a staging server or regional mirror.
+ * @param {Object<string, string>} [options.endpoints] - Per-endpoint overrides, either a path on `apiBaseUrl`
+ *        or an absolute URL, keyed like DEFAULT_API_ENDPOINTS. `analyticsBatch` has no default: set it to deliver
+ *        queued analytics calls in batches (see AnalyticsQueue).
+ * @returns {Object<string, string>} Endpoint name to absolute URL.
+ */
+function resolveApiEndpoints({ apiBaseUrl = DEFAULT_API_BASE_URL, endpoints = {} } = {}) {
+    const base = apiBaseUrl.replace(/\/+$/, '');
+    const urls = {};
+    Object.entries({ ...DEFAULT_API_ENDPOINTS, ...endpoints }).forEach(([name, path]) => {
+        urls[name] = /^https?:\/\//i.test(path) ? path : base + (path.startsWith('/') ? path : '/' + path);
+    });
+    return urls;
+}
+// --- Content Sources ---
+// A content source tells RebaPlayer what to play. Every source implements:
+//   capabilities                    - feature switches for the shared UI (see CinemaApiSource)
+//   load({ signal, onRetry })       - Promise<{ seriesData, isSeason, ads, initialEpisodeId }>; see fetchWithRetry for the options
+//   getNextEpisode(seriesData, ep)  - the episode that follows `ep`, or null
+//   saveMarkers(sData, eData)       - Promise<boolean> queueing S/E markers (see AnalyticsQueue); true when the host should be told
+/**
+ * @class CinemaApiSource
+ * @description Online content: loads seasons, episodes and ads from the cinemaData API.
+ * @param {Object} options
+ * @param {string} options.movieId - The movie to load.
+ * @param {string} [options.userId] - The current user.
+ * @param {Object<string, string>} [options.apiEndpoints] - Endpoint URLs (see resolveApiEndpoints).
+ * @param {AuthProvider} [options.auth] - Supplies the bearer token for every API call.
+ * @param {AnalyticsQueue} [options.analytics] - Queue for marker saves; defaults to the shared one.
+ */
+class CinemaApiSource {
+    constructor({ movieId, userId, apiEndpoints = resolveApiEndpoints(), auth = null, analytics = getAnalyticsQueue() } = {}) {
+        this.movieId = movieId;
+        this.userId = userId;
+        this.apiEndpoints = apiEndpoints;
+        this.auth = auth;
+        this.analytics = analytics;
+        this.capabilities = {
+            qualitySelection: true, // Show the HD/MID/LOW control and honour the saved preference
+            defaultQuality: null, // Quality to request when there is no saved preference (null = chooseDefaultQuality)
+            seasons: true, // Episodes overlay can switch between seasons
+            ads: true, // Run the ads plugin for episodes with adstatus
+            persistProgress: true, // Save continue-watching progress
+            viewTracking: true, // Send the 10-minute "view" activity
+            fullscreenMode: 'native', // 'native' fullscreen, or 'fill' to toggle object-fit
+        };
+    }
+
+    async load({ signal, onRetry } = {}) {
+        const apiData = await fetchWithRetry(this.apiEndpoints.cinemaData, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "Content-Language": "1.0.1"
+            },
+            body: JSON.stringify({
+                MovieId: this.movieId,
+                userId: this.userId,
+                deviceType: "IOS"
+            })
+        }, { retries: 4, baseDelay: 2000, signal, onRetry, auth: this.auth });
+        return {
+            seriesData: {
+                seasons: apiData.data.seasons.map((seasonName, index) => ({
+                    season: index + 1,
+                    seasonName: seasonName,
+                    episodes: apiData.data.episodes[index]
+                }))
+            },
+            isSeason: apiData.isSeason,
+            ads: apiData.ads,
+            initialEpisodeId: null,
+        };
+    }
+
+    getNextEpisode(seriesData, episode) {
+        const currentSeasonIndex = episode.position?.seasonIndex;
+        const currentEpisodeIndex = episode.position?.episodeIndex;
+        if (currentSeasonIndex === undefined || currentEpisodeIndex === undefined) return null;
+        const currentSeason = seriesData.seasons[currentSeasonIndex];
+        if (currentSeason && currentSeason.episodes[currentEpisodeIndex + 1]) {
+            // Next episode in the same season
+            return currentSeason.episodes[currentEpisodeIndex + 1];
         }
+        if (currentSeason && currentSeason.episodes.length - 1 === currentEpisodeIndex) {
+            // Last episode of the current season, check for next season's first episode
+            const nextSeason = seriesData.seasons[currentSeasonIndex + 1];
+            if (nextSeason && nextSeason.episodes[0]) return nextSeason.episodes[0];
+        }
+        // It's the very last episode overall
+        return null;
+    }
+
+    async saveMarkers(sData, eData) {
+        // Newer markers for the same title replace ones that have not been delivered yet
+        await this.analytics.enqueue(this.apiEndpoints.updateAnalytics, {
+            "databaseName": eData.databaseName,
+            "_id": eData._id,
+            "startTime": sData.startTime,
+            "endTime": eData.endTime,
+            "totalTime": eData.totalTime,
+            "userId": this.userId
+        }, `markers:${eData.databaseName}:${eData._id}`, this.auth);
+        return true;
+    }
+}
+/**
+ * @class LocalEpisodesSource
+ * @description Offline content: plays a flat list of downloaded episodes handed in by the host.
+ *              No ads, no quality switching and no progress saving; the list plays in order.
+ * @param {Object} options
+ * @param {Array<Object>} options.episodes - The downloaded episodes.
+ * @param {string} [options.episodeId] - The episode to start with (defaults to the first one).
+ * @param {Object<string, string>} [options.apiEndpoints] - Endpoint URLs (see resolveApiEndpoints).
+ * @param {AuthProvider} [options.auth] - Supplies the bearer token for every API call.
+ * @param {AnalyticsQueue} [options.analytics] - Queue for marker saves; defaults to the shared one.
+ */
+class LocalEpisodesSource {
+    constructor({ episodes, episodeId, apiEndpoints = resolveApiEndpoints(), auth = null, analytics = getAnalyticsQueue() } = {}) {
+        this.episodes = Array.isArray(episodes) ? episodes : [];
+        this.episodeId = episodeId;
+        this.apiEndpoints = apiEndpoints;
+        this.auth = auth;
+        this.analytics = analytics;
+        this.capabilities = {
+            qualitySelection: false,
+            defaultQuality: 'low',
+            seasons: false,
+            ads: false,
+            persistProgress: false,
+            viewTracking: false,
+            fullscreenMode: 'fill',
+        };
+    }
+
+    async load() { // Nothing to fetch, so no retries to report
+        return {
+            seriesData: { seasons: [{ season: 1, seasonName: '', episodes: this.episodes }] },
+            isSeason: this.episodes.length > 1,
+            ads: [],
+            initialEpisodeId: this.episodeId,
+        };
+    }
+
+    getNextEpisode(seriesData, episode) {
+        const index = this.episodes.findIndex(ep => ep.episodeId === episode.episodeId);
+        return index > -1 ? this.episodes[index + 1] || null : null;
+    }
+
+    async saveMarkers(sData, eData) {
+        await this.analytics.enqueue(this.apiEndpoints.updateData, {
+            "databaseName": eData.databaseName,
+            "_id": eData._id,
+            "startTime": sData.startTime,
+            "endTime": eData.endTime,
+            "totalTime": eData.totalTime
+        }, `markers:${eData.databaseName}:${eData._id}`, this.auth);
+        return true;
     }
 }
-function updateDebugInfo(message) {
-    const debugInfo = document.querySelector('#debugInfo');
+/**
+ * @function updateDebugInfo
+ * @description Appends a timestamped line to the debug readout, keeping the last 5 messages.
+ * @param {string} message - The message to log.
+ * @param {ParentNode} [root=document] - Element to search for `#debugInfo` (the player's container).
+ */
+function updateDebugInfo(message, root = document) {
+    const debugInfo = root.querySelector('#debugInfo');
     if (debugInfo) {
         // Add timestamp and message
         const timestamp = new Date().toLocaleTimeString();
@@ -1494,1590 +4195,2563 @@ function updateDebugInfo(message) {
 
 // Initialize debug info
 updateDebugInfo('Debug started - click More Episodes');
-async function initializeApp(optionData) {
-    // Add cleanup at the very beginning of initialization
-    cleanupCompletedMovies();
-    window.movieId = optionData.movieId;
-    window.language = optionData.language;
-    window.device = optionData.device;
-    window.userId = optionData.userId;
-    languageCode = optionData.language == 'en' ? 'en' : 'rw';
-
-    console.log("Initializing app with device:", optionData.device);
-    let lockOverlayShown_ = false;
-    // --- Ad Tracking Flags (inside initializeApp, outside art.on('ready')) ---
-    let preAdShown = false;
-    let midAdShown = false;
-    let postAdShown = false;
-    let isAdPlaying = false;
-    let hideOverlay;
-    let h = { 'Content-Type': 'application/json' };
-    let h2 = {
-        'Content-Type': 'application/json',
-        'appversion': '1.0.1'
-    };
-    // --- End Ad Tracking Flags ---
-
-    const episodesOverlayHtml = `
-                <div id="episodesOverlay">
-                    <div id="episodesView">
-                        <div class="episodes-header">
-                            <button id="openSeasonsButton" class="season-selector-button">
-                                <span>${optionData.language != "en" ? "Hitamo Season" : "Choose Season"}</span>
-                                <svg class="arrow-down" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>
-                            </button>
-                            <button id="closeEpisodesOverlay" class="close-episodes-button">&times;</button>
-                        </div>
-                        <div class="episodes-list-container">
-                            <button class="scroll-arrow left" id="scrollLeft" aria-label="Scroll Left">
-                              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                <polyline points="15 18 9 12 15 6"></polyline>
-                              </svg>
-                            </button>
-                            <div class="episodes-list-inner">
-                                <div id="episodesList"></div>
-                            </div>
-                            <button class="scroll-arrow right" id="scrollRight" aria-label="Scroll Right">
-                              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                <polyline points="9 18 15 12 9 6"></polyline>
-                              </svg>
-                            </button>
+const mountedPlayers = new Set(); // Every RebaPlayer between mount() and destroy()
+let lastActivePlayer = null; // The player the user last clicked or tapped, which gets the marker keys
+/**
+ * @class RebaPlayer
+ * @description A self-contained player: owns its Artplayer instance, observers, timers,
+ *              S/E marker data and document listeners, so several players can live on one page.
+ * @example
+ * const player = new RebaPlayer({ movieId, userId, language: 'en', device: 'web' });
+ * await player.mount('.artplayer-app');
+ * // ...later
+ * player.destroy();
+ */
+class RebaPlayer {
+    /**
+     * @param {Object} options - Player options.
+     * @param {string} [options.movieId] - The movie to load from the cinemaData API.
+     * @param {Array<Object>} [options.episodes] - Downloaded episodes to play offline instead (see LocalEpisodesSource).
+     * @param {string} [options.episodeId] - With `episodes`, the episode to start with.
+     * @param {Object} [options.source] - A custom content source; overrides movieId/episodes.
+     * @param {string} [options.userId] - The current user, sent with API calls.
+     * @param {string} [options.apiBaseUrl="https://api.rebamovie.com"] - Base URL for all API calls.
+     * @param {Object<string, string>} [options.endpoints] - Per-endpoint path or URL overrides (see DEFAULT_API_ENDPOINTS).
+     * @param {boolean|Object} [options.playbackAnalytics] - Send QoE events to the `playbackEvents` endpoint; `true` or
+     *        options for PlaybackAnalytics (heartbeatInterval, flushInterval, batchSize). Off by default.
+     * @param {boolean|Object} [options.progressSync] - Sync continue-watching progress with the server; `true` or
+     *        options for ProgressSync (timeout, pushInterval). Off by default.
+     * @param {CompletionPolicy|Object} [options.completionPolicy] - When a movie/episode counts as watched; a policy or its rules.
+     * @param {boolean} [options.pauseOtherTabs=true] - Pause this player when another tab starts playing the same title.
+     * @param {string} [options.networkType] - The connection type if the host knows it ('wifi', 'ethernet' or 'cellular');
+     *        refines the starting quality when there is no saved preference.
+     * @param {boolean|Object} [options.dataSaver] - Data saver: `true` or { enabled, maxQuality='low', budgetMB }. Caps quality,
+     *        skips preview images and ad prefetch, and shows the data used this session. `budgetMB` alone only warns.
+     * @param {number} [options.progressCapacity=15] - Titles kept in the continue-watching list.
+     * @param {number} [options.historyCapacity=2000] - Episodes kept in the per-episode watch history.
+     * @param {ProgressStore} [options.progressStore] - A custom progress store; overrides progressCapacity.
+     * @param {AuthProvider} [options.auth] - Supplies the bearer token sent with every API call; the API can then identify
+     *        the user from the token rather than the `userId` in request bodies. License requests carry it too.
+     * @param {Object} [options.drm] - DRM settings; episodes name their license servers in their own `drm` field.
+     * @param {function(Object): (Object|void|Promise<Object|void>)} [options.drm.onLicenseRequest] - License-request hook:
+     *        receives `{ keySystem, url, headers, episodeId }` (headers already carry the token) and may return a new
+     *        `{ url, headers }`.
+     * @param {Object<string, string>} [options.drm.clearKeys] - kid -> key (hex or base64url). Plays every protected
+     *        episode (one with `drm`) with ClearKey and these keys instead of its license servers, for local testing.
+     * @param {string} [options.language='en'] - UI language ('en' or 'rw').
+     * @param {string} [options.device='web'] - Host type: "web" (DOM events) or "app" (Flutter webview).
+     * @param {HostBridge} [options.bridge] - A custom host bridge; defaults to one matching `device`.
+     * @param {string} [options.playerId] - Identifies this player in postMessage commands when a page has several.
+     * @param {Array<string>} [options.commandOrigins] - Origins allowed to post commands ('*' for any); defaults to this page's origin.
+     */
+    constructor(options = {}) {
+        this.options = { language: 'en', device: 'web', ...options };
+        this.bridge = options.bridge || (this.options.device == "app" ? new FlutterBridge() : new WebBridge());
+        this.listeners = {};
+        this.commandHandlers = {}; // Filled in once the player is ready
+        this.messageHandler = (event) => this.handleMessage(event);
+        this.apiEndpoints = resolveApiEndpoints(options);
+        this.auth = options.auth || null;
+        this.analytics = getAnalyticsQueue({ batchUrl: this.apiEndpoints.analyticsBatch });
+        this.completionPolicy = options.completionPolicy instanceof CompletionPolicy ? options.completionPolicy : new CompletionPolicy(options.completionPolicy);
+        this.progress = options.progressStore || new ProgressStore({
+            capacity: options.progressCapacity,
+            historyCapacity: options.historyCapacity,
+            completionPolicy: this.completionPolicy,
+        });
+        const sourceOptions = { ...options, apiEndpoints: this.apiEndpoints, analytics: this.analytics };
+        this.source = options.source || (Array.isArray(options.episodes) ? new LocalEpisodesSource(sourceOptions) : new CinemaApiSource(sourceOptions));
+        this.container = null;
+        this.art = null;
+        this.resizeObserver = null;
+        this.resizeHandler = null;
+        this.currentEpisode = {}; // The episode currently loaded (used by the S/E marker keys)
+        this.videoType = 'm3u8';
+        this.markers = { start: {}, end: {} };
+        this.timers = { nextEpisodeCountdown: null, nextEpisodeBorderAnimation: null, adCountdown: null };
+        this.documentListeners = [];
+        this.channel = getPlayerChannel();
+        this.channelSubscriptions = [];
+        this.mountToken = 0;
+        this.loadController = null; // Aborts the content request when destroyed mid-load
+        this.errorLayer = null;
+        this.playbackAnalytics = null; // Created by mount() when options.playbackAnalytics is set
+        this.progressSync = null; // Created by mount() when options.progressSync is set
+        this.autoQuality = null; // AutoQualityController, created by mount() for content with a quality control
+        this.dataUsage = null; // DataUsageMeter for the current mount
+        this.networkType = NETWORK_TYPES.includes(options.networkType) ? options.networkType : null;
+        this.keyPressHandler = (event) => this.handleKeyPress(event);
+    }
+
+    /**
+     * @method on
+     * @description Subscribes to a host action (see HOST_ACTIONS), e.g. `player.on('backButton', fn)`.
+     * @param {string} action - The action name.
+     * @param {function(*): void} handler - Called with the action's data.
+     * @returns {function(): void} Unsubscribes the handler.
+     */
+    on(action, handler) {
+        (this.listeners[action] = this.listeners[action] || []).push(handler);
+        return () => this.off(action, handler);
+    }
+
+    /**
+     * @method off
+     * @description Removes a handler added with on().
+     */
+    off(action, handler) {
+        this.listeners[action] = (this.listeners[action] || []).filter(h => h !== handler);
+    }
+
+    /**
+     * @method emit
+     * @description Notifies `on()` subscribers of an action, then forwards it to the host bridge.
+     * @param {string} action - One of HOST_ACTIONS.
+     * @param {*} [data={}] - The action payload.
+     */
+    emit(action, data = {}) {
+        if (!HOST_ACTIONS[action]) console.warn(`RebaPlayer: emitting unregistered action '${action}'.`);
+        (this.listeners[action] || []).forEach(handler => {
+            try {
+                handler(data);
+            } catch (e) {
+                console.error(`Error in '${action}' listener:`, e);
+            }
+        });
+        this.bridge.send(action, data);
+    }
+
+    /**
+     * @method execute
+     * @description Runs a host command (see PLAYER_COMMANDS) and acknowledges it once it has finished.
+     * @param {Object} message - `{ command, ...args }`, e.g. `{ command: 'seek', time: 120 }`.
+     * @returns {Promise<{command: string, ok: boolean, result: *}>} Rejects with an Error if the command failed.
+     */
+    async execute(message = {}) {
+        const { command, ...args } = message;
+        if (!PLAYER_COMMANDS[command]) throw new Error(`Unknown command '${command}'`);
+        const handler = this.commandHandlers[command];
+        if (!handler) throw new Error(`Player is not ready for '${command}'`);
+        const result = await handler(args);
+        return { command, ok: true, result };
+    }
+
+    /**
+     * @method handleMessage
+     * @description Runs `rebaPlayer:command` messages posted to the window and posts back a `rebaPlayer:ack`.
+     *              While several players are mounted, commands must name one with `playerId`.
+     * @param {MessageEvent} event
+     */
+    handleMessage(event) {
+        const message = event.data;
+        if (!message || message.type !== 'rebaPlayer:command' || message.playerId !== this.options.playerId) return;
+        const origins = this.options.commandOrigins || [window.location.origin];
+        if (!origins.includes('*') && !origins.includes(event.origin)) return;
+        const reply = (ack) => {
+            const target = event.source || window;
+            const targetOrigin = event.origin && event.origin !== 'null' ? event.origin : '*';
+            target.postMessage({ type: 'rebaPlayer:ack', id: message.id, playerId: message.playerId, ...ack }, targetOrigin);
+        };
+        if (message.playerId == null && !this.isOnlyPlayer()) {
+            // Ambiguous: one player (the first mounted one without an id) refuses it instead of every player running it
+            if ([...mountedPlayers].find(other => other.options.playerId == null) === this) {
+                reply({ command: message.command, ok: false, error: "Several players are mounted; pass playerId" });
+            }
+            return;
+        }
+        this.execute(message)
+            .then(reply)
+            .catch(error => reply({ command: message.command, ok: false, error: error.message }));
+    }
+
+    /**
+     * @method addDocumentListener
+     * @description Adds a listener on `document` that is removed again by destroy().
+     */
+    addDocumentListener(type, handler, options) {
+        document.addEventListener(type, handler, options);
+        this.documentListeners.push({ type, handler, options });
+    }
+
+    /**
+     * @method removeDocumentListener
+     * @description Removes a listener added with addDocumentListener() before destroy().
+     */
+    removeDocumentListener(type, handler, options) {
+        document.removeEventListener(type, handler, options);
+        this.documentListeners = this.documentListeners.filter(listener => listener.type !== type || listener.handler !== handler);
+    }
+
+    /**
+     * @method addChannelListener
+     * @description Subscribes to messages from other tabs (see PlayerChannel) until destroy().
+     */
+    addChannelListener(handler) {
+        this.channelSubscriptions.push(this.channel.subscribe(handler));
+    }
+
+    /**
+     * @method clearTimers
+     * @description Stops the next-episode countdown, its border animation and any ad countdown.
+     */
+    clearTimers() {
+        if (this.timers.nextEpisodeCountdown) clearInterval(this.timers.nextEpisodeCountdown);
+        if (this.timers.nextEpisodeBorderAnimation) cancelAnimationFrame(this.timers.nextEpisodeBorderAnimation);
+        if (this.timers.adCountdown) clearInterval(this.timers.adCountdown);
+        this.timers = { nextEpisodeCountdown: null, nextEpisodeBorderAnimation: null, adCountdown: null };
+    }
+
+    /**
+     * @method isOnlyPlayer
+     * @returns {boolean} Whether no other player is mounted on the page.
+     */
+    isOnlyPlayer() {
+        return [...mountedPlayers].every(other => other === this);
+    }
+
+    /**
+     * @method getLoadingOverlay
+     * @description The #loading-overlay inside this player's container. A page-level one is only used while this is
+     *              the sole player, so players never hide or annotate each other's overlay.
+     * @returns {HTMLElement|null}
+     */
+    getLoadingOverlay() {
+        return this.container?.querySelector('#loading-overlay') || (this.isOnlyPlayer() ? document.getElementById('loading-overlay') : null);
+    }
+
+    /**
+     * @method handleKeyPress
+     * @description Handles the S (start) and E (end) marker keys for the current episode. With several players on the
+     *              page, only the one holding focus (or last clicked) responds.
+     * @param {KeyboardEvent} event
+     */
+    handleKeyPress(event) {
+        if (!this.isOnlyPlayer() && !this.container?.contains(event.target) && lastActivePlayer !== this) return;
+        // Convert to lowercase to handle both upper and lower case
+        const key = event.key.toLowerCase();
+        const episode = this.currentEpisode;
+        if (!this.art || !(episode.episodeId || episode.movieId)) return;
+        const databaseName = episode.type == "S" ? "Season" + (Number(episode.position?.seasonIndex) + 1) : "Items";
+        switch (key) {
+            case 's':
+                this.markers.start = {
+                    databaseName,
+                    _id: episode.episodeId || episode.movieId,
+                    startTime: this.art.currentTime,
+                    endTime: 0,
+                    totalTime: formatSecondsToHHMMSS(this.art.duration),
+                };
+                break;
+            case 'e':
+                this.markers.end = {
+                    databaseName,
+                    _id: episode.episodeId || episode.movieId,
+                    startTime: 0,
+                    endTime: this.art.currentTime,
+                    totalTime: formatSecondsToHHMMSS(this.art.duration),
+                };
+                this.saveMovieData(this.markers.start, this.markers.end);
+                break;
+            default:
+                // Optional: handle other keys or do nothing
+                break;
+        }
+    }
+
+    /**
+     * @method saveMovieData
+     * @description Saves the S/E markers of an episode through the content source and notifies the host on success.
+     * @param {Object} sData - The start marker.
+     * @param {Object} eData - The end marker.
+     */
+    async saveMovieData(sData, eData) {
+        if (sData._id == eData._id) {
+            const saved = await this.source.saveMarkers(sData, eData);
+            if (saved) {
+                this.emit('saveTime', {
+                    databaseName: eData.databaseName,
+                    _id: eData._id,
+                    startTime: sData.startTime,
+                    endTime: eData.endTime,
+                    totalTime: eData.totalTime,
+                });
+            }
+        }
+    }
+
+    /**
+     * @method prepareLicenseRequest
+     * @description The license-request hook behind every DRM license request: adds the auth provider's bearer token,
+     *              then lets `options.drm.onLicenseRequest` change the URL or headers.
+     * @param {{keySystem: string|null, url: string, headers: Object<string, string>, episodeId: string}} request
+     * @returns {Promise<{url: string, headers: Object<string, string>}>}
+     */
+    async prepareLicenseRequest(request) {
+        const headers = { ...request.headers };
+        const token = this.auth ? await this.auth.getToken({ forceRefresh: false }) : null;
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const hook = this.options.drm?.onLicenseRequest;
+        const changes = hook ? await hook({ ...request, headers }) : null;
+        return { url: changes?.url || request.url, headers: changes?.headers || headers };
+    }
+
+    /**
+     * @method showError
+     * @description Replaces playback with the error layer (message, code, Retry/Back) and emits an `error` action.
+     * @param {string} code - A PLAYER_ERRORS code.
+     * @param {*} [cause] - The underlying error or details, logged and passed to the host.
+     */
+    showError(code, cause) {
+        const spec = PLAYER_ERRORS[code] || PLAYER_ERRORS.INIT_FAILED;
+        const text = this.options.language != "en" ? spec.rw : spec.en;
+        console.error(`RebaPlayer error ${code}:`, cause);
+        this.playbackAnalytics?.error(code, cause instanceof Error ? cause.message : (cause ?? null));
+        const loadingOverlay = this.getLoadingOverlay();
+        if (loadingOverlay) loadingOverlay.style.display = 'none';
+        if (this.art) this.art.pause();
+        const host = this.art ? this.art.template.$player : this.container;
+        if (host) {
+            if (this.errorLayer) this.errorLayer.remove();
+            if (getComputedStyle(host).position === 'static') host.style.position = 'relative';
+            this.errorLayer = document.createElement('div');
+            this.errorLayer.className = 'reba-error-layer';
+            this.errorLayer.setAttribute('role', 'alert');
+            this.errorLayer.innerHTML = `
+                    <div class="reba-error-content">
+                        <h2>${text.title}</h2>
+                        <p>${text.message}</p>
+                        <p class="reba-error-code">${this.options.language != "en" ? "Kode y'ikosa" : "Error code"}: ${code}</p>
+                        <div class="lock-overlay-buttons">
+                            ${spec.retryable ? `<button class="reba-error-retry">${this.options.language != "en" ? "Ongera ugerageze" : "Try Again"}</button>` : ''}
+                            <button class="reba-error-back">${this.options.language != "en" ? "Subira inyuma" : "Go Back"}</button>
                         </div>
                     </div>
-                    <div id="seasonCardOverlay">
-                         <div class="seasons-header">
-                            <button id="backToEpisodesButton" class="season-selector-button">
-                                 <svg class="arrow-up" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><path d="m18 15-6-6-6 6"/></svg>
-                                <span>${optionData.language != "en" ? "Hitamo Episode" : "Choose Episode"}</span>
-                            </button>
-                            <button id="closeSeasonsOverlay" class="close-episodes-button">&times;</button>
+                `;
+            const retryButton = this.errorLayer.querySelector('.reba-error-retry');
+            if (retryButton) retryButton.addEventListener('click', () => this.retry());
+            this.errorLayer.querySelector('.reba-error-back').addEventListener('click', () => this.emit('backButton'));
+            host.appendChild(this.errorLayer);
+        }
+        this.emit('error', {
+            code,
+            message: spec.en.message,
+            retryable: spec.retryable,
+            details: cause instanceof Error ? cause.message : (cause ?? null),
+        });
+    }
+
+    /**
+     * @method retry
+     * @description Tears the player down and mounts it again into the same container.
+     * @returns {Promise<void>}
+     */
+    retry() {
+        const container = this.container;
+        this.destroy();
+        return this.mount(container);
+    }
+
+    /**
+     * @method showLoadingStatus
+     * @description Shows a status line (e.g. "Retrying (2/4)…") on the player's #loading-overlay, if it has one.
+     * @param {string} text
+     */
+    showLoadingStatus(text) {
+        const loadingOverlay = this.getLoadingOverlay();
+        if (!loadingOverlay) return;
+        let status = loadingOverlay.querySelector('.loading-status');
+        if (!status) {
+            status = document.createElement('p');
+            status.className = 'loading-status';
+            loadingOverlay.appendChild(status);
+        }
+        status.textContent = text;
+    }
+
+    /**
+     * @method mount
+     * @description Loads the content from the player's source and builds the player inside `container`.
+     * @param {string|HTMLElement} container - A selector or element to render the player into.
+     */
+    async mount(container) {
+        const player = this;
+        const optionData = this.options;
+        const capabilities = this.source.capabilities;
+        // Any earlier mount (or a destroy) bumps the token, so a stale load can bail out after awaiting.
+        const mountToken = ++this.mountToken;
+        this.container = typeof container === 'string' ? document.querySelector(container) : container;
+        const containerEl = this.container;
+        if (!containerEl) {
+            console.error("RebaPlayer: container not found:", container);
+            return;
+        }
+        mountedPlayers.add(this);
+        this.addDocumentListener('pointerdown', (event) => {
+            if (containerEl.contains(event.target)) lastActivePlayer = player;
+        }, true);
+        window.addEventListener('message', this.messageHandler);
+        if (optionData.progressSync && capabilities.persistProgress) {
+            this.progressSync = new ProgressSync({
+                ...(optionData.progressSync === true ? {} : optionData.progressSync),
+                pullUrl: this.apiEndpoints.progressPull,
+                pushUrl: this.apiEndpoints.progressPush,
+                queue: this.analytics,
+                auth: this.auth,
+                userId: optionData.userId,
+            });
+        }
+        // Add cleanup at the very beginning of initialization
+        const cleanup = cleanupCompletedMovies(this.progress, this.completionPolicy);
+
+        console.log("Initializing app with device:", optionData.device);
+        let lockOverlayShown_ = false;
+        // --- Ad Tracking Flags (inside mount, outside art.on('ready')) ---
+        let preAdShown = false;
+        let midAdShown = false;
+        let postAdShown = false;
+        let isAdPlaying = false;
+        let currentAdRegion = null; // Track which ad region we're currently in
+        let pendingAdType = null; // Track which ad type is pending during countdown
+        let allLolls = [...DEFAULT_AD_URLS];
+        let hideOverlay;
+        let refreshEpisodeCards = null; // Re-renders the episodes overlay while it is open
+        let h = { 'Content-Type': 'application/json' };
+        let h2 = {
+            'Content-Type': 'application/json',
+            'appversion': '1.0.1'
+        };
+        // --- End Ad Tracking Flags ---
+
+        const episodesOverlayHtml = `
+                    <div id="episodesOverlay">
+                        <div id="episodesView">
+                            <div class="episodes-header">
+                                ${capabilities.seasons ? `<button id="openSeasonsButton" class="season-selector-button">
+                                    <span>${optionData.language != "en" ? "Hitamo Season" : "Choose Season"}</span>
+                                    <svg class="arrow-down" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>
+                                </button>` : `<h3>${optionData.language == "en" ? "More Downloads" : "Izindi Filme"}</h3>`}
+                                <button id="closeEpisodesOverlay" class="close-episodes-button">&times;</button>
+                            </div>
+                            <div class="episodes-list-container">
+                                <button class="scroll-arrow left" id="scrollLeft" aria-label="Scroll Left">
+                                  <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                    <polyline points="15 18 9 12 15 6"></polyline>
+                                  </svg>
+                                </button>
+                                <div class="episodes-list-inner">
+                                    <div id="episodesList"></div>
+                                </div>
+                                <button class="scroll-arrow right" id="scrollRight" aria-label="Scroll Right">
+                                  <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                    <polyline points="9 18 15 12 9 6"></polyline>
+                                  </svg>
+                                </button>
+                            </div>
                         </div>
-                        <div class="episodes-list-container">
-                            <button class="scroll-arrow left" id="seasonScrollLeft" aria-label="Scroll Seasons Left">
-                              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                <polyline points="15 18 9 12 15 6"></polyline>
-                              </svg>
-                            </button>
-                            <div class="episodes-list-inner">
-                                <div id="seasonCardList"></div>
+                        <div id="seasonCardOverlay">
+                             <div class="seasons-header">
+                                <button id="backToEpisodesButton" class="season-selector-button">
+                                     <svg class="arrow-up" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><path d="m18 15-6-6-6 6"/></svg>
+                                    <span>${optionData.language != "en" ? "Hitamo Episode" : "Choose Episode"}</span>
+                                </button>
+                                <button id="closeSeasonsOverlay" class="close-episodes-button">&times;</button>
+                            </div>
+                            <div class="episodes-list-container">
+                                <button class="scroll-arrow left" id="seasonScrollLeft" aria-label="Scroll Seasons Left">
+                                  <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                    <polyline points="15 18 9 12 15 6"></polyline>
+                                  </svg>
+                                </button>
+                                <div class="episodes-list-inner">
+                                    <div id="seasonCardList"></div>
+                                </div>
+                                <button class="scroll-arrow right" id="seasonScrollRight" aria-label="Scroll Seasons Right">
+                                  <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                    <polyline points="9 18 15 12 9 6"></polyline>
+                                  </svg>
+                                </button>
                             </div>
-                            <button class="scroll-arrow right" id="seasonScrollRight" aria-label="Scroll Seasons Right">
-                              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                <polyline points="9 18 15 12 9 6"></polyline>
-                              </svg>
-                            </button>
                         </div>
                     </div>
-                </div>
-            `;
-    const lockOverlayHtml = `
-                <div id="lockOverlayContent">
-                    <h2>${optionData.language != "en" ? "NTA FATABUGUZI MUFITE!" : "YOU DON'T HAVE A SUBSCRIPTION !"}</h2>
-                    <p>${optionData.language != "en" ? "Mukunzi wa rebamovie nta fatabuguzi mufitemo niba warurifite ukaba utarihawe, TWANDIKIRE cg urigure." : "Hello, rebamovie fan you don't currently own  a subscription , consult SUPPORT , or buy a new one."}</p>
-                    <div class="lock-overlay-buttons">
-                        <button id="subscribeButton">${optionData.language != "en" ? "Gura ifatabuguzi" : "Get Subscription"}</button>
-                        <button id="helpButton">${optionData.language != "en" ? "Bona Ubufasha" : "Get Support"}</button>
+                `;
+        const lockOverlayHtml = `
+                    <div id="lockOverlayContent">
+                        <h2>${optionData.language != "en" ? "NTA FATABUGUZI MUFITE!" : "YOU DON'T HAVE A SUBSCRIPTION !"}</h2>
+                        <p>${optionData.language != "en" ? "Mukunzi wa rebamovie nta fatabuguzi mufitemo niba warurifite ukaba utarihawe, TWANDIKIRE cg urigure." : "Hello, rebamovie fan you don't currently own  a subscription , consult SUPPORT , or buy a new one."}</p>
+                        <div class="lock-overlay-buttons">
+                            <button id="subscribeButton">${optionData.language != "en" ? "Gura ifatabuguzi" : "Get Subscription"}</button>
+                            <button id="helpButton">${optionData.language != "en" ? "Bona Ubufasha" : "Get Support"}</button>
+                        </div>
                     </div>
-                </div>
-            `;
-    try {
-        const apiData = await fetchWithRetry("https://api.rebamovie.com/cinemaData", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "Content-Language": "1.0.1"
-            },
-            body: JSON.stringify({
-                MovieId: optionData.movieId,
-                userId: optionData.userId,
-                deviceType: "IOS"
-            })
-        }, 4, 5000); // 4 retries, 5 second between each
-        let seriesData = {
-            seasons: apiData.data.seasons.map((seasonName, index) => ({
-                season: index + 1,
-                seasonName: seasonName,
-                episodes: apiData.data.episodes[index]
-            }))
-        };
-        if (seriesData?.seasons[0]?.episodes[0]?.seoTitle) {
-            const event = new CustomEvent('playerAction', {
-                detail: {
-                    action: 'seoData',
-                    data: {
-                        seoTitle: seriesData?.seasons[0]?.episodes[0]?.seoTitle,
-                        description: seriesData?.seasons[0]?.episodes[0]?.movieDataId?.description,
-                    }
-                }
-            });
-            document.dispatchEvent(event); // dispatch globally
-        }
-        console.log("✅ STEP 6");
-        allLolls = apiData.ads
-        const CONTINUE_WATCHING_KEY = 'continuewatching';
-        const getContinueWatchingList = () => {
-            const savedData = localStorage.getItem(CONTINUE_WATCHING_KEY);
+                `;
+        try {
+            await cleanup; // Finish removing completed titles before looking up saved progress
+            player.loadController = new AbortController();
+            let content;
             try {
-                const list = savedData ? JSON.parse(savedData) : [];
-                return Array.isArray(list) ? list : [];
-            } catch (e) {
-                return [];
-            }
-        };
-        const saveEpisodeProgress = (episodeData) => {
-            if (!episodeData || !episodeData.movieId) return;
-            let list = getContinueWatchingList();
-            const existingIndex = list.findIndex(item => item.movieId === episodeData.movieId);
-            const dataToStore = { ...episodeData };
-            delete dataToStore.video;
-            if (existingIndex > -1) {
-                list[existingIndex] = dataToStore;
-            } else {
-                list.unshift(dataToStore);
-            }
-            if (list.length > 15) {
-                list = list.slice(0, 15);
-            }
-            localStorage.setItem(CONTINUE_WATCHING_KEY, JSON.stringify(list));
-            if (window.device == "app") {
-                window.flutter_inappwebview.callHandler('playerAction', {
-                    action: 'saveEpisodeProgress',
-                    data: list
+                content = await player.source.load({
+                    signal: player.loadController.signal,
+                    onRetry: ({ retry, retries, delay }) => {
+                        player.showLoadingStatus(`${optionData.language != "en" ? "Turagerageza kandi" : "Retrying"} (${retry}/${retries})…`);
+                        player.emit('loadRetry', { retry, retries, delay });
+                    },
                 });
+            } catch (error) {
+                if (mountToken === player.mountToken) player.showError('API_FAILED', error);
+                return;
             }
-        };
-        const removeEpisodeProgress = (movieId) => {
-            let list = getContinueWatchingList();
-            const updatedList = list.filter(item => item.movieId !== movieId);
-            localStorage.setItem(CONTINUE_WATCHING_KEY, JSON.stringify(updatedList));
-            if (window.device == "app") {
-                window.flutter_inappwebview.callHandler('playerAction', {
-                    action: 'saveEpisodeProgress',
-                    data: list
+            if (mountToken !== player.mountToken) return; // Destroyed (or re-mounted) while loading
+            let seriesData = content.seriesData;
+            if (seriesData?.seasons[0]?.episodes[0]?.seoTitle) {
+                player.emit('seoData', {
+                    seoTitle: seriesData?.seasons[0]?.episodes[0]?.seoTitle,
+                    description: seriesData?.seasons[0]?.episodes[0]?.movieDataId?.description,
                 });
             }
-        };
-        const getSavedEpisode = (movieId) => {
-            const list = getContinueWatchingList();
-            return list.find(item => item.movieId === movieId) || null;
-        };
-        const movieId = seriesData.seasons[0].episodes[0].movieId;
-        let savedEpisode = getSavedEpisode(movieId);
-        let currentMovieData;
-        if (savedEpisode) {
-
+            console.log("✅ STEP 6");
+            if (capabilities.ads) allLolls = content.ads;
+            // Progress writes are asynchronous (see ProgressStore); the host hears about the updated list once stored
+            const episodeHistory = new Map(); // episodeId -> history record, for the episode cards (see toEpisodeHistoryRecord)
+            let reportedProgress = { entries: null, at: 0 }; // What the host was last told, and when
+            /**
+             * @function reportProgressList
+             * @description Tells the host the continue-watching list changed. The app bridge hears every save, as before;
+             *              web hosts only when titles or episodes changed, and otherwise at most every PROGRESS_REPORT_INTERVAL.
+             * @param {Array<Object>} list - The stored list.
+             * @param {boolean} [force] - Report even if nothing meaningful changed; used for removals.
+             */
+            const reportProgressList = (list, force = false) => {
+                const entries = list.map(item => `${item.movieId}:${item.episodeId || ''}`).join(',');
+                const now = Date.now();
+                const changed = entries !== reportedProgress.entries || now - reportedProgress.at >= PROGRESS_REPORT_INTERVAL;
+                if (!force && optionData.device != "app" && !changed) return;
+                reportedProgress = { entries, at: now };
+                player.emit('saveEpisodeProgress', list);
+            };
+            const saveEpisodeProgress = (episodeData) => {
+                if (!capabilities.persistProgress || !episodeData || !episodeData.movieId) return;
+                if (episodeData.episodeId) episodeHistory.set(episodeData.episodeId, toEpisodeHistoryRecord(episodeData, episodeHistory.get(episodeData.episodeId), player.completionPolicy));
+                player.progress.save(episodeData)
+                    .then(list => {
+                        reportProgressList(list);
+                        player.channel.post('progress', { movieId: episodeData.movieId, history: episodeHistory.get(episodeData.episodeId) });
+                        const saved = list.find(item => item.movieId === episodeData.movieId);
+                        if (saved && player.progressSync) player.progressSync.push(saved);
+                    })
+                    .catch(error => console.error("Failed to save continue watching progress:", error));
+            };
+            const removeEpisodeProgress = (movieId) => {
+                if (!capabilities.persistProgress) return;
+                player.progress.remove(movieId)
+                    .then(list => reportProgressList(list, true))
+                    .catch(error => console.error("Failed to remove continue watching progress:", error));
+            };
+            const getSavedEpisode = async (movieId) => {
+                if (!capabilities.persistProgress) return null;
+                try {
+                    return await player.progress.get(movieId);
+                } catch (error) {
+                    console.error("Failed to read continue watching progress:", error);
+                    return null;
+                }
+            };
+            const loadEpisodeHistory = async (movieId) => {
+                if (!capabilities.persistProgress) return;
+                try {
+                    (await player.progress.episodeHistory(movieId)).forEach((record, episodeId) => episodeHistory.set(episodeId, record));
+                } catch (error) {
+                    console.error("Failed to read episode history:", error);
+                }
+            };
             // Get all episodes in a flat array for easier searching
             const allFreshEpisodes = seriesData.seasons.flatMap(s => s.episodes);
+            if (!allFreshEpisodes.length) {
+                player.showError('NO_EPISODES');
+                return;
+            }
+            // The source may name a starting episode (offline downloads); otherwise start at the first one
+            const firstEpisode = allFreshEpisodes.find(ep => content.initialEpisodeId && ep.episodeId === content.initialEpisodeId) || allFreshEpisodes[0];
+            const movieId = firstEpisode.movieId;
+            const [savedEpisode, remoteProgress] = await Promise.all([
+                getSavedEpisode(movieId),
+                player.progressSync ? player.progressSync.pull(movieId, player.loadController.signal) : null,
+                loadEpisodeHistory(movieId),
+            ]);
+            if (mountToken !== player.mountToken) return;
+            // Another device may have watched further or more recently; resume from whichever record wins
+            const resumeFrom = resolveProgressConflict(savedEpisode, remoteProgress);
+            // Without one to continue, a series picks up at its first episode not yet finished
+            const firstUnfinishedEpisode = allFreshEpisodes.find(ep => !episodeHistory.get(ep.episodeId)?.finished);
+            const startEpisode = episodeHistory.size && firstUnfinishedEpisode
+                ? mergeSavedWithFreshEpisode(episodeHistory.get(firstUnfinishedEpisode.episodeId), firstUnfinishedEpisode)
+                : firstEpisode;
+            let currentMovieData;
+            if (resumeFrom && !player.completionPolicy.isFinished(resumeFrom)) {
 
-            // Find matching fresh episode with video links
-            const matchingFreshEpisode = allFreshEpisodes.find(ep => ep.episodeId === savedEpisode.episodeId);
+                // Find matching fresh episode with video links
+                const matchingFreshEpisode = allFreshEpisodes.find(ep => ep.episodeId === resumeFrom.episodeId);
 
-            if (matchingFreshEpisode) {
-                // Merge saved data (continue watching) with fresh data (video links, updated metadata)
-                currentMovieData = mergeSavedWithFreshEpisode(savedEpisode, matchingFreshEpisode);
+                if (matchingFreshEpisode) {
+                    // Merge saved data (continue watching) with fresh data (video links, updated metadata)
+                    currentMovieData = mergeSavedWithFreshEpisode(savedEpisode, matchingFreshEpisode, remoteProgress);
 
-                // Update localStorage with the merged data (video links will be excluded automatically)
-                saveEpisodeProgress(currentMovieData);
+                    // Update the progress store with the merged data (video links will be excluded automatically)
+                    saveEpisodeProgress(currentMovieData);
 
+                } else {
+                    currentMovieData = startEpisode;
+                }
             } else {
-                currentMovieData = seriesData.seasons[0].episodes[0];
+                // No saved episode found
+                currentMovieData = startEpisode;
             }
-        } else {
-            // No saved episode found
-            currentMovieData = seriesData.seasons[0].episodes[0];
-        }
-        const loadingOverlay = document.getElementById('loading-overlay');
-        if (loadingOverlay) loadingOverlay.style.display = 'none';
-        // --- Determine Initial Playback Quality and URL (Now using Original URLs) ---
-        const savedUserQuality = getUserQualityPreference(); // Get saved preference or null
-        //console.log("Saved user quality preference:", savedUserQuality);
-        // Use the updated helper function to decide URL, playback quality, and set videoType
-        // This will now use the original URLs from currentMovieData.video and set videoType
-        const initialPlaybackInfo = determinePlaybackQualityAndUrl(currentMovieData, savedUserQuality);
-        if (!initialPlaybackInfo && !currentMovieData.locked) {
-            console.error("No valid video sources found for the initial episode.");
-            document.body.innerHTML = "Error: No playable video found for this content.";
-            return;
-        }
-        let initialUrl = ''; // This will now be the initial Original URL
-        let activeQuality = ''; // This represents the quality actually used for playback
-        if (initialPlaybackInfo) {
-            initialUrl = initialPlaybackInfo.url; // This is now an Original URL
-            activeQuality = initialPlaybackInfo.quality;
-            //console.log(`Initial playback set to quality: ${activeQuality}, using Original URL: ${initialUrl}`);
-            // videoType is already set by determinePlaybackQualityAndUrl
-        } else if (!currentMovieData.locked) {
-            // Should ideally not reach here due to earlier check, but safety net.
-            console.error("No valid video sources found for the initial episode (fallback).");
-            document.body.innerHTML = "Error: No playable video found for this content.";
-            return;
-        }
-        // --- End Initial Playback Quality Selection (No more Blob Conversion) ---
-        // Assign the new Artplayer instance to the global variable
-        artInstance = new Artplayer({
-            container: '.artplayer-app',
-            url: initialUrl, // Use the original URL
-            poster: currentMovieData.longCover,
-            isLive: false, muted: false, autoplay: true, pip: false, autoSize: false, autoMini: true,
-            screenshot: false, setting: false, loop: false, autoPlayback: false, autoOrientation: true,
-            antiOverlap: true, flip: false, playbackRate: false, aspectRatio: true, miniProgressBar: true,
-            backdrop: true, playsInline: true, airplay: false, fullscreenWeb: false, theme: "#1FDF67",
-            type: videoType, // Use the global videoType set by determinePlaybackQualityAndUrl
-            moreVideoAttr: { "webkit-playsinline": true },
-            layers: [
-                {
-                    name: 'topControls', html: mainTopControlsContainer, style: { position: 'absolute', width: '100%', height: 'auto', pointerEvents: 'auto' },
-                    mounted: function (...args) {
-                        const backButton = args[0].querySelector('#backButton');
-                        backButton.onclick = () => {
-                            if (window.device == "web") {
-                                const event = new CustomEvent('playerAction', {
-                                    detail: {
-                                        action: 'backButton',
-                                        data: {}
-                                    }
-                                });
-                                document.dispatchEvent(event);
-                            } else {
-                                window.flutter_inappwebview.callHandler('playerAction', {
-                                    action: 'backButton',
-                                    data: {}
-                                });
-                            }
-                        };
+            player.currentEpisode = currentMovieData;
+            const loadingOverlay = player.getLoadingOverlay();
+            if (loadingOverlay) loadingOverlay.style.display = 'none';
+            // --- Determine Initial Playback Quality and URL (Now using Original URLs) ---
+            // Sources without a quality control always start from their own default
+            const savedUserQuality = capabilities.qualitySelection ? getUserQualityPreference() : capabilities.defaultQuality; // Get saved preference or null
+            let autoQualityMode = savedUserQuality === 'auto'; // AutoQualityController picks the rendition
+            let dataSaver = resolveDataSaver(optionData.dataSaver);
+            // Downloads cost no data, so the cap only applies to content with a quality control
+            const qualityCap = () => capabilities.qualitySelection && dataSaver.enabled ? dataSaver.maxQuality : null;
+            const previewsAllowed = () => !dataSaver.enabled;
+            // Without a saved preference (and in AUTO) start from a rendition suited to the network and screen
+            const networkDefaultQuality = () => {
+                const { quality, reason } = chooseDefaultQuality({ networkType: player.networkType });
+                // Deferred: on first load the debug readout only exists once Artplayer has built its layers
+                Promise.resolve().then(() => updateDebugInfo(`Default quality ${quality.toUpperCase()}: ${reason}`, player.container));
+                return quality;
+            };
+            const initialRequestedQuality = savedUserQuality && savedUserQuality !== 'auto' ? savedUserQuality : capabilities.defaultQuality || networkDefaultQuality();
+            // Renditions with several mirrors start on the CDN that answers fastest (hosts already measured this session aren't probed again)
+            await probeMirrors(currentMovieData.video);
+            if (mountToken !== player.mountToken) return;
+            //console.log("Saved user quality preference:", savedUserQuality);
+            // Use the updated helper function to decide URL, playback quality, and set videoType
+            // This will now use the original URLs from currentMovieData.video and set videoType
+            /**
+             * @function episodeDrm
+             * @param {Object} episode
+             * @returns {Object|null} The episode's DRM config (see resolveDrmConfig); null for a clear stream.
+             */
+            const episodeDrm = (episode) => resolveDrmConfig(episode.drm, {
+                clearKeys: optionData.drm?.clearKeys,
+                prepareLicenseRequest: (request) => player.prepareLicenseRequest({ ...request, episodeId: episode.episodeId }),
+            });
+            let drmConfig = episodeDrm(currentMovieData); // Read by the engines whenever a source is attached
+            let initialPlaybackInfo = determinePlaybackQualityAndUrl(currentMovieData, initialRequestedQuality, qualityCap());
+            if (!initialPlaybackInfo && !currentMovieData.locked) {
+                player.showError('NO_SOURCE', { episodeId: currentMovieData.episodeId });
+                return;
+            }
+            if (initialPlaybackInfo) {
+                // Unless the API declared it, ask the server what the source is (HLS, DASH or a progressive file)
+                initialPlaybackInfo = await resolvePlaybackType(initialPlaybackInfo, currentMovieData.video);
+                if (mountToken !== player.mountToken) return;
+            }
+            let initialUrl = ''; // This will now be the initial Original URL
+            let activeQuality = ''; // This represents the quality actually used for playback
+            let activeUrl = ''; // The mirror of `activeQuality` that is playing
+            if (initialPlaybackInfo) {
+                initialUrl = initialPlaybackInfo.url; // This is now an Original URL
+                activeQuality = initialPlaybackInfo.quality;
+                activeUrl = initialUrl;
+                player.videoType = initialPlaybackInfo.type;
+                //console.log(`Initial playback set to quality: ${activeQuality}, using Original URL: ${initialUrl}`);
+            } else if (!currentMovieData.locked) {
+                // Should ideally not reach here due to earlier check, but safety net.
+                player.showError('NO_SOURCE', { episodeId: currentMovieData.episodeId });
+                return;
+            }
+            // --- End Initial Playback Quality Selection (No more Blob Conversion) ---
+            // Keep the Artplayer instance on the player for cleanup
+            player.art = new Artplayer({
+                container: containerEl,
+                url: initialUrl, // Use the original URL
+                poster: currentMovieData.longCover,
+                isLive: false, muted: false, autoplay: true, pip: false, autoSize: false, autoMini: true,
+                screenshot: false, setting: false, loop: false, autoPlayback: false, autoOrientation: true,
+                antiOverlap: true, flip: false, playbackRate: false, aspectRatio: true, miniProgressBar: true,
+                backdrop: true, playsInline: true, airplay: false, fullscreenWeb: false, theme: "#1FDF67",
+                type: player.videoType, // Set from determinePlaybackQualityAndUrl
+                moreVideoAttr: { "webkit-playsinline": true },
+                layers: [
+                    {
+                        name: 'topControls', html: mainTopControlsContainer, style: { position: 'absolute', width: '100%', height: 'auto', pointerEvents: 'auto' },
+                        mounted: function (...args) {
+                            const backButton = args[0].querySelector('#backButton');
+                            backButton.onclick = () => player.emit('backButton');
+                        },
                     },
-                },
-                {
-                    name: 'adCountdown',
-                    html: `
-                        <div id="adCountdownOverlay" style="display: flex; position: absolute; bottom: 80px; left: 20px; pointer-events: none; z-index: 1000;">
-                            <div class="action-button-wrapper" style="width: auto; min-width: 300px; max-width: 400px; max-height: 500px; overflow: visible;">
-                                <button class="dynamic-action-button" style="opacity: 0.8; cursor: not-allowed; font-size: 0.9rem; padding: 8px 16px; background: rgba(0,0,0,0.9); border: 1px solid rgba(255,255,255,0.3); border-radius: 8px; color: white; font-weight: normal; text-align: left; min-height: 50px; height: auto;">
-                                    <div id="persistentCountdownText">${optionData.language != "en" ? "Kwamamaza mu" : "Ad in"} 10</div>
-                                    <div id="debugInfo" style="font-size: 0.7rem; margin-top: 5px; color: #1fdf67; font-family: monospace; white-space: pre-wrap;"></div>
-                                </button>
+                    {
+                        name: 'adCountdown',
+                        html: `
+                            <div id="adCountdownOverlay" style="display: flex; position: absolute; bottom: 80px; left: 20px; pointer-events: none; z-index: 1000;">
+                                <div class="action-button-wrapper" style="width: auto; min-width: 300px; max-width: 400px; max-height: 500px; overflow: visible;">
+                                    <button class="dynamic-action-button" style="opacity: 0.8; cursor: not-allowed; font-size: 0.9rem; padding: 8px 16px; background: rgba(0,0,0,0.9); border: 1px solid rgba(255,255,255,0.3); border-radius: 8px; color: white; font-weight: normal; text-align: left; min-height: 50px; height: auto;">
+                                        <div id="persistentCountdownText">${optionData.language != "en" ? "Kwamamaza mu" : "Ad in"} 10</div>
+                                        <div id="debugInfo" style="font-size: 0.7rem; margin-top: 5px; color: #1fdf67; font-family: monospace; white-space: pre-wrap;"></div>
+                                    </button>
+                                </div>
                             </div>
-                        </div>
-                    `,
-                    style: {
-                        position: 'absolute',
-                        bottom: '80px',
-                        left: '20px',
-                        width: 'auto',
-                        height: 'auto',
-                        pointerEvents: 'none',
-                        display: 'block',
-                        zIndex: 1000
-                    }
-                },
-                { name: 'playback', html: controlsPlayAndPauseElement, style: { width: '100%', height: '65px', alignSelf: 'center', boxSizing: 'border-box', opacity: "1", transition: "opacity 3s ease-in-out", position: 'absolute', pointerEvents: 'auto', top: '45%' } },
-                { name: 'bottomInfo', html: `<div id="bottom-left-info"><div id="season-episode-info"></div><div id="movie-title-display"></div></div><div id="more-episodes-container"></div>`, style: { position: 'absolute', inset: '0', pointerEvents: 'none' } },
-                { name: 'episodes', html: episodesOverlayHtml, style: { display: 'none', position: 'absolute', width: '100%', height: '250px', bottom: '0px', overflowY: 'hidden' } },
-                { name: 'lock', html: lockOverlayHtml, style: { display: 'none', zIndex: 50, width: '100%', height: '100%', left: '0px', borderRadius: '0px', backdropFilter: 'blur(10px)', backgroundColor: '#000000d9' } }
-            ],
-            controls: [
-                { name: 'currentTime', position: 'left', html: '00:00:00', style: { color: 'white', fontFamily: 'system-ui', fontSize: '1rem', paddingLeft: '10px' } },
-                { name: 'totalTime', position: 'right', html: '00:00:00', style: { color: 'white', fontFamily: 'system-ui', fontSize: '1rem', paddingRight: '10px' } },
-            ],
-            plugins: currentMovieData.adstatus === false ? [] : [
-                artplayerPluginAds({
-                    html: '<img src="" alt="Ad Poster">',
-                    // Use preLoll for initial plugin setup
-                    video: allLolls[0],
-                    url: "",
-                    // Adjust durations based on lock status (assuming locked means longer ad)
-                    playDuration: 48,
-                    totalDuration: 50,
-                    i18n: {
-                        close: optionData.language != 'en' ? 'Taruka' : 'Skip Ad',
-                        countdown: optionData.language != 'en' ? 'Kanda Hano' : 'Click Here',
-                        detail: optionData.language != 'en' ? 'Kwamamaza' : 'Ad',
-                        canBeClosed: optionData.language != 'en' ? '%s | Kwishyura?' : '%s | To Pay?'
+                        `,
+                        style: {
+                            position: 'absolute',
+                            bottom: '80px',
+                            left: '20px',
+                            width: 'auto',
+                            height: 'auto',
+                            pointerEvents: 'none',
+                            display: 'block',
+                            zIndex: 1000
+                        }
                     },
-                }),
-            ],
-            customType: { m3u8: _m, mpd: _x }
-        });
-        // Use `artInstance` from now on
-        const art = artInstance;
-        art.on('ready', () => {
-            art.aspectRatio = '16:9';
-
-            // --- Touch Swipe Logic for Episodes Overlay ---
-
-            // 1. Get the relevant DOM elements
-            const episodesLayer = document.querySelector('.art-layer-episodes'); // Assuming this holds the overlay
-            const episodesOverlay = episodesLayer ? episodesLayer.querySelector('#episodesOverlay') : null;
-
-            // Add event listener to the document
-            const adPlugin = art.plugins.artplayerPluginAds;
-            document.addEventListener('keydown', handleKeyPress);
-            // --- DOM Element References from art.layers ---
-            const actionButtonsContainer = art.layers.topControls.querySelector('#actionButtonContainer');
-            const qualityControlContainer = art.layers.topControls.querySelector('#qualityControl');
-            const rewindButton = art.layers.playback.querySelector('#rewindButton');
-            const forwardButton = art.layers.playback.querySelector('#forwardButton');
-            const playPauseButton = art.layers.playback.querySelector('#playPauseButton');
-            const volumeButton = art.layers.topControls.querySelector('#volumeButton');
-            const fullscreenButton = art.layers.topControls.querySelector('#fullscreenButton');
-            const mainControlsContainer = art.layers.topControls.querySelector('#mainControlsContainer');
-            const playbackControlsContainer = art.layers.playback.querySelector('#playbackControlsContainer');
-            const bottomLeftInfo = art.layers.bottomInfo.querySelector('#bottom-left-info');
-            const moreEpisodesContainer = art.layers.bottomInfo.querySelector('#more-episodes-container');
-            const lockLayer = art.layers.lock;
-            const artBottom = document.querySelector('.art-bottom');
-            const progressBar = document.querySelector('.art-control.art-control-progress');
-            const progressBarInner = document.querySelector('.art-control-progress-inner');
-            const centerControls = document.querySelector('.art-controls');
-            const currentTimeDisplay = art.controls.currentTime;
-            const totalTimeDisplay = art.controls.totalTime;
-            const subscribeButton = lockLayer.querySelector('#subscribeButton');
-            const helpButton = lockLayer.querySelector('#helpButton');
-            let videoPlayedOnce = false; // Track if the video is played for once
-            let accumulatedWatchTime = 0;
-            let lastCurrentTime = -1;
-            let tenMinuteViewRecorded = false;
-
-            // --- Helper Functions ---
-            const formatTime = (seconds) => new Date(seconds * 1000).toISOString().substr(11, 8);
-            const animateAndRemove = (element) => {
-                if (element && !element.classList.contains('animate-out')) {
-                    element.classList.add('animate-out');
-                    element.addEventListener('animationend', () => element.remove(), { once: true });
+                    { name: 'playback', html: controlsPlayAndPauseElement, style: { width: '100%', height: '65px', alignSelf: 'center', boxSizing: 'border-box', opacity: "1", transition: "opacity 3s ease-in-out", position: 'absolute', pointerEvents: 'auto', top: '45%' } },
+                    { name: 'bottomInfo', html: `<div id="bottom-left-info"><div id="season-episode-info"></div><div id="movie-title-display"></div></div><div id="more-episodes-container"></div>`, style: { position: 'absolute', inset: '0', pointerEvents: 'none' } },
+                    { name: 'episodes', html: episodesOverlayHtml, style: { display: 'none', position: 'absolute', width: '100%', height: '250px', bottom: '0px', overflowY: 'hidden' } },
+                    { name: 'lock', html: lockOverlayHtml, style: { display: 'none', zIndex: 50, width: '100%', height: '100%', left: '0px', borderRadius: '0px', backdropFilter: 'blur(10px)', backgroundColor: '#000000d9' } }
+                ],
+                controls: [
+                    { name: 'currentTime', position: 'left', html: '00:00:00', style: { color: 'white', fontFamily: 'system-ui', fontSize: '1rem', paddingLeft: '10px' } },
+                    { name: 'totalTime', position: 'right', html: '00:00:00', style: { color: 'white', fontFamily: 'system-ui', fontSize: '1rem', paddingRight: '10px' } },
+                ],
+                plugins: currentMovieData.adstatus === false || !capabilities.ads ? [] : [
+                    artplayerPluginAds({
+                        html: '<img src="" alt="Ad Poster">',
+                        // Use preLoll for initial plugin setup; the data saver loads it only when it plays
+                        video: dataSaver.enabled ? '' : allLolls[0],
+                        url: "",
+                        // Adjust durations based on lock status (assuming locked means longer ad)
+                        playDuration: 48,
+                        totalDuration: 50,
+                        i18n: {
+                            close: optionData.language != 'en' ? 'Taruka' : 'Skip Ad',
+                            countdown: optionData.language != 'en' ? 'Kanda Hano' : 'Click Here',
+                            detail: optionData.language != 'en' ? 'Kwamamaza' : 'Ad',
+                            canBeClosed: optionData.language != 'en' ? '%s | Kwishyura?' : '%s | To Pay?'
+                        },
+                    }),
+                ],
+                customType: {
+                    m3u8: (video, url, art) => _m(video, url, art, drmConfig),
+                    mpd: (video, url, art) => _x(video, url, art, drmConfig),
+                    mp4: _p,
+                    webm: _p,
                 }
+            });
+            const art = player.art;
+            art.on('reba:fatal', ({ code, details }) => player.showError(code, details));
+            let fallbackToOtherRendition = null; // Set once the quality controls are ready
+            art.on('reba:renditionFailed', (failure) => {
+                if (fallbackToOtherRendition) fallbackToOtherRendition(failure);
+                else player.showError(failure.code, failure.details);
+            });
+            let moveToOtherMirror = null; // Set once the quality controls are ready
+            art.on('reba:segmentFailures', (failure) => {
+                getCdnRanking().recordFailure(failure.url);
+                if (moveToOtherMirror) moveToOtherMirror(failure);
+            });
+            art.on('reba:recovery', (attempt) => {
+                updateDebugInfo(`${attempt.engine} ${attempt.action} #${attempt.attempt ?? 1}: ${attempt.details ?? attempt.code ?? ''}`, player.container);
+                player.playbackAnalytics?.recovery(attempt);
+            });
+            const adPrefetched = !dataSaver.enabled; // Whether the ad plugin was set up with the preLoll video
+            // --- Data Usage ---
+            const updateDataUsageReadout = () => {
+                const readout = art.layers.topControls?.querySelector('#dataUsage');
+                if (!readout) return;
+                readout.style.display = capabilities.qualitySelection && (dataSaver.enabled || dataSaver.budgetMB) ? '' : 'none';
+                const used = player.dataUsage.megabytes.toFixed(1);
+                readout.textContent = optionData.language != "en" ? `MB ${used} zimaze gukoreshwa` : `${used} MB used this session`;
             };
-            subscribeButton.onclick = () => {
-                window.device == "web" ? window.location.assign(`/kwishyura?vd=${optionData.movieId}`) : window.flutter_inappwebview.callHandler('playerAction', {
-                    action: 'subscribeButton',
-                    data: optionData.movieId
+            player.dataUsage = new DataUsageMeter({
+                budgetMB: dataSaver.budgetMB,
+                onChange: updateDataUsageReadout,
+                onBudget: (usedMB) => {
+                    art.notice.show = optionData.language != "en"
+                        ? `Umaze gukoresha MB ${Math.round(usedMB)} muri iyi filime`
+                        : `You've used ${Math.round(usedMB)} MB of data this session`;
+                    player.emit('dataBudget', { usedMB, budgetMB: dataSaver.budgetMB });
+                },
+            });
+            art.on('reba:bytes', (bytes) => player.dataUsage.add(bytes));
+            if (optionData.playbackAnalytics) {
+                player.playbackAnalytics = new PlaybackAnalytics({
+                    ...(optionData.playbackAnalytics === true ? {} : optionData.playbackAnalytics),
+                    url: player.apiEndpoints.playbackEvents,
+                    queue: player.analytics,
+                    auth: player.auth,
+                    userId: optionData.userId,
                 });
-            };
-            helpButton.onclick = () => {
-                if (window.device == "web") {
-                    const event = new CustomEvent('playerAction', {
-                        detail: {
-                            action: 'helpButton',
-                            data: {}
+                if (initialPlaybackInfo) player.playbackAnalytics.startSession(currentMovieData, initialPlaybackInfo);
+            }
+            if (capabilities.fullscreenMode === 'fill') {
+                art.video.style.width = '100%';
+                art.video.style.objectPosition = 'center';
+            }
+            art.on('ready', () => {
+                art.aspectRatio = '16:9';
+
+                // --- Touch Swipe Logic for Episodes Overlay ---
+
+                // 1. Get the relevant DOM elements
+                const episodesLayer = containerEl.querySelector('.art-layer-episodes'); // Assuming this holds the overlay
+                const episodesOverlay = episodesLayer ? episodesLayer.querySelector('#episodesOverlay') : null;
+
+                // Add event listener to the document
+                const adPlugin = art.plugins.artplayerPluginAds;
+                document.addEventListener('keydown', player.keyPressHandler);
+                // --- DOM Element References from art.layers ---
+                const actionButtonsContainer = art.layers.topControls.querySelector('#actionButtonContainer');
+                const qualityControlContainer = art.layers.topControls.querySelector('#qualityControl');
+                const rewindButton = art.layers.playback.querySelector('#rewindButton');
+                const forwardButton = art.layers.playback.querySelector('#forwardButton');
+                const playPauseButton = art.layers.playback.querySelector('#playPauseButton');
+                const volumeButton = art.layers.topControls.querySelector('#volumeButton');
+                const fullscreenButton = art.layers.topControls.querySelector('#fullscreenButton');
+                const mainControlsContainer = art.layers.topControls.querySelector('#mainControlsContainer');
+                const playbackControlsContainer = art.layers.playback.querySelector('#playbackControlsContainer');
+                const bottomLeftInfo = art.layers.bottomInfo.querySelector('#bottom-left-info');
+                const moreEpisodesContainer = art.layers.bottomInfo.querySelector('#more-episodes-container');
+                const lockLayer = art.layers.lock;
+                const artBottom = containerEl.querySelector('.art-bottom');
+                const progressBar = containerEl.querySelector('.art-control.art-control-progress');
+                const progressBarInner = containerEl.querySelector('.art-control-progress-inner');
+                const centerControls = containerEl.querySelector('.art-controls');
+                const currentTimeDisplay = art.controls.currentTime;
+                const totalTimeDisplay = art.controls.totalTime;
+                const subscribeButton = lockLayer.querySelector('#subscribeButton');
+                const helpButton = lockLayer.querySelector('#helpButton');
+                let videoPlayedOnce = false; // Track if the video is played for once
+                let accumulatedWatchTime = 0;
+                let lastCurrentTime = -1;
+                let tenMinuteViewRecorded = false;
+                let viewStartedAt = Date.now(); // Identifies this playback, so a queued view ping is never counted twice
+                let nextEpisodeCardShown = false; // Whether the next episode card was shown for this playback
+
+                // --- Helper Functions ---
+                const formatTime = (seconds) => new Date(seconds * 1000).toISOString().substr(11, 8);
+                const animateAndRemove = (element) => {
+                    if (element && !element.classList.contains('animate-out')) {
+                        element.classList.add('animate-out');
+                        element.addEventListener('animationend', () => element.remove(), { once: true });
+                    }
+                };
+                subscribeButton.onclick = () => {
+                    player.emit('subscribeButton', optionData.movieId);
+                    if (optionData.device == "web") window.location.assign(`/kwishyura?vd=${optionData.movieId}`);
+                };
+                helpButton.onclick = () => player.emit('helpButton');
+                // --- UI Update Functions ---
+                // --- In-manifest renditions ---
+                // Multi-bitrate manifests list their own levels; those replace HD/MID/LOW and switch in place.
+                // Single-level streams report none, which brings the three-URL buttons back.
+                let engineLevels = null; // { engine, levels } of the current stream, or null
+                let activeLevel = -1; // Chosen level; -1 = the engine's ABR
+                let playingLevel = -1; // Level the engine is rendering
+                let pendingLevelSwitch = null; // { index, startedAt } until the engine renders a picked level
+                let qualitySwitchController = null; // Aborts a seamless switch still preloading
+                const failedRenditions = new Set(); // Renditions of this episode the engine gave up on
+                const failedMirrors = new Set(); // Mirror URLs of this episode that failed
+                art.on('destroy', () => qualitySwitchController?.abort());
+                /**
+                 * @function updateQualityButtons
+                 * @description Marks the active/disabled quality buttons and fills in the size labels.
+                 */
+                const updateQualityButtons = () => {
+                    const topControls = art.layers.topControls;
+                    topControls.querySelector('#hdSize').textContent = currentMovieData.size.hdSize;
+                    topControls.querySelector('#midSize').textContent = currentMovieData.size.midSize;
+                    topControls.querySelector('#lowSize').textContent = currentMovieData.size.lowSize;
+                    const autoLabel = engineLevels
+                        ? engineLevels.levels.find(level => level.index === playingLevel)?.label || ''
+                        : activeQuality.toUpperCase();
+                    const autoActive = engineLevels ? activeLevel === -1 : autoQualityMode;
+                    topControls.querySelector('#autoSize').textContent = autoActive ? autoLabel : '';
+                    topControls.querySelectorAll('#qualityControl .segment-button').forEach(button => {
+                        const quality = button.dataset.value;
+                        button.classList.remove('active', 'disabled');
+                        if (quality === 'auto') {
+                            if (autoActive) button.classList.add('active');
+                            return;
+                        }
+                        const maxQuality = qualityCap();
+                        if (quality === 'level') {
+                            const height = Number(button.dataset.height);
+                            if (maxQuality && height > DATA_SAVER_LEVEL_HEIGHTS[maxQuality]) button.classList.add('disabled');
+                            else if (Number(button.dataset.level) === activeLevel) button.classList.add('active');
+                            return;
+                        }
+                        button.style.display = engineLevels ? 'none' : '';
+                        if (maxQuality && QUALITY_RANK[quality] > QUALITY_RANK[maxQuality]) {
+                            button.classList.add('disabled'); // Above the data saver cap
+                            return;
+                        }
+                        if (autoQualityMode) return; // AUTO shows the rendition it picked in its own label
+                        if (!hasRendition(currentMovieData.video, quality)) {
+                            button.classList.add('disabled');
+                        }
+                        if (activeQuality === quality && !button.classList.contains('disabled')) {
+                            button.classList.add('active');
                         }
                     });
-                    document.dispatchEvent(event);
-                } else {
-                    window.flutter_inappwebview.callHandler('playerAction', {
-                        action: 'helpButton',
-                        data: {}
-                    });
-                }
-            };
-            // --- UI Update Functions ---
-            const updateUIForNewEpisode = () => {
-                const seasonEpInfoEl = art.layers.bottomInfo.querySelector('#season-episode-info');
-                const movieTitleEl = art.layers.bottomInfo.querySelector('#movie-title-display');
-                if (currentMovieData.type === 'M' || !apiData.isSeason) {
-                    //if (seasonEpInfoEl) seasonEpInfoEl.style.display = 'none';
-                    if (seasonEpInfoEl) {
-                        seasonEpInfoEl.textContent = `Filme`;
-                        seasonEpInfoEl.style.display = 'block';
-                        seasonEpInfoEl.style.marginBottom = '10px';
-                    }
-                } else {
-                    if (seasonEpInfoEl) {
-                        seasonEpInfoEl.textContent = `Season ${currentMovieData.position.seasonIndex + 1}, EP ${currentMovieData.episode}${currentMovieData.partName || ''}`;
-                        seasonEpInfoEl.style.display = 'block';
-                        seasonEpInfoEl.style.marginBottom = '10px';
-                    }
-                }
-                if (movieTitleEl) {
-                    // Check if a logo URL exists and is not empty/invalid
-                    if (currentMovieData.logo && currentMovieData.logo.trim() !== '' && !currentMovieData.logo.includes('not found')) {
-                        // Hide the text title
-                        movieTitleEl.textContent = '';
-                        // Create and insert the image element
-                        const logoImg = document.createElement('img');
-                        logoImg.src = currentMovieData.logo;
-                        logoImg.alt = currentMovieData.title || 'Movie Logo';
-                        logoImg.style.maxWidth = '100%'; // Ensure it doesn't overflow
-                        logoImg.style.height = '100%'; // Maintain aspect ratio
-                        // Optional: Add a class for further styling via CSS
-                        // logoImg.className = 'movie-logo-image';
-                        movieTitleEl.appendChild(logoImg);
+                };
+                const updateUIForNewEpisode = () => {
+                    const seasonEpInfoEl = art.layers.bottomInfo.querySelector('#season-episode-info');
+                    const movieTitleEl = art.layers.bottomInfo.querySelector('#movie-title-display');
+                    if (currentMovieData.type === 'M' || !content.isSeason) {
+                        //if (seasonEpInfoEl) seasonEpInfoEl.style.display = 'none';
+                        if (seasonEpInfoEl) {
+                            seasonEpInfoEl.textContent = `Filme`;
+                            seasonEpInfoEl.style.display = 'block';
+                            seasonEpInfoEl.style.marginBottom = '10px';
+                        }
                     } else {
-                        // No logo, display the text title
-                        movieTitleEl.textContent = currentMovieData.title;
+                        if (seasonEpInfoEl) {
+                            seasonEpInfoEl.textContent = `Season ${currentMovieData.position.seasonIndex + 1}, EP ${currentMovieData.episode}${currentMovieData.partName || ''}`;
+                            seasonEpInfoEl.style.display = 'block';
+                            seasonEpInfoEl.style.marginBottom = '10px';
+                        }
                     }
-                }
-                art.poster = currentMovieData.longCover;
-                art.layers.topControls.querySelector('#hdSize').textContent = currentMovieData.size.hdSize;
-                art.layers.topControls.querySelector('#midSize').textContent = currentMovieData.size.midSize;
-                art.layers.topControls.querySelector('#lowSize').textContent = currentMovieData.size.lowSize;
-                art.layers.topControls.querySelectorAll('#qualityControl .segment-button').forEach(button => {
-                    const quality = button.dataset.value;
-                    button.classList.remove('active', 'disabled');
-                    const videoUrl = currentMovieData.video[`${quality}Video`];
-                    if (!videoUrl || videoUrl.includes('not found')) {
-                        button.classList.add('disabled');
+                    if (movieTitleEl) {
+                        // Check if a logo URL exists and is not empty/invalid
+                        if (currentMovieData.logo && currentMovieData.logo.trim() !== '' && !currentMovieData.logo.includes('not found')) {
+                            // Hide the text title
+                            movieTitleEl.textContent = '';
+                            // Create and insert the image element
+                            const logoImg = document.createElement('img');
+                            logoImg.src = currentMovieData.logo;
+                            logoImg.alt = currentMovieData.title || 'Movie Logo';
+                            logoImg.style.maxWidth = '100%'; // Ensure it doesn't overflow
+                            logoImg.style.height = '100%'; // Maintain aspect ratio
+                            // Optional: Add a class for further styling via CSS
+                            // logoImg.className = 'movie-logo-image';
+                            movieTitleEl.appendChild(logoImg);
+                        } else {
+                            // No logo, display the text title
+                            movieTitleEl.textContent = currentMovieData.title;
+                        }
                     }
-                    if (activeQuality === quality && !button.classList.contains('disabled')) {
-                        button.classList.add('active');
+                    art.poster = currentMovieData.longCover;
+                    updateQualityButtons();
+                };
+                const showSkipIntroButton = () => {
+                    const introEndTime = parseInt(currentMovieData.time.startTime, 10);
+                    if (actionButtonsContainer.querySelector('#skipIntroBtn') || !introEndTime || art.currentTime >= introEndTime) return;
+                    const wrapper = document.createElement('div');
+                    wrapper.id = 'skipIntroBtn';
+                    wrapper.className = 'action-button-wrapper';
+                    wrapper.innerHTML = `<button class="dynamic-action-button"><span>${optionData.language != "en" ? "Taruka Indirimbo" : "Skip Intro"}</span><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="13 17 18 12 13 7"></polyline><polyline points="6 17 11 12 6 7"></polyline></svg></button>`;
+                    wrapper.querySelector('button').onclick = () => { art.seek = introEndTime; art.play(); animateAndRemove(wrapper); };
+                    actionButtonsContainer.innerHTML = '';
+                    actionButtonsContainer.appendChild(wrapper);
+                };
+                const showContinueWatchingButton = () => {
+                    const continueTime = currentMovieData.continueWatching.inMinutes;
+                    if (actionButtonsContainer.querySelector('#continueWatchingContainer') || !continueTime) return;
+                    const wrapper = document.createElement('div');
+                    wrapper.id = 'continueWatchingContainer';
+                    wrapper.className = 'action-button-wrapper';
+                    function formatTime(seconds) {
+                        const hrs = Math.floor(seconds / 3600).toString().padStart(2, '0');
+                        const mins = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
+                        const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+                        return `${hrs}:${mins}:${secs}`;
                     }
-                });
-            };
-            const showSkipIntroButton = () => {
-                const introEndTime = parseInt(currentMovieData.time.startTime, 10);
-                if (actionButtonsContainer.querySelector('#skipIntroBtn') || !introEndTime || art.currentTime >= introEndTime) return;
-                const wrapper = document.createElement('div');
-                wrapper.id = 'skipIntroBtn';
-                wrapper.className = 'action-button-wrapper';
-                wrapper.innerHTML = `<button class="dynamic-action-button"><span>${optionData.language != "en" ? "Taruka Indirimbo" : "Skip Intro"}</span><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="13 17 18 12 13 7"></polyline><polyline points="6 17 11 12 6 7"></polyline></svg></button>`;
-                wrapper.querySelector('button').onclick = () => { art.seek = introEndTime; art.play(); animateAndRemove(wrapper); };
-                actionButtonsContainer.innerHTML = '';
-                actionButtonsContainer.appendChild(wrapper);
-            };
-            const showContinueWatchingButton = () => {
-                const continueTime = currentMovieData.continueWatching.inMinutes;
-                if (actionButtonsContainer.querySelector('#continueWatchingContainer') || !continueTime) return;
-                const wrapper = document.createElement('div');
-                wrapper.id = 'continueWatchingContainer';
-                wrapper.className = 'action-button-wrapper';
-                function formatTime(seconds) {
-                    const hrs = Math.floor(seconds / 3600).toString().padStart(2, '0');
-                    const mins = Math.floor((seconds % 3600) / 60).toString().padStart(2, '0');
-                    const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
-                    return `${hrs}:${mins}:${secs}`;
-                }
-                const timeString = formatTime(currentMovieData.continueWatching.inMinutes);
-                wrapper.innerHTML = `
-                                <button class="dynamic-action-button">${optionData.language != "en" ? "Komeza uhereye" : "Continue from -"} ${timeString}</button>
-                            `;
-                wrapper.querySelector('.dynamic-action-button').onclick = () => { art.seek = continueTime; art.play(); animateAndRemove(wrapper); };
-                actionButtonsContainer.innerHTML = '';
-                actionButtonsContainer.appendChild(wrapper);
-            };
-            // --- Episodes Overlay Setup ---
-            const setupEpisodesOverlay = (ed) => {
-                updateDebugInfo('setupEpisodesOverlay called');
+                    const timeString = formatTime(currentMovieData.continueWatching.inMinutes);
+                    wrapper.innerHTML = `
+                                    <button class="dynamic-action-button">${optionData.language != "en" ? "Komeza uhereye" : "Continue from -"} ${timeString}</button>
+                                `;
+                    wrapper.querySelector('.dynamic-action-button').onclick = () => { art.seek = continueTime; art.play(); animateAndRemove(wrapper); };
+                    actionButtonsContainer.innerHTML = '';
+                    actionButtonsContainer.appendChild(wrapper);
+                };
+                // --- Episodes Overlay Setup ---
+                const setupEpisodesOverlay = (ed) => {
+                    updateDebugInfo('setupEpisodesOverlay called', containerEl);
 
-                if (ed) {
-                    updateDebugInfo(`Event type: ${ed.type}, target: ${ed.target?.id || ed.target?.className}`);
-                }
-                updateDebugInfo(`Episodes layer found: ${!!episodesLayer}`);
-                updateDebugInfo(`Episodes overlay found: ${!!episodesOverlay}`);
+                    if (ed) {
+                        updateDebugInfo(`Event type: ${ed.type}, target: ${ed.target?.id || ed.target?.className}`, containerEl);
+                    }
+                    updateDebugInfo(`Episodes layer found: ${!!episodesLayer}`, containerEl);
+                    updateDebugInfo(`Episodes overlay found: ${!!episodesOverlay}`, containerEl);
 
-                if (!episodesLayer || !episodesOverlay) {
-                    updateDebugInfo('ERROR: Episodes elements not found');
-                    return;
-                }
-                const artBottom = document.querySelector('.art-bottom');
-                const closeEpisodesBtn = episodesLayer.querySelector('#closeEpisodesOverlay');
-                const episodesList = episodesLayer.querySelector('#episodesList');
-                updateDebugInfo(`Art bottom found: ${!!artBottom}`);
-                updateDebugInfo(`Close button found: ${!!closeEpisodesBtn}`);
-                updateDebugInfo(`Episodes list found: ${!!episodesList}`);
-
-                const scrollLeftBtn = episodesLayer.querySelector('#scrollLeft');
-                const scrollRightBtn = episodesLayer.querySelector('#scrollRight');
-                const openSeasonsBtn = episodesLayer.querySelector('#openSeasonsButton');
-                const seasonCardOverlay = episodesLayer.querySelector('#seasonCardOverlay');
-                const seasonCardList = episodesLayer.querySelector('#seasonCardList');
-                const backToEpisodesBtn = episodesLayer.querySelector('#backToEpisodesButton');
-                const closeSeasonsBtn = episodesLayer.querySelector('#closeSeasonsOverlay');
-                let selectedSeasonIndex = currentMovieData.position.seasonIndex;
-                const populateSeasonCards = () => {
-                    if (!seriesData || !seasonCardList) return;
-                    seasonCardList.innerHTML = '';
-                    seriesData.seasons.forEach((season, index) => {
-                        const card = document.createElement('div');
-                        card.className = 'season-card';
-                        const imageUrl = season.episodes[0]?.longCover || '';
-                        card.style.backgroundImage = `url(${imageUrl})`;
-                        card.innerHTML = `<div class="season-card-number">Season ${season.season}</div>`;
-                        if (index === selectedSeasonIndex) {
-                            card.classList.add('active');
-                        }
-                        card.addEventListener('click', () => {
-                            selectedSeasonIndex = index;
-                            populateEpisodes(selectedSeasonIndex);
-                            seasonCardList.querySelector('.season-card.active')?.classList.remove('active');
-                            card.classList.add('active');
-                            episodesOverlay.classList.remove('seasons-active');
-                        });
-                        seasonCardList.appendChild(card);
-                    });
-                };
-                hideOverlay = (ed) => {
-                    ed.preventDefault();
-                    ed.stopPropagation();
-
-                    if (episodesOverlay) {
-                        // --- Use Opacity for Fade Out ---
-                        // Ensure transition is enabled (check CSS)
-                        if (artBottom) artBottom.style.display = 'flex'; // Show art bottom if hidden
-                        episodesOverlay.classList.remove('no-transition');
-                        episodesOverlay.classList.remove('visible'); // Remove class if used for state
-                        // Apply final state for fade out
-                        episodesOverlay.style.opacity = '0';
-                        episodesOverlay.style.pointerEvents = 'none'; // Disable interaction during/after fade out
-
-                        // Delay hiding the layer to let the transition finish (match CSS duration)
-                        setTimeout(() => {
-                            // Check state before hiding (good practice, though opacity handles visibility)
-                            if (episodesOverlay && episodesLayer && parseFloat(window.getComputedStyle(episodesOverlay).opacity) <= 0.1) {
-                                episodesOverlay.style.display = 'none'; // Hide overlay element
-                                episodesLayer.style.display = 'none';  // Hide parent layer
-                                episodesOverlay.classList.remove('seasons-active'); // Reset potential state
-                                if (artBottom) artBottom.style.display = 'flex'; // Show art bottom if hidden
-                            }
-                        }, 300); // Match CSS transition duration (adjust if different)
+                    if (!episodesLayer || !episodesOverlay) {
+                        updateDebugInfo('ERROR: Episodes elements not found', containerEl);
+                        return;
                     }
-                };
-                const populateEpisodes = (seasonIndex) => {
-                    if (!seriesData || !episodesList) return;
-                    const season = seriesData.seasons[seasonIndex];
-                    if (!season) return;
-                    episodesList.innerHTML = '';
-                    season.episodes.forEach((ep, index) => {
-                        const isNextSeasonCard = index === season.episodes.length - 1 && ep.position.seasonIndex !== seasonIndex;
-                        if (isNextSeasonCard) {
+                    const artBottom = containerEl.querySelector('.art-bottom');
+                    const closeEpisodesBtn = episodesLayer.querySelector('#closeEpisodesOverlay');
+                    const episodesList = episodesLayer.querySelector('#episodesList');
+                    updateDebugInfo(`Art bottom found: ${!!artBottom}`, containerEl);
+                    updateDebugInfo(`Close button found: ${!!closeEpisodesBtn}`, containerEl);
+                    updateDebugInfo(`Episodes list found: ${!!episodesList}`, containerEl);
+
+                    const scrollLeftBtn = episodesLayer.querySelector('#scrollLeft');
+                    const scrollRightBtn = episodesLayer.querySelector('#scrollRight');
+                    const openSeasonsBtn = episodesLayer.querySelector('#openSeasonsButton');
+                    const seasonCardOverlay = episodesLayer.querySelector('#seasonCardOverlay');
+                    const seasonCardList = episodesLayer.querySelector('#seasonCardList');
+                    const backToEpisodesBtn = episodesLayer.querySelector('#backToEpisodesButton');
+                    const closeSeasonsBtn = episodesLayer.querySelector('#closeSeasonsOverlay');
+                    let selectedSeasonIndex = currentMovieData.position.seasonIndex;
+                    const populateSeasonCards = () => {
+                        if (!seriesData || !seasonCardList) return;
+                        seasonCardList.innerHTML = '';
+                        seriesData.seasons.forEach((season, index) => {
                             const card = document.createElement('div');
                             card.className = 'season-card';
-                            const imageUrl = ep.longCover || '';
-                            card.style.backgroundImage = `url(${imageUrl})`;
-                            card.innerHTML = `<div class="season-card-number">Season ${ep.position.seasonIndex + 1}</div>`;
-                            card.addEventListener('click', () => {
-                                // Use the new switch function
-                                switchToEpisode(ep);
-                            });
-                            episodesList.appendChild(card);
-                        } else {
-                            const card = document.createElement('div');
-                            card.className = 'episode-card';
-                            card.style.backgroundImage = `url(${ep.longCover})`;
-                            if (ep.episodeId === currentMovieData.episodeId) {
+                            const imageUrl = season.episodes[0]?.longCover || '';
+                            if (previewsAllowed()) card.style.backgroundImage = `url(${imageUrl})`;
+                            card.innerHTML = `<div class="season-card-number">Season ${season.season}</div>`;
+                            if (index === selectedSeasonIndex) {
                                 card.classList.add('active');
                             }
-                            if (ep.locked) {
-                                card.classList.add('locked');
-                                card.innerHTML += `<div class="lock-icon"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/></svg></div>`;
-                            }
-                            card.innerHTML += `<div class="episode-info"><div class="season-text">${season.seasonName}</div><div class="episode-number">${ep.episode}${ep.partName || ''}</div><div class="title-text">${ep.title}</div></div><div class="audio-wave-container"><div class="audio-wave-bar"></div><div class="audio-wave-bar"></div><div class="audio-wave-bar"></div></div>`;
-                            card.addEventListener('click', (e) => {
-                                if (card.classList.contains('locked')) {
-                                    showLockOverlay();
-                                    return;
-                                }
-                                card.classList.add('bouncing');
-                                card.addEventListener('animationend', () => card.classList.remove('bouncing'), { once: true });
-                                closeEpisodesBtn.addEventListener('click', hideOverlay);
-                                closeEpisodesBtn.dataset.listenerAttached = 'true';
-                                // Use the new switch function
-                                switchToEpisode(ep);
-                                hideOverlay(e);
+                            card.addEventListener('click', () => {
+                                selectedSeasonIndex = index;
+                                populateEpisodes(selectedSeasonIndex);
+                                seasonCardList.querySelector('.season-card.active')?.classList.remove('active');
+                                card.classList.add('active');
+                                episodesOverlay.classList.remove('seasons-active');
                             });
-                            episodesList.appendChild(card);
+                            seasonCardList.appendChild(card);
+                        });
+                    };
+                    hideOverlay = (ed) => {
+                        if (ed) {
+                            ed.preventDefault();
+                            ed.stopPropagation();
                         }
-                    });
-                };
-                if (closeEpisodesBtn) {
-                    const handleCloseClickEpisodes = (e) => {
-                        e.preventDefault();
-                        e.stopPropagation();
-                        // console.log("Close Episodes Button Clicked - Animating Out");
 
-                        // Animate the overlay OUT (swipe down)
-                        hideOverlay(e); // Use the hideOverlay function to handle the animation
+                        if (episodesOverlay) {
+                            // --- Use Opacity for Fade Out ---
+                            // Ensure transition is enabled (check CSS)
+                            if (artBottom) artBottom.style.display = 'flex'; // Show art bottom if hidden
+                            episodesOverlay.classList.remove('no-transition');
+                            episodesOverlay.classList.remove('visible'); // Remove class if used for state
+                            // Apply final state for fade out
+                            episodesOverlay.style.opacity = '0';
+                            episodesOverlay.style.pointerEvents = 'none'; // Disable interaction during/after fade out
+
+                            // Delay hiding the layer to let the transition finish (match CSS duration)
+                            setTimeout(() => {
+                                // Check state before hiding (good practice, though opacity handles visibility)
+                                if (episodesOverlay && episodesLayer && parseFloat(window.getComputedStyle(episodesOverlay).opacity) <= 0.1) {
+                                    episodesOverlay.style.display = 'none'; // Hide overlay element
+                                    episodesLayer.style.display = 'none';  // Hide parent layer
+                                    episodesOverlay.classList.remove('seasons-active'); // Reset potential state
+                                    if (artBottom) artBottom.style.display = 'flex'; // Show art bottom if hidden
+                                }
+                            }, 300); // Match CSS transition duration (adjust if different)
+                        }
                     };
-                    closeEpisodesBtn.removeEventListener('click', handleCloseClickEpisodes);
-                    closeEpisodesBtn.addEventListener('click', handleCloseClickEpisodes);
-                    // delete closeEpisodesBtn.dataset.listenerAttached;
-                }
-                if (closeSeasonsBtn) {
-                    const handleCloseClickSeasons = (e) => {
+                    const populateEpisodes = (seasonIndex) => {
+                        if (!seriesData || !episodesList) return;
+                        const season = seriesData.seasons[seasonIndex];
+                        if (!season) return;
+                        episodesList.innerHTML = '';
+                        season.episodes.forEach((ep, index) => {
+                            const isNextSeasonCard = capabilities.seasons && index === season.episodes.length - 1 && ep.position.seasonIndex !== seasonIndex;
+                            if (isNextSeasonCard) {
+                                const card = document.createElement('div');
+                                card.className = 'season-card';
+                                const imageUrl = ep.longCover || '';
+                                if (previewsAllowed()) card.style.backgroundImage = `url(${imageUrl})`;
+                                card.innerHTML = `<div class="season-card-number">Season ${ep.position.seasonIndex + 1}</div>`;
+                                card.addEventListener('click', () => {
+                                    // Use the new switch function
+                                    switchToEpisode(ep);
+                                });
+                                episodesList.appendChild(card);
+                            } else {
+                                const card = document.createElement('div');
+                                card.className = 'episode-card';
+                                if (previewsAllowed()) card.style.backgroundImage = `url(${ep.longCover})`;
+                                if (ep.episodeId === currentMovieData.episodeId) {
+                                    card.classList.add('active');
+                                }
+                                if (ep.locked) {
+                                    card.classList.add('locked');
+                                    card.innerHTML += `<div class="lock-icon"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/></svg></div>`;
+                                }
+                                const history = episodeHistory.get(ep.episodeId);
+                                if (history?.finished) {
+                                    card.classList.add('watched');
+                                    card.innerHTML += `<div class="watched-icon" title="${optionData.language != "en" ? "Warayirebye" : "Watched"}"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M9 16.17 4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg></div>`;
+                                }
+                                const watchedPercentage = history?.finished ? 100 : Math.min(100, history?.continueWatching?.inPercentage || 0);
+                                if (watchedPercentage > 0) {
+                                    card.innerHTML += `<div class="episode-progress"><div class="episode-progress-fill" style="width: ${watchedPercentage}%"></div></div>`;
+                                }
+                                card.innerHTML += `<div class="episode-info"><div class="season-text">${season.seasonName}</div><div class="episode-number">${ep.episode || index + 1}${ep.partName || ''}</div><div class="title-text">${ep.title}</div></div><div class="audio-wave-container"><div class="audio-wave-bar"></div><div class="audio-wave-bar"></div><div class="audio-wave-bar"></div></div>`;
+                                card.addEventListener('click', (e) => {
+                                    if (card.classList.contains('locked')) {
+                                        showLockOverlay();
+                                        return;
+                                    }
+                                    card.classList.add('bouncing');
+                                    card.addEventListener('animationend', () => card.classList.remove('bouncing'), { once: true });
+                                    closeEpisodesBtn.addEventListener('click', hideOverlay);
+                                    closeEpisodesBtn.dataset.listenerAttached = 'true';
+                                    // Use the new switch function
+                                    switchToEpisode(ep);
+                                    hideOverlay(e);
+                                });
+                                episodesList.appendChild(card);
+                            }
+                        });
+                    };
+                    if (closeEpisodesBtn) {
+                        const handleCloseClickEpisodes = (e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            // console.log("Close Episodes Button Clicked - Animating Out");
+
+                            // Animate the overlay OUT (swipe down)
+                            hideOverlay(e); // Use the hideOverlay function to handle the animation
+                        };
+                        closeEpisodesBtn.removeEventListener('click', handleCloseClickEpisodes);
+                        closeEpisodesBtn.addEventListener('click', handleCloseClickEpisodes);
+                        // delete closeEpisodesBtn.dataset.listenerAttached;
+                    }
+                    if (closeSeasonsBtn) {
+                        const handleCloseClickSeasons = (e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            // console.log("Close Seasons Button Clicked - Animating Out");
+
+                            // Animate the overlay OUT (swipe down)
+                            hideOverlay(e); // Use the hideOverlay function to handle the animation
+                        };
+                        closeSeasonsBtn.removeEventListener('click', handleCloseClickSeasons);
+                        closeSeasonsBtn.addEventListener('click', handleCloseClickSeasons);
+                        // delete closeSeasonsBtn.dataset.listenerAttached;
+                    }
+                    if (openSeasonsBtn && !openSeasonsBtn.dataset.listenerAttached) {
+                        openSeasonsBtn.addEventListener('click', () => {
+                            populateSeasonCards();
+                            episodesOverlay.classList.add('seasons-active');
+                        });
+                        openSeasonsBtn.dataset.listenerAttached = 'true';
+                    }
+                    if (backToEpisodesBtn && !backToEpisodesBtn.dataset.listenerAttached) {
+                        backToEpisodesBtn.addEventListener('click', () => {
+                            episodesOverlay.classList.remove('seasons-active');
+                        });
+                        backToEpisodesBtn.dataset.listenerAttached = 'true';
+                    }
+                    if (scrollLeftBtn && !scrollLeftBtn.dataset.listenerAttached) {
+                        scrollLeftBtn.addEventListener('click', () => { if (episodesList) episodesList.scrollBy({ left: -300, behavior: 'smooth' }); });
+                        scrollLeftBtn.dataset.listenerAttached = 'true';
+                    }
+                    if (scrollRightBtn && !scrollRightBtn.dataset.listenerAttached) {
+                        scrollRightBtn.addEventListener('click', () => { if (episodesList) episodesList.scrollBy({ left: 300, behavior: 'smooth' }); });
+                        scrollRightBtn.dataset.listenerAttached = 'true';
+                    }
+
+                    episodesOverlay.classList.remove('seasons-active');
+                    populateEpisodes(selectedSeasonIndex);
+                    refreshEpisodeCards = () => {
+                        if (!episodesOverlay.classList.contains('visible')) return;
+                        const scrollLeft = episodesList ? episodesList.scrollLeft : 0;
+                        populateEpisodes(selectedSeasonIndex);
+                        if (episodesList) episodesList.scrollLeft = scrollLeft; // Keep the user's place in the list
+                    };
+                    if (artBottom) artBottom.style.display = 'none';
+                    function handleMoreEpisodesClick(e) {
+                        updateDebugInfo('handleMoreEpisodesClick called', containerEl);
                         e.preventDefault();
                         e.stopPropagation();
-                        // console.log("Close Seasons Button Clicked - Animating Out");
 
-                        // Animate the overlay OUT (swipe down)
-                        hideOverlay(e); // Use the hideOverlay function to handle the animation
-                    };
-                    closeSeasonsBtn.removeEventListener('click', handleCloseClickSeasons);
-                    closeSeasonsBtn.addEventListener('click', handleCloseClickSeasons);
-                    // delete closeSeasonsBtn.dataset.listenerAttached;
-                }
-                if (openSeasonsBtn && !openSeasonsBtn.dataset.listenerAttached) {
-                    openSeasonsBtn.addEventListener('click', () => {
-                        populateSeasonCards();
-                        episodesOverlay.classList.add('seasons-active');
-                    });
-                    openSeasonsBtn.dataset.listenerAttached = 'true';
-                }
-                if (backToEpisodesBtn && !backToEpisodesBtn.dataset.listenerAttached) {
-                    backToEpisodesBtn.addEventListener('click', () => {
-                        episodesOverlay.classList.remove('seasons-active');
-                    });
-                    backToEpisodesBtn.dataset.listenerAttached = 'true';
-                }
-                if (scrollLeftBtn && !scrollLeftBtn.dataset.listenerAttached) {
-                    scrollLeftBtn.addEventListener('click', () => { if (episodesList) episodesList.scrollBy({ left: -300, behavior: 'smooth' }); });
-                    scrollLeftBtn.dataset.listenerAttached = 'true';
-                }
-                if (scrollRightBtn && !scrollRightBtn.dataset.listenerAttached) {
-                    scrollRightBtn.addEventListener('click', () => { if (episodesList) episodesList.scrollBy({ left: 300, behavior: 'smooth' }); });
-                    scrollRightBtn.dataset.listenerAttached = 'true';
-                }
+                        if (episodesLayer && episodesOverlay) {
+                            // Ensure the layer and overlay are visible (flex display)
+                            updateDebugInfo('Showing episodes overlay', containerEl);
+                            episodesLayer.style.display = 'flex';
+                            episodesOverlay.style.display = 'flex'; // Or 'block', ensure it's not 'none'
+                            episodesOverlay.classList.add('visible'); // Add class if needed for state
 
-                episodesOverlay.classList.remove('seasons-active');
-                populateEpisodes(selectedSeasonIndex);
-                if (artBottom) artBottom.style.display = 'none';
-                function handleMoreEpisodesClick(e) {
-                    updateDebugInfo('handleMoreEpisodesClick called');
+                            // --- Use Opacity for Fade In ---
+                            // Ensure transition is enabled (check CSS)
+                            episodesOverlay.classList.remove('no-transition');
+                            // Set initial state for fade in (if not already set by CSS)
+                            episodesOverlay.style.opacity = '0';
+                            episodesOverlay.style.pointerEvents = 'auto'; // Make it interactive
+
+                            // Trigger reflow to ensure initial state is applied before transition
+                            // eslint-disable-next-line no-unused-vars
+                            const _ = episodesOverlay.offsetHeight;
+
+                            // Apply final state for fade in
+                            episodesOverlay.style.opacity = '1';
+                            updateDebugInfo('Overlay fade in started', containerEl);
+
+                            // Optional: Scroll active card into view after fade-in (adjust delay if needed)
+                            setTimeout(() => {
+                                const activeCard = episodesOverlay.querySelector('#episodesList .episode-card.active');
+                                if (activeCard) {
+                                    activeCard.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
+                                    updateDebugInfo('Active card scrolled into view', containerEl);
+                                }
+                            }, 300); // Match CSS transition duration or adjust
+                        } else {
+                            updateDebugInfo('ERROR: Could not find overlay elements', containerEl);
+                        }
+                    }
+                    handleMoreEpisodesClick(ed);
+                };
+                const preventKeystrokes = (e) => {
                     e.preventDefault();
                     e.stopPropagation();
-
-                    if (episodesLayer && episodesOverlay) {
-                        // Ensure the layer and overlay are visible (flex display)
-                        updateDebugInfo('Showing episodes overlay');
-                        episodesLayer.style.display = 'flex';
-                        episodesOverlay.style.display = 'flex'; // Or 'block', ensure it's not 'none'
-                        episodesOverlay.classList.add('visible'); // Add class if needed for state
-
-                        // --- Use Opacity for Fade In ---
-                        // Ensure transition is enabled (check CSS)
-                        episodesOverlay.classList.remove('no-transition');
-                        // Set initial state for fade in (if not already set by CSS)
-                        episodesOverlay.style.opacity = '0';
-                        episodesOverlay.style.pointerEvents = 'auto'; // Make it interactive
-
-                        // Trigger reflow to ensure initial state is applied before transition
-                        // eslint-disable-next-line no-unused-vars
-                        const _ = episodesOverlay.offsetHeight;
-
-                        // Apply final state for fade in
-                        episodesOverlay.style.opacity = '1';
-                        updateDebugInfo('Overlay fade in started');
-
-                        // Optional: Scroll active card into view after fade-in (adjust delay if needed)
-                        setTimeout(() => {
-                            const activeCard = episodesOverlay.querySelector('#episodesList .episode-card.active');
-                            if (activeCard) {
-                                activeCard.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
-                                updateDebugInfo('Active card scrolled into view');
-                            }
-                        }, 300); // Match CSS transition duration or adjust
-                    } else {
-                        updateDebugInfo('ERROR: Could not find overlay elements');
+                };
+                const showLockOverlay = () => {
+                    art.pause();
+                    optionData.device == "web" ? art.fullscreen = false : player.emit('fullscreen', "exit");
+                    // --- Handle blockedLoll on lock overlay show ---
+                    if (capabilities.ads && currentMovieData.adstatus === true) {
+                        // console.log("Showing lock overlay, triggering blockedLoll ad");
+                        playBlockedLollAd(allLolls[3]); // Play blockedLoll immediately
                     }
-                }
-                handleMoreEpisodesClick(ed);
-            };
-            const preventKeystrokes = (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-            };
-            const showLockOverlay = () => {
-                art.pause();
-                window.device == "web" ? art.fullscreen = false : window.flutter_inappwebview.callHandler('playerAction', {
-                    action: 'fullscreen',
-                    data: "exit"
-                });
-                // --- Handle blockedLoll on lock overlay show ---
-                if (currentMovieData.adstatus === true) {
-                    // console.log("Showing lock overlay, triggering blockedLoll ad");
-                    playBlockedLollAd(allLolls[3]); // Play blockedLoll immediately
-                }
-                // --- End blockedLoll Handling ---
-                mainControlsContainer.style.display = 'none';
-                playbackControlsContainer.style.display = 'none';
-                bottomLeftInfo.style.display = 'none';
-                moreEpisodesContainer.style.display = 'none';
-                if (artBottom) artBottom.style.display = 'none';
-                const posterElement = document.querySelector('.artplayer-app .art-poster');
-                if (posterElement) {
-                    posterElement.style.display = 'block';
-                }
-                lockLayer.style.display = 'flex';
-                document.addEventListener('keydown', preventKeystrokes, true);
-                document.removeEventListener('keydown', handleKeyPress);
-                lockOverlayShown_ = true;
-            };
-            // --- New Helper Functions for Next Episode Card and Switching ---
-            /**
-             * @function updateNextEpisodeCard
-             * @description Updates or creates the next episode card based on the current state.
-             *              If showNext is true and there's a next episode, it displays the "Next Episode" card with countdown.
-             *              If showNext is false, it shows the standard "More Episodes" card.
-             *              If there's no next episode or it's not a series, it hides the container.
-             * @param {boolean} showNext - Flag indicating whether to show the next episode card or the more episodes card.
-             */
-            function updateNextEpisodeCard(showNext = false) {
-                const moreEpisodesContainer = art.layers.bottomInfo.querySelector('#more-episodes-container');
-                if (!moreEpisodesContainer) return;
-                // Clear any existing content and timers
-                moreEpisodesContainer.innerHTML = '';
-                if (window.nextEpisodeCountdownTimer) {
-                    clearInterval(window.nextEpisodeCountdownTimer);
-                    window.nextEpisodeCountdownTimer = null;
-                }
-                if (window.nextEpisodeBorderAnimation) {
-                    cancelAnimationFrame(window.nextEpisodeBorderAnimation);
-                    window.nextEpisodeBorderAnimation = null;
-                }
-                // Reset any previous border animation styles
-                const existingCard = moreEpisodesContainer.querySelector('#more-episodes-card');
-                if (existingCard) {
-                    existingCard.style.borderRadius = '12px'; // Reset if needed
-                    existingCard.style.borderImage = '';
-                    existingCard.style.borderImageSlice = '';
-                    existingCard.style.borderImageWidth = '';
-                    existingCard.style.borderImageRepeat = '';
-                    existingCard.style.borderImageSource = '';
-                    existingCard.style.border = '1px solid rgba(255, 255, 255, 0.1)'; // Reset to CSS default or initial
-                }
-                if (!apiData.isSeason) {
+                    // --- End blockedLoll Handling ---
+                    mainControlsContainer.style.display = 'none';
+                    playbackControlsContainer.style.display = 'none';
+                    bottomLeftInfo.style.display = 'none';
                     moreEpisodesContainer.style.display = 'none';
-                    return;
-                }
-                // Find the next episode in the same season or next season
-                let nextEpisodeData = null;
-                const currentSeasonIndex = currentMovieData.position.seasonIndex;
-                const currentEpisodeIndex = currentMovieData.position.episodeIndex;
-                if (currentSeasonIndex !== undefined && currentEpisodeIndex !== undefined) {
-                    const currentSeason = seriesData.seasons[currentSeasonIndex];
-                    if (currentSeason && currentSeason.episodes[currentEpisodeIndex + 1]) {
-                        // Next episode in the same season
-                        nextEpisodeData = currentSeason.episodes[currentEpisodeIndex + 1];
-                    } else if (currentSeason && currentSeason.episodes.length - 1 === currentEpisodeIndex) {
-                        // Last episode of the current season, check for next season's first episode
-                        if (seriesData.seasons[currentSeasonIndex + 1] && seriesData.seasons[currentSeasonIndex + 1].episodes[0]) {
-                            nextEpisodeData = seriesData.seasons[currentSeasonIndex + 1].episodes[0];
-                        }
+                    if (artBottom) artBottom.style.display = 'none';
+                    const posterElement = containerEl.querySelector('.art-poster');
+                    if (posterElement) {
+                        posterElement.style.display = 'block';
                     }
-                    // If it's the very last episode overall, nextEpisodeData remains null
-                }
-                if (showNext && nextEpisodeData) {
-                    // --- Show Next Episode Card with Countdown ---
-                    let countdownValue = 5; // Start countdown from 5
-                    const borderDuration = 5000; // 5 seconds in ms
-                    const startTime = performance.now();
-                    const cardId = 'next-episode-card'; // Use a different ID for clarity if needed
-                    const episodeDisplay = `EP ${nextEpisodeData.episode}${nextEpisodeData.partName || ''}`;
-                    moreEpisodesContainer.innerHTML = `
-                        <div id="more-episodes-card">
-                            <div class="next-episode-text">
-                                <h3>${optionData.language != "en" ? "Izindi" : "Next"}</h3>
-                                <p>${episodeDisplay}</p>
-                            </div>
-                            <div class="next-episode-thumbnail">
-                                <img src="${nextEpisodeData.image}" onerror="this.style.display='none'" alt="Next Episode">
-                                <div class="play-overlay">
-                                    <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+                    lockLayer.style.display = 'flex';
+                    player.addDocumentListener('keydown', preventKeystrokes, true);
+                    document.removeEventListener('keydown', player.keyPressHandler);
+                    lockOverlayShown_ = true;
+                };
+                /**
+                 * @function hideLockOverlay
+                 * @description Takes the lock overlay down and gives the controls back. The title stays locked:
+                 *              playing it again brings the overlay back (see the timeupdate handler).
+                 */
+                const hideLockOverlay = () => {
+                    if (!lockOverlayShown_) return;
+                    lockLayer.style.display = 'none';
+                    mainControlsContainer.style.display = '';
+                    playbackControlsContainer.style.display = '';
+                    bottomLeftInfo.style.display = '';
+                    moreEpisodesContainer.style.display = '';
+                    if (artBottom) artBottom.style.display = '';
+                    player.removeDocumentListener('keydown', preventKeystrokes, true);
+                    document.addEventListener('keydown', player.keyPressHandler);
+                    lockOverlayShown_ = false;
+                };
+                // --- New Helper Functions for Next Episode Card and Switching ---
+                /**
+                 * @function updateNextEpisodeCard
+                 * @description Updates or creates the next episode card based on the current state.
+                 *              If showNext is true and there's a next episode, it displays the "Next Episode" card with countdown.
+                 *              If showNext is false, it shows the standard "More Episodes" card.
+                 *              If there's no next episode or it's not a series, it hides the container.
+                 * @param {boolean} showNext - Flag indicating whether to show the next episode card or the more episodes card.
+                 */
+                function updateNextEpisodeCard(showNext = false) {
+                    const moreEpisodesContainer = art.layers.bottomInfo.querySelector('#more-episodes-container');
+                    if (!moreEpisodesContainer) return;
+                    // Clear any existing content and timers
+                    moreEpisodesContainer.innerHTML = '';
+                    if (player.timers.nextEpisodeCountdown) {
+                        clearInterval(player.timers.nextEpisodeCountdown);
+                        player.timers.nextEpisodeCountdown = null;
+                    }
+                    if (player.timers.nextEpisodeBorderAnimation) {
+                        cancelAnimationFrame(player.timers.nextEpisodeBorderAnimation);
+                        player.timers.nextEpisodeBorderAnimation = null;
+                    }
+                    // Reset any previous border animation styles
+                    const existingCard = moreEpisodesContainer.querySelector('#more-episodes-card');
+                    if (existingCard) {
+                        existingCard.style.borderRadius = '12px'; // Reset if needed
+                        existingCard.style.borderImage = '';
+                        existingCard.style.borderImageSlice = '';
+                        existingCard.style.borderImageWidth = '';
+                        existingCard.style.borderImageRepeat = '';
+                        existingCard.style.borderImageSource = '';
+                        existingCard.style.border = '1px solid rgba(255, 255, 255, 0.1)'; // Reset to CSS default or initial
+                    }
+                    if (!content.isSeason) {
+                        moreEpisodesContainer.style.display = 'none';
+                        return;
+                    }
+                    // The content source knows how its episodes are ordered (seasons online, download list offline)
+                    const nextEpisodeData = player.source.getNextEpisode(seriesData, currentMovieData);
+                    if (showNext && nextEpisodeData) {
+                        // --- Show Next Episode Card with Countdown ---
+                        let countdownValue = 5; // Start countdown from 5
+                        const borderDuration = 5000; // 5 seconds in ms
+                        const startTime = performance.now();
+                        const cardId = 'next-episode-card'; // Use a different ID for clarity if needed
+                        const episodeDisplay = `EP ${nextEpisodeData.episode}${nextEpisodeData.partName || ''}`;
+                        moreEpisodesContainer.innerHTML = `
+                            <div id="more-episodes-card">
+                                <div class="next-episode-text">
+                                    <h3>${optionData.language != "en" ? "Izindi" : "Next"}</h3>
+                                    <p>${episodeDisplay}</p>
+                                </div>
+                                <div class="next-episode-thumbnail">
+                                    ${previewsAllowed() ? `<img src="${nextEpisodeData.image}" onerror="this.style.display='none'" alt="Next Episode">` : ''}
+                                    <div class="play-overlay">
+                                        <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+                                    </div>
                                 </div>
                             </div>
-                        </div>
-                    `; // Reuse the same ID/class structure for styling
-                    const nextEpisodeCard = moreEpisodesContainer.querySelector('#more-episodes-card');
-                    if (nextEpisodeCard) {
-                        // Ensure it's visible
-                        moreEpisodesContainer.style.display = 'block';
-                        // --- Countdown Timer Logic ---
-                        const pElement = nextEpisodeCard.querySelector('.next-episode-text p');
-                        if (pElement) {
-                            pElement.textContent = `${episodeDisplay} | ${countdownValue}s`;
-                        }
-                        window.nextEpisodeCountdownTimer = setInterval(() => {
-                            countdownValue--;
+                        `; // Reuse the same ID/class structure for styling
+                        const nextEpisodeCard = moreEpisodesContainer.querySelector('#more-episodes-card');
+                        if (nextEpisodeCard) {
+                            // Ensure it's visible
+                            moreEpisodesContainer.style.display = 'block';
+                            // --- Countdown Timer Logic ---
+                            const pElement = nextEpisodeCard.querySelector('.next-episode-text p');
                             if (pElement) {
                                 pElement.textContent = `${episodeDisplay} | ${countdownValue}s`;
                             }
-                            if (countdownValue <= 0) {
-                                clearInterval(window.nextEpisodeCountdownTimer);
-                                window.nextEpisodeCountdownTimer = null;
-                                // Trigger episode switch when countdown finishes
-                                if (nextEpisodeData && nextEpisodeData.locked) {
-                                    showLockOverlay();
-                                    return;
+                            player.timers.nextEpisodeCountdown = setInterval(() => {
+                                countdownValue--;
+                                if (pElement) {
+                                    pElement.textContent = `${episodeDisplay} | ${countdownValue}s`;
                                 }
-                                switchToEpisode(nextEpisodeData);
-                            }
-                        }, 1000);
-                        // --- Animated Border Logic ---
-                        function animateBorder(timestamp) {
-                            if (!startTime) startTime = timestamp;
-                            const elapsed = timestamp - startTime;
-                            const progress = Math.min(elapsed / borderDuration, 1);
-                            const angle = 360 * progress;
-                            // Update the border using conic-gradient
-                            if (nextEpisodeCard) {
-                                const gradient = `conic-gradient(#1fdf67 ${angle}deg, rgba(255, 255, 255, 0.1) ${angle}deg 359.9deg)`;
-                                nextEpisodeCard.style.borderImage = gradient;
-                                nextEpisodeCard.style.borderImageSlice = '1';
-                                nextEpisodeCard.style.borderImageWidth = '2px'; // Adjust width
-                                nextEpisodeCard.style.borderImageRepeat = 'stretch';
-                                // Ensure original border is effectively removed by border-image
-                                nextEpisodeCard.style.border = 'none';
-                            }
-                            if (progress < 1 && window.nextEpisodeCountdownTimer !== null) { // Continue animation if timer is still running
-                                window.nextEpisodeBorderAnimation = requestAnimationFrame(animateBorder);
-                            } else if (window.nextEpisodeCountdownTimer === null) {
-                                // Countdown finished, ensure final state
+                                if (countdownValue <= 0) {
+                                    clearInterval(player.timers.nextEpisodeCountdown);
+                                    player.timers.nextEpisodeCountdown = null;
+                                    // Trigger episode switch when countdown finishes
+                                    if (nextEpisodeData && nextEpisodeData.locked) {
+                                        showLockOverlay();
+                                        return;
+                                    }
+                                    switchToEpisode(nextEpisodeData);
+                                }
+                            }, 1000);
+                            // --- Animated Border Logic ---
+                            function animateBorder(timestamp) {
+                                if (!startTime) startTime = timestamp;
+                                const elapsed = timestamp - startTime;
+                                const progress = Math.min(elapsed / borderDuration, 1);
+                                const angle = 360 * progress;
+                                // Update the border using conic-gradient
                                 if (nextEpisodeCard) {
-                                    nextEpisodeCard.style.borderImage = `conic-gradient(#1fdf67 359.9deg, rgba(255, 255, 255, 0.1) 359.9deg)`;
+                                    const gradient = `conic-gradient(#1fdf67 ${angle}deg, rgba(255, 255, 255, 0.1) ${angle}deg 359.9deg)`;
+                                    nextEpisodeCard.style.borderImage = gradient;
+                                    nextEpisodeCard.style.borderImageSlice = '1';
+                                    nextEpisodeCard.style.borderImageWidth = '2px'; // Adjust width
+                                    nextEpisodeCard.style.borderImageRepeat = 'stretch';
+                                    // Ensure original border is effectively removed by border-image
+                                    nextEpisodeCard.style.border = 'none';
+                                }
+                                if (progress < 1 && player.timers.nextEpisodeCountdown !== null) { // Continue animation if timer is still running
+                                    player.timers.nextEpisodeBorderAnimation = requestAnimationFrame(animateBorder);
+                                } else if (player.timers.nextEpisodeCountdown === null) {
+                                    // Countdown finished, ensure final state
+                                    if (nextEpisodeCard) {
+                                        nextEpisodeCard.style.borderImage = `conic-gradient(#1fdf67 359.9deg, rgba(255, 255, 255, 0.1) 359.9deg)`;
+                                    }
                                 }
                             }
+                            player.timers.nextEpisodeBorderAnimation = requestAnimationFrame(animateBorder);
+                            // --- Click Handler for Manual Switch ---
+                            nextEpisodeCard.addEventListener('click', () => {
+                                // Clear timer and animation if clicked
+                                if (player.timers.nextEpisodeCountdown) {
+                                    clearInterval(player.timers.nextEpisodeCountdown);
+                                    player.timers.nextEpisodeCountdown = null;
+                                }
+                                if (player.timers.nextEpisodeBorderAnimation) {
+                                    cancelAnimationFrame(player.timers.nextEpisodeBorderAnimation);
+                                    player.timers.nextEpisodeBorderAnimation = null;
+                                }
+                                switchToEpisode(nextEpisodeData);
+                            });
+                        } else {
+                            moreEpisodesContainer.style.display = 'none'; // Hide if card creation failed
                         }
-                        window.nextEpisodeBorderAnimation = requestAnimationFrame(animateBorder);
-                        // --- Click Handler for Manual Switch ---
-                        nextEpisodeCard.addEventListener('click', () => {
-                            // Clear timer and animation if clicked
-                            if (window.nextEpisodeCountdownTimer) {
-                                clearInterval(window.nextEpisodeCountdownTimer);
-                                window.nextEpisodeCountdownTimer = null;
-                            }
-                            if (window.nextEpisodeBorderAnimation) {
-                                cancelAnimationFrame(window.nextEpisodeBorderAnimation);
-                                window.nextEpisodeBorderAnimation = null;
-                            }
-                            switchToEpisode(nextEpisodeData);
-                        });
                     } else {
-                        moreEpisodesContainer.style.display = 'none'; // Hide if card creation failed
-                    }
-                } else {
-                    const displayText = nextEpisodeData
-                        ? (optionData.language != "en" ? "Izindi" : "Next")
-                        : (optionData.language != "en" ? "Izindi" : "Episodes");
-
-                    const displaySubtext = nextEpisodeData
-                        ? (optionData.language != "en" ? "Episode" : "Episode")
-                        : (optionData.language != "en" ? "Episode" : "All Episodes");
-
-                    moreEpisodesContainer.innerHTML = `
-                    <div id="more-episodes-card">
-                        <div class="next-episode-text">
-                            <h3>${displayText}</h3>
-                            <p>${displaySubtext}</p>
-                        </div>
-                        <div class="next-episode-thumbnail">
-                            <img src="${currentMovieData.image}" onerror="this.style.display='none'" alt="Episodes">
-                            <div class="play-overlay">
-                                <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+                        const displayText = nextEpisodeData
+                            ? (optionData.language != "en" ? "Izindi" : "Next")
+                            : (optionData.language != "en" ? "Izindi" : "Episodes");
+
+                        const displaySubtext = nextEpisodeData
+                            ? (optionData.language != "en" ? "Episode" : "Episode")
+                            : (optionData.language != "en" ? "Episode" : "All Episodes");
+
+                        moreEpisodesContainer.innerHTML = `
+                        <div id="more-episodes-card">
+                            <div class="next-episode-text">
+                                <h3>${displayText}</h3>
+                                <p>${displaySubtext}</p>
+                            </div>
+                            <div class="next-episode-thumbnail">
+                                ${previewsAllowed() ? `<img src="${currentMovieData.image}" onerror="this.style.display='none'" alt="Episodes">` : ''}
+                                <div class="play-overlay">
+                                    <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+                                </div>
                             </div>
                         </div>
-                    </div>
-                `;
+                    `;
 
-                    const moreEpisodesCard = moreEpisodesContainer.querySelector('#more-episodes-card');
-                    if (moreEpisodesCard) {
-                        moreEpisodesCard.removeEventListener('click', setupEpisodesOverlay);
-                        moreEpisodesCard.addEventListener('click', setupEpisodesOverlay);
-                        moreEpisodesCard.addEventListener('click', function (e) {
-                            updateDebugInfo('More episodes card CLICKED');
-                            setupEpisodesOverlay(e);
-                        });
-                        moreEpisodesCard.addEventListener('touchend', function (e) {
-                            updateDebugInfo('More episodes card TOUCHED');
-                            setupEpisodesOverlay(e);
-                        });
-                        moreEpisodesCard.setAttribute('tabindex', '0');
-                        moreEpisodesCard.addEventListener('keydown', function (e) {
-                            if (e.key === 'Enter' || e.key === ' ') {
-                                updateDebugInfo('More episodes card KEYPRESS');
-                                e.preventDefault();
+                        const moreEpisodesCard = moreEpisodesContainer.querySelector('#more-episodes-card');
+                        if (moreEpisodesCard) {
+                            moreEpisodesCard.removeEventListener('click', setupEpisodesOverlay);
+                            moreEpisodesCard.addEventListener('click', setupEpisodesOverlay);
+                            moreEpisodesCard.addEventListener('click', function (e) {
+                                updateDebugInfo('More episodes card CLICKED', containerEl);
                                 setupEpisodesOverlay(e);
-                            }
-                        });
-                        moreEpisodesCard.style.border = '1px solid rgba(255, 255, 255, 0.1)';
-                        moreEpisodesCard.style.borderImage = '';
-                        moreEpisodesContainer.style.display = 'block';
+                            });
+                            moreEpisodesCard.addEventListener('touchend', function (e) {
+                                updateDebugInfo('More episodes card TOUCHED', containerEl);
+                                setupEpisodesOverlay(e);
+                            });
+                            moreEpisodesCard.setAttribute('tabindex', '0');
+                            moreEpisodesCard.addEventListener('keydown', function (e) {
+                                if (e.key === 'Enter' || e.key === ' ') {
+                                    updateDebugInfo('More episodes card KEYPRESS', containerEl);
+                                    e.preventDefault();
+                                    setupEpisodesOverlay(e);
+                                }
+                            });
+                            moreEpisodesCard.style.border = '1px solid rgba(255, 255, 255, 0.1)';
+                            moreEpisodesCard.style.borderImage = '';
+                            moreEpisodesContainer.style.display = 'block';
 
-                        updateDebugInfo('More episodes card setup complete');
+                            updateDebugInfo('More episodes card setup complete', containerEl);
+                        }
                     }
                 }
-            }
-            /**
-             * @function switchToEpisode
-             * @description Handles the logic for switching to a new episode.
-             * @param {Object} ep - The episode data object to switch to.
-             */
-            // async function switchToEpisode(ep) { // Remove async if no longer awaiting blob conversion
-            function switchToEpisode(ep) {
-                if (!ep) return;
-
-                // --- Reset Ad Tracking Flags for New Episode ---
-                preAdShown = false;
-                midAdShown = false;
-                postAdShown = false;
-                isAdPlaying = false;
-
-                // Reset new ad region tracking variables
-                currentAdRegion = null;
-                pendingAdType = null;
-                // --- End Reset Ad Tracking Flags ---
-
-                // --- Clear any active timers related to ads for the previous episode ---
-                if (window.adCountdownInterval) {
-                    clearInterval(window.adCountdownInterval);
-                    window.adCountdownInterval = null;
-                }
-                // --- End Clear Timers ---
+                /**
+                 * @function switchToEpisode
+                 * @description Handles the logic for switching to a new episode.
+                 * @param {Object} ep - The episode data object to switch to.
+                 * @returns {Promise<boolean>} Resolves true once the new episode is loaded, false if it could not be played.
+                 */
+                function switchToEpisode(ep) {
+                    if (!ep) return Promise.resolve(false);
+                    qualitySwitchController?.abort(); // A rendition of the old episode is no use now
+                    failedRenditions.clear();
+                    failedMirrors.clear();
 
-                // --- Blob Cleanup for Previous Episode (Optional Cleanup) ---
-                // Clear any active timers/borders related to the *previous* next episode card
-                if (window.nextEpisodeCountdownTimer) {
-                    clearInterval(window.nextEpisodeCountdownTimer);
-                    window.nextEpisodeCountdownTimer = null;
-                }
-                if (window.nextEpisodeBorderAnimation) {
-                    cancelAnimationFrame(window.nextEpisodeBorderAnimation);
-                    window.nextEpisodeBorderAnimation = null;
-                }
-                // --- End Blob Cleanup (No more revoking needed) ---
-                // --- Update Current Movie Data ---
-                currentMovieData = ep;
-                saveEpisodeProgress(currentMovieData);
-                // --- End Update Current Movie Data ---
-                // --- Determine Playback Quality and URL (Now using Original URLs) ---
-                const savedUserQualityForSwitch = getUserQualityPreference();
-                //console.log("Saved user quality preference for episode switch:", savedUserQualityForSwitch);
-                // determinePlaybackQualityAndUrl now uses the original URLs in currentMovieData.video
-                // and sets the global videoType
-                const switchPlaybackInfo = determinePlaybackQualityAndUrl(currentMovieData, savedUserQualityForSwitch);
-                let newUrl = ''; // This should now be an Original URL
-                activeQuality = ''; // Reset active quality tracker
-                if (switchPlaybackInfo) {
-                    newUrl = switchPlaybackInfo.url; // This is now an Original URL from currentMovieData.video
-                    activeQuality = switchPlaybackInfo.quality;
-                    //console.log(`Switching to episode with playback quality: ${activeQuality}, using Original URL: ${newUrl}`);
-                    // videoType is already set by determinePlaybackQualityAndUrl
-                } else if (!ep.locked) {
-                    console.error("No valid URL for the selected episode.");
-                    art.notice.show = "Error: No playable video found for the selected episode.";
-                    return;
-                }
-                // --- End Playback Quality Selection (No more Blob Conversion) ---
-                if (newUrl) {
-                    // Use the original URL directly
-                    art.switchUrl(newUrl, currentMovieData.title).then(() => {
-                        // if (art.loading) art.loading.show = false; // Hide loading indicator
-                        // Reset the 10-minute view recorded flag for the new episode
-                        tenMinuteViewRecorded = false;
-                        // Reset accumulated watch time for the new episode
-                        accumulatedWatchTime = 0;
-                        // Reset last current time tracker for the new episode
-                        lastCurrentTime = -1; // Or art.currentTime if you want to start counting from load
-                        art.play();
-                        updateUIForNewEpisode();
-                        actionButtonsContainer.innerHTML = '';
-                        // Reset the flag for showing the next episode card for the *new* episode
-                        window.nextEpisodeCardShown = false;
-                        // Show appropriate initial button for the new episode
-                        if (currentMovieData.continueWatching.inMinutes > 0) showContinueWatchingButton();
-                        else if (parseInt(currentMovieData.time.startTime, 10) > 0) showSkipIntroButton();
-                        // Update the next episode card (now for the *new* current episode)
-                        updateNextEpisodeCard(false); // Show standard card for the new episode
-
-                    }).catch(err => {
-                        // if (art.loading) art.loading.show = false; // Hide loading indicator
-                        console.error("Failed to switch to new episode URL (Original):", err);
-                        art.notice.show = "Failed to load the selected episode.";
-                    });
-                } else if (ep.locked) {
-                    showLockOverlay();
-                } else {
-                    console.error("No valid Original URL for this episode (should have been caught earlier)");
-                }
-            }
+                    // --- Reset Ad Tracking Flags for New Episode ---
+                    preAdShown = false;
+                    midAdShown = false;
+                    postAdShown = false;
+                    isAdPlaying = false;
 
-            // --- Ad Control Helpers ---
-            const hideMainPlayerControls = () => {
-                if (mainControlsContainer) mainControlsContainer.classList.add('hidden');
-                if (playbackControlsContainer) playbackControlsContainer.classList.add('hidden');
-                if (bottomLeftInfo) bottomLeftInfo.classList.add('hidden');
-                if (moreEpisodesContainer) moreEpisodesContainer.classList.add('hidden');
-            };
+                    // Reset new ad region tracking variables
+                    currentAdRegion = null;
+                    pendingAdType = null;
+                    // --- End Reset Ad Tracking Flags ---
 
-            const showMainPlayerControls = () => {
-                if (mainControlsContainer) mainControlsContainer.classList.remove('hidden');
-                if (playbackControlsContainer) playbackControlsContainer.classList.remove('hidden');
-                if (bottomLeftInfo) bottomLeftInfo.classList.remove('hidden');
-            };
-            // --- End Ad Control Helpers ---
-
-            // --- New Ad Helper Functions ---
-            const exitFullscreenIfNeeded = () => {
-                const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-                if (isIOS && art.fullscreen && window.device == "web") {
-                    // console.log("Exiting fullscreen for ad playback on iOS");
-                    window.device == "web" ? art.fullscreen = false : "";
+                    // --- Clear any active timers related to ads for the previous episode ---
+                    if (player.timers.adCountdown) {
+                        clearInterval(player.timers.adCountdown);
+                        player.timers.adCountdown = null;
+                    }
+                    // --- End Clear Timers ---
+
+                    // --- Blob Cleanup for Previous Episode (Optional Cleanup) ---
+                    // Clear any active timers/borders related to the *previous* next episode card
+                    if (player.timers.nextEpisodeCountdown) {
+                        clearInterval(player.timers.nextEpisodeCountdown);
+                        player.timers.nextEpisodeCountdown = null;
+                    }
+                    if (player.timers.nextEpisodeBorderAnimation) {
+                        cancelAnimationFrame(player.timers.nextEpisodeBorderAnimation);
+                        player.timers.nextEpisodeBorderAnimation = null;
+                    }
+                    // --- End Blob Cleanup (No more revoking needed) ---
+                    // --- Update Current Movie Data ---
+                    currentMovieData = ep;
+                    player.currentEpisode = currentMovieData;
+                    saveEpisodeProgress(currentMovieData);
+                    // --- End Update Current Movie Data ---
+                    // --- Determine Playback Quality and URL (Now using Original URLs) ---
+                    const savedUserQualityForSwitch = capabilities.qualitySelection ? getUserQualityPreference() : capabilities.defaultQuality;
+                    //console.log("Saved user quality preference for episode switch:", savedUserQualityForSwitch);
+                    // determinePlaybackQualityAndUrl now uses the original URLs in currentMovieData.video
+                    // and reports the stream type alongside the URL
+                    // In AUTO, start the next episode at whatever the measured bandwidth can carry
+                    const requestedQuality = autoQualityMode
+                        ? player.autoQuality?.startingQuality() || networkDefaultQuality()
+                        : savedUserQualityForSwitch || networkDefaultQuality();
+                    const switchPlaybackInfo = determinePlaybackQualityAndUrl(currentMovieData, requestedQuality, qualityCap());
+                    let newUrl = ''; // This should now be an Original URL
+                    activeQuality = ''; // Reset active quality tracker
+                    if (switchPlaybackInfo) {
+                        newUrl = switchPlaybackInfo.url; // This is now an Original URL from currentMovieData.video
+                        activeQuality = switchPlaybackInfo.quality;
+                        activeUrl = newUrl;
+                        player.videoType = switchPlaybackInfo.type;
+                        //console.log(`Switching to episode with playback quality: ${activeQuality}, using Original URL: ${newUrl}`);
+                    } else if (!ep.locked) {
+                        console.error("No valid URL for the selected episode.");
+                        art.notice.show = "Error: No playable video found for the selected episode.";
+                        return Promise.resolve(false);
+                    }
+                    // --- End Playback Quality Selection (No more Blob Conversion) ---
+                    if (newUrl) {
+                        // Use the original URL directly, played as the type the server reports
+                        return resolvePlaybackType(switchPlaybackInfo, ep.video).then((playback) => {
+                            if (currentMovieData !== ep) return Promise.reject(new DOMException('Episode superseded', 'AbortError'));
+                            player.videoType = playback.type;
+                            art.option.type = playback.type;
+                            drmConfig = episodeDrm(ep);
+                            player.playbackAnalytics?.startSession(currentMovieData, playback);
+                            return art.switchUrl(newUrl, currentMovieData.title);
+                        }).then(() => {
+                            // if (art.loading) art.loading.show = false; // Hide loading indicator
+                            // Reset the 10-minute view recorded flag for the new episode
+                            tenMinuteViewRecorded = false;
+                            viewStartedAt = Date.now();
+                            movieRemoved = false; // The new episode has its own completion
+                            // Reset accumulated watch time for the new episode
+                            accumulatedWatchTime = 0;
+                            // Reset last current time tracker for the new episode
+                            lastCurrentTime = -1; // Or art.currentTime if you want to start counting from load
+                            art.play();
+                            updateUIForNewEpisode();
+                            actionButtonsContainer.innerHTML = '';
+                            // Reset the flag for showing the next episode card for the *new* episode
+                            nextEpisodeCardShown = false;
+                            // Show appropriate initial button for the new episode
+                            if (currentMovieData.continueWatching.inMinutes > 0) showContinueWatchingButton();
+                            else if (parseInt(currentMovieData.time.startTime, 10) > 0) showSkipIntroButton();
+                            // Update the next episode card (now for the *new* current episode)
+                            updateNextEpisodeCard(false); // Show standard card for the new episode
+                            return true;
+                        }).catch(err => {
+                            if (err.name === 'AbortError') return false; // Another episode was picked meanwhile
+                            // if (art.loading) art.loading.show = false; // Hide loading indicator
+                            console.error("Failed to switch to new episode URL (Original):", err);
+                            art.notice.show = "Failed to load the selected episode.";
+                            return false;
+                        });
+                    } else if (ep.locked) {
+                        showLockOverlay();
+                    } else {
+                        console.error("No valid Original URL for this episode (should have been caught earlier)");
+                    }
+                    return Promise.resolve(false);
                 }
-            };
 
-            // Updated showAdCountdownAndPlayAd function with seek detection
-            const showAdCountdownAndPlayAd = (adType, adUrl) => {
-                //console.log(`Showing countdown for ${adType}`);
-                exitFullscreenIfNeeded();
+                // --- Ad Control Helpers ---
+                const hideMainPlayerControls = () => {
+                    if (mainControlsContainer) mainControlsContainer.classList.add('hidden');
+                    if (playbackControlsContainer) playbackControlsContainer.classList.add('hidden');
+                    if (bottomLeftInfo) bottomLeftInfo.classList.add('hidden');
+                    if (moreEpisodesContainer) moreEpisodesContainer.classList.add('hidden');
+                };
+
+                const showMainPlayerControls = () => {
+                    if (mainControlsContainer) mainControlsContainer.classList.remove('hidden');
+                    if (playbackControlsContainer) playbackControlsContainer.classList.remove('hidden');
+                    if (bottomLeftInfo) bottomLeftInfo.classList.remove('hidden');
+                };
+                // --- End Ad Control Helpers ---
 
-                // Set the pending ad type and current region
-                pendingAdType = adType;
-                currentAdRegion = adType;
+                // --- New Ad Helper Functions ---
+                const exitFullscreenIfNeeded = () => {
+                    const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+                    if (isIOS && art.fullscreen && optionData.device == "web") {
+                        // console.log("Exiting fullscreen for ad playback on iOS");
+                        optionData.device == "web" ? art.fullscreen = false : "";
+                    }
+                };
 
-                if (art.duration < 600) {
-                    // Play the ad after countdown
-                    if (adPlugin) {
-                        //console.log(`Countdown finished, playing ${adType}`);
-                        isAdPlaying = true;
-                        hideMainPlayerControls();
-                        if (adType === 'preLoll') {
-                            adPlugin.startAd();
-                        } else {
-                            const duration = currentMovieData.locked ? 86400 : 50;
-                            adPlugin.updateVideoLink(adUrl, duration, duration);
-                        }
-                        // Clear pending states
-                        pendingAdType = null;
-                        currentAdRegion = null;
+                /**
+                 * @function playAdVideo
+                 * @description Starts an ad in the ad plugin. The preLoll was preloaded at setup unless the data saver skipped it.
+                 */
+                const playAdVideo = (adType, adUrl) => {
+                    if (adType === 'preLoll' && adPrefetched) {
+                        adPlugin.startAd();
+                    } else if (adType === 'preLoll') {
+                        adPlugin.updateVideoLink(adUrl, 48, 50); // The plugin's preLoll durations
+                    } else {
+                        const duration = currentMovieData.locked ? 86400 : 50;
+                        adPlugin.updateVideoLink(adUrl, duration, duration);
                     }
-                    return;
-                }
+                };
+                // Updated showAdCountdownAndPlayAd function with seek detection
+                const showAdCountdownAndPlayAd = (adType, adUrl) => {
+                    //console.log(`Showing countdown for ${adType}`);
+                    exitFullscreenIfNeeded();
 
-                let countdownValue = 10; // 10 seconds countdown
+                    // Set the pending ad type and current region
+                    pendingAdType = adType;
+                    currentAdRegion = adType;
 
-                // === CHANGE 1: Show the persistent overlay ===
-                const adCountdownLayer = art.layers.adCountdown;
-                const adCountdownOverlay = adCountdownLayer.querySelector('#adCountdownOverlay');
-                const persistentCountdownText = adCountdownLayer.querySelector('#persistentCountdownText');
+                    if (art.duration < 600) {
+                        // Play the ad after countdown
+                        if (adPlugin) {
+                            //console.log(`Countdown finished, playing ${adType}`);
+                            isAdPlaying = true;
+                            hideMainPlayerControls();
+                            player.playbackAnalytics?.adImpression(adType, adUrl);
+                            playAdVideo(adType, adUrl);
+                            // Clear pending states
+                            pendingAdType = null;
+                            currentAdRegion = null;
+                        }
+                        return;
+                    }
 
-                if (adCountdownOverlay) {
-                    adCountdownOverlay.style.display = 'flex';
-                    art.layers.adCountdown.style.display = 'block';
-                    updateDebugInfo('Ad countdown shown');
-                }
-                // === END CHANGE 1 ===
+                    let countdownValue = 10; // 10 seconds countdown
 
-                // === REMOVE THE ACTION BUTTON CREATION - JUST CLEAR IT ===
-                if (actionButtonsContainer) {
-                    actionButtonsContainer.innerHTML = ''; // Clear any existing buttons
-                }
+                    // === CHANGE 1: Show the persistent overlay ===
+                    const adCountdownLayer = art.layers.adCountdown;
+                    const adCountdownOverlay = adCountdownLayer.querySelector('#adCountdownOverlay');
+                    const persistentCountdownText = adCountdownLayer.querySelector('#persistentCountdownText');
 
-                // === CHANGE 2: Update ONLY the persistent overlay ===
-                const updateCountdown = () => {
-                    const countdownText = `${countdownValue.toString().padStart(2, '0')}`;
-                    const displayText = `${optionData.language != "en" ? "Kwamamaza mu" : "Ad in"} ${countdownText}`;
+                    if (adCountdownOverlay) {
+                        adCountdownOverlay.style.display = 'flex';
+                        art.layers.adCountdown.style.display = 'block';
+                        updateDebugInfo('Ad countdown shown', containerEl);
+                    }
+                    // === END CHANGE 1 ===
 
-                    // Update ONLY the persistent overlay (remove the action button update)
-                    if (persistentCountdownText) {
-                        persistentCountdownText.textContent = displayText;
+                    // === REMOVE THE ACTION BUTTON CREATION - JUST CLEAR IT ===
+                    if (actionButtonsContainer) {
+                        actionButtonsContainer.innerHTML = ''; // Clear any existing buttons
                     }
-                };
-                // === END CHANGE 2 ===
 
-                updateCountdown(); // Changed from updateAllCountdowns()
+                    // === CHANGE 2: Update ONLY the persistent overlay ===
+                    const updateCountdown = () => {
+                        const countdownText = `${countdownValue.toString().padStart(2, '0')}`;
+                        const displayText = `${optionData.language != "en" ? "Kwamamaza mu" : "Ad in"} ${countdownText}`;
+
+                        // Update ONLY the persistent overlay (remove the action button update)
+                        if (persistentCountdownText) {
+                            persistentCountdownText.textContent = displayText;
+                        }
+                    };
+                    // === END CHANGE 2 ===
 
-                window.adCountdownInterval = setInterval(() => {
-                    countdownValue--;
                     updateCountdown(); // Changed from updateAllCountdowns()
 
-                    if (countdownValue <= 0) {
-                        clearInterval(window.adCountdownInterval);
-                        window.adCountdownInterval = null;
+                    player.timers.adCountdown = setInterval(() => {
+                        countdownValue--;
+                        updateCountdown(); // Changed from updateAllCountdowns()
 
-                        // === CHANGE 3: Hide the persistent overlay when countdown ends ===
-                        if (adCountdownOverlay) {
-                            adCountdownOverlay.style.display = 'none';
-                            art.layers.adCountdown.style.display = 'none';
-                            updateDebugInfo('Ad countdown hidden');
-                        }
+                        if (countdownValue <= 0) {
+                            clearInterval(player.timers.adCountdown);
+                            player.timers.adCountdown = null;
 
-                        // Play the ad after countdown
-                        if (adPlugin && pendingAdType === adType) { // Only play if this is still the pending ad
-                            //console.log(`Countdown finished, playing ${adType}`);
-                            isAdPlaying = true;
-                            hideMainPlayerControls();
-                            if (adType === 'preLoll') {
-                                adPlugin.startAd();
-                            } else {
-                                const duration = currentMovieData.locked ? 86400 : 50;
-                                adPlugin.updateVideoLink(adUrl, duration, duration);
+                            // === CHANGE 3: Hide the persistent overlay when countdown ends ===
+                            if (adCountdownOverlay) {
+                                adCountdownOverlay.style.display = 'none';
+                                art.layers.adCountdown.style.display = 'none';
+                                updateDebugInfo('Ad countdown hidden', containerEl);
                             }
+
+                            // Play the ad after countdown
+                            if (adPlugin && pendingAdType === adType) { // Only play if this is still the pending ad
+                                //console.log(`Countdown finished, playing ${adType}`);
+                                isAdPlaying = true;
+                                hideMainPlayerControls();
+                                player.playbackAnalytics?.adImpression(adType, adUrl);
+                                playAdVideo(adType, adUrl);
+                            }
+
+                            // Clear pending states
+                            pendingAdType = null;
+                            currentAdRegion = null;
                         }
+                    }, 1000);
+                };
 
-                        // Clear pending states
-                        pendingAdType = null;
-                        currentAdRegion = null;
+                // New function to cancel current countdown and start new one
+                const cancelCurrentCountdownAndStartNew = (newAdType, newAdUrl) => {
+                    //console.log(`Canceling current countdown for ${pendingAdType}, starting new countdown for ${newAdType}`);
+
+                    // Clear existing countdown
+                    if (player.timers.adCountdown) {
+                        clearInterval(player.timers.adCountdown);
+                        player.timers.adCountdown = null;
                     }
-                }, 1000);
-            };
 
-            // New function to cancel current countdown and start new one
-            const cancelCurrentCountdownAndStartNew = (newAdType, newAdUrl) => {
-                //console.log(`Canceling current countdown for ${pendingAdType}, starting new countdown for ${newAdType}`);
+                    // Clear existing countdown button
+                    if (actionButtonsContainer) {
+                        const existingCountdown = actionButtonsContainer.querySelector(`[id^="ad-countdown-"]`);
+                        if (existingCountdown) {
+                            existingCountdown.remove();
+                        }
+                    }
 
-                // Clear existing countdown
-                if (window.adCountdownInterval) {
-                    clearInterval(window.adCountdownInterval);
-                    window.adCountdownInterval = null;
-                }
+                    // Start new countdown
+                    showAdCountdownAndPlayAd(newAdType, newAdUrl);
+                };
 
-                // Clear existing countdown button
-                if (actionButtonsContainer) {
-                    const existingCountdown = actionButtonsContainer.querySelector(`[id^="ad-countdown-"]`);
-                    if (existingCountdown) {
-                        existingCountdown.remove();
-                    }
-                }
+                const playBlockedLollAd = (adUrl) => {
+                    // console.log("Playing blockedLoll ad immediately");
+                    exitFullscreenIfNeeded(); // Exit fullscreen before playing ad
 
-                // Start new countdown
-                showAdCountdownAndPlayAd(newAdType, newAdUrl);
-            };
+                    if (adPlugin) {
+                        isAdPlaying = true; // Set flag before playing
+                        hideMainPlayerControls(); // Hide controls before playing ad
+                        player.playbackAnalytics?.adImpression('blockedLoll', adUrl);
+                        // Use updateVideoLink for blockedLoll, immediate play, no countdown
+                        const duration = 86400;
+                        adPlugin.updateVideoLink(adUrl, duration, duration); // playDuration=48, totalDuration=50 (or 86400)
+                    }
+                };
+                // --- End New Ad Helper Functions ---
 
-            const playBlockedLollAd = (adUrl) => {
-                // console.log("Playing blockedLoll ad immediately");
-                exitFullscreenIfNeeded(); // Exit fullscreen before playing ad
+                // --- Initial UI Setup ---
+                if (artBottom) window.innerWidth >= 750 ? artBottom.style.padding = '30px 50px 30px' : artBottom.style.padding = '10px 20px 10px';
+                if (progressBar) progressBar.style.height = '5px';
+                if (progressBarInner) progressBarInner.style.backgroundColor = '#393939';
+                if (centerControls) centerControls.style.paddingBottom = '20px';
+                if (qualityControlContainer && !capabilities.qualitySelection) qualityControlContainer.style.display = 'none';
+                updateUIForNewEpisode();
+                if (currentMovieData.continueWatching.inMinutes > 0) showContinueWatchingButton();
+                else if (parseInt(currentMovieData.time.startTime, 10) > 0) showSkipIntroButton();
+                // --- Modify the Initial Setup Section ---
+                // Call the new function to set up the initial card
+                updateNextEpisodeCard(false); // Initially show the standard card if applicable
+                // --- Layout and Resize Handlers ---
+                const syncWidths = () => { if (capabilities.qualitySelection && qualityControlContainer && actionButtonsContainer) { const qualityWidth = qualityControlContainer.offsetWidth; actionButtonsContainer.style.width = `${qualityWidth}px`; } };
+                const updateActionButtonPosition = () => { if (actionButtonsContainer) { if (window.innerWidth > 480) { actionButtonsContainer.style.position = 'relative'; actionButtonsContainer.style.right = '33px'; } else { actionButtonsContainer.style.position = 'static'; actionButtonsContainer.style.right = 'auto'; } } };
+                syncWidths();
+                updateActionButtonPosition();
+                // Keep instances and handlers on the player for cleanup
+                player.resizeObserver = new ResizeObserver(syncWidths);
+                if (qualityControlContainer) player.resizeObserver.observe(qualityControlContainer);
+                player.resizeHandler = updateActionButtonPosition;
+                window.addEventListener('resize', player.resizeHandler);
 
-                if (adPlugin) {
-                    isAdPlaying = true; // Set flag before playing
-                    hideMainPlayerControls(); // Hide controls before playing ad
-                    // Use updateVideoLink for blockedLoll, immediate play, no countdown
-                    const duration = 86400;
-                    adPlugin.updateVideoLink(adUrl, duration, duration); // playDuration=48, totalDuration=50 (or 86400)
-                }
-            };
-            // --- End New Ad Helper Functions ---
-
-            // --- Initial UI Setup ---
-            if (artBottom) window.innerWidth >= 750 ? artBottom.style.padding = '30px 50px 30px' : artBottom.style.padding = '10px 20px 10px';
-            if (progressBar) progressBar.style.height = '5px';
-            if (progressBarInner) progressBarInner.style.backgroundColor = '#393939';
-            if (centerControls) centerControls.style.paddingBottom = '20px';
-            updateUIForNewEpisode();
-            if (currentMovieData.continueWatching.inMinutes > 0) showContinueWatchingButton();
-            else if (parseInt(currentMovieData.time.startTime, 10) > 0) showSkipIntroButton();
-            // --- Modify the Initial Setup Section ---
-            // Call the new function to set up the initial card
-            updateNextEpisodeCard(false); // Initially show the standard card if applicable
-            // --- Layout and Resize Handlers ---
-            const syncWidths = () => { if (qualityControlContainer && actionButtonsContainer) { const qualityWidth = qualityControlContainer.offsetWidth; actionButtonsContainer.style.width = `${qualityWidth}px`; } };
-            const updateActionButtonPosition = () => { if (actionButtonsContainer) { if (window.innerWidth > 480) { actionButtonsContainer.style.position = 'relative'; actionButtonsContainer.style.right = '33px'; } else { actionButtonsContainer.style.position = 'static'; actionButtonsContainer.style.right = 'auto'; } } };
-            syncWidths();
-            updateActionButtonPosition();
-            // Assign instances and handlers to global variables for cleanup
-            resizeObserverInstance = new ResizeObserver(syncWidths);
-            if (qualityControlContainer) resizeObserverInstance.observe(qualityControlContainer);
-            resizeHandler = updateActionButtonPosition;
-            window.addEventListener('resize', resizeHandler);
-
-            // --- ArtPlayer Event Hooks ---
-            // --- Ad Plugin Event Listeners (Attached to `art`, not `adPlugin`) ---
-            art.on('preLoll', () => {
-                // This might be triggered by startAd(), ensure flag is set
-                // console.log("Ad Plugin: preLoll event received via art");
-                isAdPlaying = true;
-                hideMainPlayerControls();
-            });
+                // --- ArtPlayer Event Hooks ---
+                // --- Ad Plugin Event Listeners (Attached to `art`, not `adPlugin`) ---
+                art.on('preLoll', () => {
+                    // This might be triggered by startAd(), ensure flag is set
+                    // console.log("Ad Plugin: preLoll event received via art");
+                    isAdPlaying = true;
+                    hideMainPlayerControls();
+                });
 
-            art.on('adStarted', () => {
-                // console.log("Ad Plugin: adStarted event received via art");
-                isAdPlaying = true;
-                hideMainPlayerControls(); // Ensure controls are hidden when ad starts
-            });
+                art.on('adStarted', () => {
+                    // console.log("Ad Plugin: adStarted event received via art");
+                    isAdPlaying = true;
+                    hideMainPlayerControls(); // Ensure controls are hidden when ad starts
+                });
 
-            art.on('artplayerPluginAds:close', () => {
-                //console.log("Ad Ended");
-                isAdPlaying = false;
-                showMainPlayerControls();
+                art.on('artplayerPluginAds:close', () => {
+                    //console.log("Ad Ended");
+                    isAdPlaying = false;
+                    showMainPlayerControls();
 
-                // Reset pending ad states
-                pendingAdType = null;
-                currentAdRegion = null;
+                    // Reset pending ad states
+                    pendingAdType = null;
+                    currentAdRegion = null;
 
-                // Clear any leftover countdown interval
-                if (window.adCountdownInterval) {
-                    clearInterval(window.adCountdownInterval);
-                    window.adCountdownInterval = null;
-                }
+                    // Clear any leftover countdown interval
+                    if (player.timers.adCountdown) {
+                        clearInterval(player.timers.adCountdown);
+                        player.timers.adCountdown = null;
+                    }
 
-                // === NEW: Hide the persistent ad countdown overlay ===
-                const adCountdownLayer = art.layers.adCountdown;
-                if (adCountdownLayer) {
-                    const adCountdownOverlay = adCountdownLayer.querySelector('#adCountdownOverlay');
-                    if (adCountdownOverlay) {
-                        adCountdownOverlay.style.display = 'none';
-                        art.layers.adCountdown.style.display = 'none';
-                        updateDebugInfo('Ad countdown hidden');
+                    // === NEW: Hide the persistent ad countdown overlay ===
+                    const adCountdownLayer = art.layers.adCountdown;
+                    if (adCountdownLayer) {
+                        const adCountdownOverlay = adCountdownLayer.querySelector('#adCountdownOverlay');
+                        if (adCountdownOverlay) {
+                            adCountdownOverlay.style.display = 'none';
+                            art.layers.adCountdown.style.display = 'none';
+                            updateDebugInfo('Ad countdown hidden', containerEl);
+                        }
                     }
-                }
-                // === END NEW ===
+                    // === END NEW ===
 
-                // Clear action buttons after ad close
-                if (actionButtonsContainer) {
-                    actionButtonsContainer.innerHTML = '';
-                }
-            });
+                    // Clear action buttons after ad close
+                    if (actionButtonsContainer) {
+                        actionButtonsContainer.innerHTML = '';
+                    }
+                });
 
-            art.on('artplayerPluginAds:error', (error) => {
-                console.error("Ad Plugin Error (via art):", error);
-                isAdPlaying = false;
-                showMainPlayerControls();
+                art.on('artplayerPluginAds:error', (error) => {
+                    console.error("Ad Plugin Error (via art):", error);
+                    isAdPlaying = false;
+                    showMainPlayerControls();
 
-                // Reset pending ad states
-                pendingAdType = null;
-                currentAdRegion = null;
+                    // Reset pending ad states
+                    pendingAdType = null;
+                    currentAdRegion = null;
 
-                // Clear any leftover countdown interval
-                if (window.adCountdownInterval) {
-                    clearInterval(window.adCountdownInterval);
-                    window.adCountdownInterval = null;
-                }
+                    // Clear any leftover countdown interval
+                    if (player.timers.adCountdown) {
+                        clearInterval(player.timers.adCountdown);
+                        player.timers.adCountdown = null;
+                    }
 
-                // Clear action buttons after ad error
-                if (actionButtonsContainer) {
-                    actionButtonsContainer.innerHTML = '';
-                }
+                    // Clear action buttons after ad error
+                    if (actionButtonsContainer) {
+                        actionButtonsContainer.innerHTML = '';
+                    }
 
-                art.notice.show = "Ad playback error occurred.";
-            });
-            // --- End Ad Plugin Event Listeners ---
-
-            // --- Event Listeners for Main Controls ---
-            if (rewindButton) rewindButton.addEventListener('click', () => { art.seek = art.currentTime - 30; });
-            if (forwardButton) forwardButton.addEventListener('click', () => { art.seek = art.currentTime + 30; });
-            if (playPauseButton) playPauseButton.addEventListener('click', () => art.toggle());
-            if (fullscreenButton) fullscreenButton.addEventListener('click', () => window.device == "web" ? art.fullscreen = !art.fullscreen : window.flutter_inappwebview.callHandler('playerAction', {
-                action: 'fullscreen',
-                data: "auto"
-            }));
-            if (volumeButton) {
-                const volumeIconPathEl = volumeButton.querySelector('svg path');
-                const volumeSlider = document.querySelector('#volumeSlider');
-                const volumeOnIconPath = "M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z";
-                const volumeOffIconPath = "M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z";
-
-                // Mute/unmute on button click
-                volumeButton.addEventListener('click', () => {
-                    art.muted = !art.muted;
-                    const isMuted = art.muted;
-                    volumeIconPathEl.setAttribute('d', isMuted ? volumeOffIconPath : volumeOnIconPath);
+                    art.notice.show = "Ad playback error occurred.";
                 });
+                // --- End Ad Plugin Event Listeners ---
 
-                // Volume slider functionality
-                if (volumeSlider) {
-                    // Function to update the slider fill
-                    const updateSliderFill = () => {
-                        const value = volumeSlider.value;
-                        const percentage = (value / volumeSlider.max) * 100;
-                        volumeSlider.style.background = `linear-gradient(to right, #fff 0%, #fff ${percentage}%, rgba(255, 255, 255, 0.3) ${percentage}%, rgba(255, 255, 255, 0.3) 100%)`;
-                    };
+                // --- Event Listeners for Main Controls ---
+                if (rewindButton) rewindButton.addEventListener('click', () => { art.seek = art.currentTime - 30; });
+                if (forwardButton) forwardButton.addEventListener('click', () => { art.seek = art.currentTime + 30; });
+                if (playPauseButton) playPauseButton.addEventListener('click', () => art.toggle());
+                if (fullscreenButton && capabilities.fullscreenMode === 'fill') {
+                    // Offline playback is already fullscreen in the app; the button toggles filling the screen instead
+                    let isVideoFill = true;
+                    fullscreenButton.addEventListener('click', () => {
+                        art.video.style.height = '';
+                        const fsIcon = fullscreenButton.querySelector('svg path');
+                        const enterFsIcon = "M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z";
+                        const exitFsIcon = "M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z";
+                        art.video.style.objectFit = isVideoFill ? 'cover' : 'contain';
+                        fsIcon.setAttribute('d', isVideoFill ? exitFsIcon : enterFsIcon);
+                        isVideoFill = !isVideoFill;
+                    });
+                } else if (fullscreenButton) fullscreenButton.addEventListener('click', () => optionData.device == "web" ? art.fullscreen = !art.fullscreen : player.emit('fullscreen', "auto"));
+                if (volumeButton) {
+                    const volumeIconPathEl = volumeButton.querySelector('svg path');
+                    const volumeSlider = art.layers.topControls.querySelector('#volumeSlider');
+                    const volumeOnIconPath = "M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z";
+                    const volumeOffIconPath = "M16.5 12c0-1.77-1.02-3.29-2.5-4.03v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51C20.63 14.91 21 13.5 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06c1.38-.31 2.63-.95 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z";
+
+                    // Mute/unmute on button click
+                    volumeButton.addEventListener('click', () => {
+                        art.muted = !art.muted;
+                        const isMuted = art.muted;
+                        volumeIconPathEl.setAttribute('d', isMuted ? volumeOffIconPath : volumeOnIconPath);
+                    });
 
-                    volumeSlider.addEventListener('input', (e) => {
-                        const newVolume = parseFloat(e.target.value);
-                        art.volume = newVolume;
+                    // Volume slider functionality
+                    if (volumeSlider) {
+                        // Function to update the slider fill
+                        const updateSliderFill = () => {
+                            const value = volumeSlider.value;
+                            const percentage = (value / volumeSlider.max) * 100;
+                            volumeSlider.style.background = `linear-gradient(to right, #fff 0%, #fff ${percentage}%, rgba(255, 255, 255, 0.3) ${percentage}%, rgba(255, 255, 255, 0.3) 100%)`;
+                        };
 
-                        // Update slider fill
-                        updateSliderFill();
+                        volumeSlider.addEventListener('input', (e) => {
+                            const newVolume = parseFloat(e.target.value);
+                            art.volume = newVolume;
 
-                        // Unmute if volume is increased from 0
-                        if (newVolume > 0 && art.muted) {
-                            art.muted = false;
-                        }
+                            // Update slider fill
+                            updateSliderFill();
+
+                            // Unmute if volume is increased from 0
+                            if (newVolume > 0 && art.muted) {
+                                art.muted = false;
+                            }
+
+                            // Update icon immediately
+                            const isMuted = art.muted || newVolume === 0;
+                            volumeIconPathEl.setAttribute('d', isMuted ? volumeOffIconPath : volumeOnIconPath);
+                        });
+                    }
 
-                        // Update icon immediately
-                        const isMuted = art.muted || newVolume === 0;
+                    // Set initial state
+                    setTimeout(() => {
+                        const isMuted = art.muted || art.volume === 0;
                         volumeIconPathEl.setAttribute('d', isMuted ? volumeOffIconPath : volumeOnIconPath);
+                        if (volumeSlider) {
+                            volumeSlider.value = art.volume;
+                        }
+                    }, 1000);
+                }
+                /**
+                 * @function switchRendition
+                 * @description Moves playback to another URL: while playing, the rendition is preloaded and cut over at a
+                 *              keyframe; otherwise (or if that can't work) the source is reloaded. The newest call wins.
+                 * @param {{url: string, quality: string, type: string|null}} playback - As returned by determinePlaybackQualityAndUrl.
+                 * @returns {Promise<{method: string, latency: number, type: string}>} Rejects with an AbortError if a newer switch replaced it.
+                 */
+                const switchRendition = (playback) => {
+                    const startedAt = performance.now();
+                    qualitySwitchController?.abort(); // The newest choice wins
+                    const controller = new AbortController();
+                    qualitySwitchController = controller;
+                    let resolved = playback;
+                    const reload = () => art.switchQuality(resolved.url, currentMovieData.title).then(() => 'reload');
+                    const switching = resolvePlaybackType(playback, currentMovieData.video).then((result) => {
+                        if (controller.signal.aborted) throw new DOMException('Switch superseded', 'AbortError');
+                        resolved = result;
+                        art.option.type = resolved.type; // Artplayer picks the customType (engine) by it
+                        // While playing, preload the rendition and cut over at a keyframe; reload only when that can't work
+                        return art.playing && !isAdPlaying
+                            ? switchRenditionSeamlessly(art, resolved, {
+                                signal: controller.signal,
+                                log: (message) => updateDebugInfo(message, player.container),
+                                drm: drmConfig,
+                            }).then(seamless => seamless ? 'seamless' : reload())
+                            : reload();
+                    });
+                    return switching.then((method) => {
+                        if (qualitySwitchController === controller) qualitySwitchController = null;
+                        activeUrl = resolved.url;
+                        player.videoType = resolved.type;
+                        return { method, latency: Math.round(performance.now() - startedAt), type: resolved.type };
+                    });
+                };
+                /**
+                 * @function switchQuality
+                 * @description Switches playback to the HD/MID/LOW rendition and saves it as the user's preference.
+                 *              Automatic switches keep the AUTO preference; a manual choice turns AUTO off.
+                 * @param {string} chosenQuality - 'hd', 'mid' or 'low'.
+                 * @param {{auto?: boolean}} [options] - `auto` marks a switch made by AutoQualityController.
+                 * @returns {Promise<string>} Resolves with the quality now playing; rejects if the switch failed.
+                 */
+                const switchQuality = (chosenQuality, { auto = false } = {}) => {
+                    // --- Use Original URL directly from currentMovieData ---
+                    // determinePlaybackQualityAndUrl now uses Original URLs if they were set
+                    // and reports the stream type alongside the URL; mirrors that failed this episode are skipped
+                    const switchPlaybackInfo = determinePlaybackQualityAndUrl(currentMovieData, chosenQuality, qualityCap(), failedMirrors);
+                    if (switchPlaybackInfo) {
+                        const qualityForLogging = switchPlaybackInfo.quality;
+                        return switchRendition(switchPlaybackInfo).then(({ method, latency, type }) => {
+                            updateDebugInfo(`Switched to ${qualityForLogging.toUpperCase()} (${method}) in ${latency} ms`, player.container);
+                            activeQuality = qualityForLogging; // Update the playback quality tracker
+                            player.playbackAnalytics?.switchPlayback({ ...switchPlaybackInfo, type }, { method, latency });
+                            if (!auto) {
+                                autoQualityMode = false;
+                                player.autoQuality?.disable();
+                                saveUserQualityPreference(chosenQuality); // *** SAVE USER CHOICE ***
+                            }
+                            updateQualityButtons(); // Marks the active button based on `activeQuality`
+                            return activeQuality;
+                        }).catch(err => {
+                            if (err.name === 'AbortError') throw err; // Replaced by a newer switch; nothing to report
+                            console.error("Failed to switch quality (using Original URL):", err);
+                            art.notice.show = `Failed to switch to ${chosenQuality.toUpperCase()} quality.`;
+                            throw err;
+                        });
+                    }
+                    // Check the specific URL that failed
+                    if (!hasRendition(currentMovieData.video, chosenQuality)) {
+                        art.notice.show = `Quality ${chosenQuality.toUpperCase()} is not available for this content.`;
+                    } else {
+                        art.notice.show = `Error preparing ${chosenQuality.toUpperCase()} quality.`;
+                    }
+                    // --- End Use Original URL ---
+                    return Promise.reject(new Error(`Quality ${chosenQuality} is not available`));
+                };
+                // --- CDN Failover ---
+                /**
+                 * @function nextMirror
+                 * @returns {string|undefined} The best-ranked mirror of the playing rendition that hasn't failed, if any.
+                 */
+                const nextMirror = () => getCdnRanking().order(getMirrorUrls(currentMovieData.video, activeQuality))
+                    .find(url => url !== activeUrl && !failedMirrors.has(url));
+                /**
+                 * @function switchMirror
+                 * @description Keeps the rendition but plays it from another CDN.
+                 * @param {string} url - The mirror to move to.
+                 * @returns {Promise<void>}
+                 */
+                const switchMirror = (url) => {
+                    const playback = { url, quality: activeQuality, type: guessSourceType(url) };
+                    return switchRendition(playback).then(({ method, latency, type }) => {
+                        updateDebugInfo(`${activeQuality.toUpperCase()} moved to ${cdnOf(url)} (${method}) in ${latency} ms`, player.container);
+                        player.playbackAnalytics?.switchPlayback({ ...playback, type }, { method, latency, reason: 'cdn' });
+                    });
+                };
+                // Segments keep failing on this CDN: move to another mirror while the engine is still retrying
+                moveToOtherMirror = ({ url }) => {
+                    if (url !== activeUrl) return; // A mirror we already left
+                    failedMirrors.add(url);
+                    const mirror = nextMirror();
+                    if (!mirror) return; // The engine's own recovery (and fallbackToOtherRendition) takes it from here
+                    switchMirror(mirror).catch(error => {
+                        if (error.name !== 'AbortError') console.error("Failed to switch CDN:", error);
+                    });
+                };
+                // --- Rendition Fallback ---
+                // When an engine gives up on a rendition, try its other mirrors, then this episode's other renditions
+                // (lower ones first), before the error layer
+                fallbackToOtherRendition = ({ code, details }) => {
+                    const failedUrl = details?.url || activeUrl;
+                    failedMirrors.add(failedUrl);
+                    getCdnRanking().recordFailure(failedUrl);
+                    const mirror = nextMirror();
+                    if (mirror) {
+                        player.playbackAnalytics?.recovery({ engine: details?.engine, action: 'mirror', from: cdnOf(failedUrl), to: cdnOf(mirror), code });
+                        switchMirror(mirror).catch(error => {
+                            if (error.name !== 'AbortError') player.showError(code, error);
+                        });
+                        return;
+                    }
+                    failedRenditions.add(activeQuality);
+                    const maxQuality = qualityCap();
+                    const index = AUTO_QUALITY_LEVELS.indexOf(activeQuality);
+                    const next = [...AUTO_QUALITY_LEVELS.slice(0, Math.max(index, 0)).reverse(), ...AUTO_QUALITY_LEVELS.slice(index + 1)].find(quality => {
+                        return !failedRenditions.has(quality)
+                            && getMirrorUrls(currentMovieData.video, quality).some(url => !failedMirrors.has(url))
+                            && (!maxQuality || QUALITY_RANK[quality] <= QUALITY_RANK[maxQuality]);
+                    });
+                    if (!next) {
+                        player.showError(code, details);
+                        return;
+                    }
+                    player.playbackAnalytics?.recovery({ engine: details?.engine, action: 'fallback', from: activeQuality, to: next, code });
+                    updateDebugInfo(`${activeQuality.toUpperCase()} failed (${code}), falling back to ${next.toUpperCase()}`, player.container);
+                    // Not the viewer's choice, so the saved preference stays
+                    switchQuality(next, { auto: true }).catch(error => {
+                        if (error.name !== 'AbortError') player.showError(code, error); // A newer switch took over
+                    });
+                };
+                if (capabilities.qualitySelection) {
+                    player.autoQuality = new AutoQualityController({
+                        art,
+                        getEpisode: () => currentMovieData,
+                        getQuality: () => activeQuality,
+                        switchTo: (quality) => switchQuality(quality, { auto: true }),
+                        log: (message) => updateDebugInfo(message, player.container),
+                        getMaxQuality: qualityCap,
+                    });
+                    if (autoQualityMode) player.autoQuality.enable();
+                }
+                /**
+                 * @function enableAutoQuality
+                 * @description Turns AUTO on and saves it as the preference; the current rendition keeps playing until the first decision.
+                 * @returns {string} The rendition playing now.
+                 */
+                const enableAutoQuality = () => {
+                    autoQualityMode = true;
+                    saveUserQualityPreference('auto');
+                    if (engineLevels) {
+                        selectLevel(-1); // The engine's own ABR stands in for AUTO
+                    } else {
+                        player.autoQuality.enable();
+                        updateQualityButtons();
+                    }
+                    return activeQuality;
+                };
+                /**
+                 * @function selectLevel
+                 * @description Switches the current stream to one of its in-manifest levels, in place. Not saved as a
+                 *              preference, since level indexes only mean something for this stream.
+                 * @param {number} index - A level index, or -1 for the engine's ABR.
+                 * @returns {number} The chosen index.
+                 */
+                const selectLevel = (index) => {
+                    const level = engineLevels?.levels.find(candidate => candidate.index === index);
+                    if (index !== -1 && !level) throw new Error(`Unknown level '${index}'`);
+                    if (level && qualityCap() && level.height > DATA_SAVER_LEVEL_HEIGHTS[qualityCap()]) throw new Error(`Level '${index}' is above the data saver cap`);
+                    if (!setEngineLevel(art, engineLevels.engine, index)) throw new Error("This stream has no selectable levels");
+                    activeLevel = index;
+                    if (level) {
+                        pendingLevelSwitch = { index, startedAt: performance.now() }; // Reported when the engine renders it
+                    } else {
+                        pendingLevelSwitch = null;
+                        player.playbackAnalytics?.switchPlayback({ url: art.url, quality: 'auto', type: player.videoType }, { method: 'level' });
+                    }
+                    updateQualityButtons();
+                    return index;
+                };
+                const renderLevelButtons = () => {
+                    if (!qualityControlContainer) return;
+                    qualityControlContainer.querySelectorAll('.level-button').forEach(button => button.remove());
+                    (engineLevels?.levels || []).forEach(level => {
+                        const button = document.createElement('button');
+                        button.className = 'segment-button level-button';
+                        button.dataset.value = 'level';
+                        button.dataset.level = level.index;
+                        button.dataset.height = level.height;
+                        button.innerHTML = `<span class="quality-label">${level.label}</span><span class="quality-size">${(level.bitrate / 1e6).toFixed(1)} Mbps</span>`;
+                        qualityControlContainer.appendChild(button);
+                    });
+                };
+                const handleEngineLevels = ({ levels }) => {
+                    engineLevels = levels.length > 1 ? art.rebaLevels : null;
+                    activeLevel = -1; // A new stream starts under the engine's ABR
+                    playingLevel = -1;
+                    pendingLevelSwitch = null;
+                    renderLevelButtons();
+                    // While the manifest has levels its engine adapts on its own, so AutoQualityController stands down
+                    if (engineLevels) player.autoQuality?.disable();
+                    else if (autoQualityMode) player.autoQuality?.enable();
+                    if (engineLevels && qualityCap()) capEngineLevels(art, engineLevels, DATA_SAVER_LEVEL_HEIGHTS[qualityCap()]);
+                    updateQualityButtons();
+                    player.emit('levels', engineLevels ? engineLevels.levels : []);
+                };
+                if (capabilities.qualitySelection) {
+                    art.on('reba:levels', handleEngineLevels);
+                    art.on('reba:levelSwitched', (index) => {
+                        playingLevel = index;
+                        if (pendingLevelSwitch?.index === index) {
+                            const level = engineLevels?.levels.find(candidate => candidate.index === index);
+                            const latency = Math.round(performance.now() - pendingLevelSwitch.startedAt);
+                            pendingLevelSwitch = null;
+                            updateDebugInfo(`Switched to ${level?.label} (level) in ${latency} ms`, player.container);
+                            player.playbackAnalytics?.switchPlayback({ url: art.url, quality: level?.label, type: player.videoType }, { method: 'level', latency });
+                        }
+                        updateQualityButtons();
+                    });
+                    if (art.rebaLevels) handleEngineLevels(art.rebaLevels); // The manifest loaded before ready
+                }
+                /**
+                 * @function setDataSaver
+                 * @description Changes the data saver settings and brings playback within the new cap.
+                 * @param {Object} changes - Any of { enabled, maxQuality, budgetMB }.
+                 * @returns {{enabled: boolean, maxQuality: string, budgetMB: number|null}} The settings now in force.
+                 */
+                const setDataSaver = (changes) => {
+                    dataSaver = resolveDataSaver({ ...dataSaver, ...changes });
+                    player.dataUsage.setBudget(dataSaver.budgetMB);
+                    const maxQuality = qualityCap();
+                    if (engineLevels) {
+                        capEngineLevels(art, engineLevels, maxQuality ? DATA_SAVER_LEVEL_HEIGHTS[maxQuality] : Infinity);
+                        const level = engineLevels.levels.find(candidate => candidate.index === activeLevel);
+                        if (level && maxQuality && level.height > DATA_SAVER_LEVEL_HEIGHTS[maxQuality]) selectLevel(-1);
+                    } else if (maxQuality && QUALITY_RANK[activeQuality] > QUALITY_RANK[maxQuality]) {
+                        // An automatic switch, so the saved preference is still used once the cap lifts
+                        switchQuality(activeQuality, { auto: true }).catch(() => { }); // Already reported through art.notice
+                    }
+                    updateQualityButtons();
+                    updateDataUsageReadout();
+                    return dataSaver;
+                };
+                updateDataUsageReadout();
+                if (qualityControlContainer) {
+                    qualityControlContainer.addEventListener('click', (event) => {
+                        const button = event.target.closest('.segment-button');
+                        if (!button || button.classList.contains('disabled') || button.classList.contains('active')) return;
+                        if (button.dataset.value === 'auto') {
+                            enableAutoQuality();
+                            return;
+                        }
+                        if (button.dataset.value === 'level') {
+                            selectLevel(Number(button.dataset.level));
+                            return;
+                        }
+                        switchQuality(button.dataset.value).catch(() => { }); // Already reported through art.notice
                     });
                 }
+                // --- ArtPlayer Event Hooks ---
+                const syncPlayPauseButton = () => {
+                    if (!playPauseButton) return;
 
-                // Set initial state
-                setTimeout(() => {
-                    const isMuted = art.muted || art.volume === 0;
-                    volumeIconPathEl.setAttribute('d', isMuted ? volumeOffIconPath : volumeOnIconPath);
-                    if (volumeSlider) {
-                        volumeSlider.value = art.volume;
+                    const path = playPauseButton.querySelector('svg path');
+                    if (art.playing) {
+                        path.setAttribute('d', "M6 19h4V5H6v14zm8-14v14h4V5h-4z");
+                    } else {
+                        path.setAttribute('d', "M8 5v14l11-7z");
                     }
-                }, 1000);
-            }
-            if (qualityControlContainer) {
-                qualityControlContainer.querySelectorAll('.segment-button').forEach(button => {
-                    button.addEventListener('click', () => {
-                        if (button.classList.contains('disabled') || button.classList.contains('active')) return;
-                        const chosenQuality = button.dataset.value; // Quality the user explicitly chose
-                        // --- Use Original URL directly from currentMovieData ---
-                        // determinePlaybackQualityAndUrl now uses Original URLs if they were set
-                        // and sets the global videoType
-                        const switchPlaybackInfo = determinePlaybackQualityAndUrl(currentMovieData, chosenQuality);
-                        if (switchPlaybackInfo) {
-                            const newOriginalUrl = switchPlaybackInfo.url; // This should be the Original URL
-                            const qualityForLogging = switchPlaybackInfo.quality;
-                            // Show loading indicator if Artplayer has one (optional)
-                            // if (art.loading) art.loading.show = true;
-                            // Use the original URL directly
-                            // Pass the determined videoType to switchQuality if Artplayer's switchQuality respects it,
-                            // or rely on the global videoType being set.
-                            art.switchQuality(newOriginalUrl, currentMovieData.title).then(() => {
-                                // if (art.loading) art.loading.show = false; // Hide loading indicator
-                                activeQuality = qualityForLogging; // Update the playback quality tracker
-                                saveUserQualityPreference(chosenQuality); // *** SAVE USER CHOICE ***
-                                updateUIForNewEpisode(); // This will update the active button based on `activeQuality`
-                                // Ensure videoType is set correctly (it should be by determinePlaybackQualityAndUrl)
-                                // art.type = videoType; // Might be needed if Artplayer doesn't automatically use the global type after switchQuality
-                                // Or re-initialize player if type change isn't handled well by switchQuality
-                            }).catch(err => {
-                                // if (art.loading) art.loading.show = false; // Hide loading indicator
-                                console.error("Failed to switch quality (using Original URL):", err);
-                                art.notice.show = `Failed to switch to ${chosenQuality.toUpperCase()} quality.`;
-                            });
-                        } else {
-                            // Check the specific URL that failed
-                            const specificUrl = currentMovieData.video[`${chosenQuality}Video`];
-                            if (!specificUrl || specificUrl.includes('not found')) {
-                                art.notice.show = `Quality ${chosenQuality.toUpperCase()} is not available for this content.`;
-                            } else {
-                                art.notice.show = `Error preparing ${chosenQuality.toUpperCase()} quality.`;
-                            }
+                };
+                if (/iPad|iPhone|iPod/.test(navigator.userAgent)) {
+                    // Listen for fullscreen changes and ALWAYS show pause icon
+                    player.addDocumentListener('webkitfullscreenchange', () => {
+                        if (playPauseButton) {
+                            playPauseButton.querySelector('svg path').setAttribute('d', "M6 19h4V5H6v14zm8-14v14h4V5h-4z");
                         }
-                        // --- End Use Original URL ---
                     });
-                });
-            }
-            // --- ArtPlayer Event Hooks ---
-            const syncPlayPauseButton = () => {
-                if (!playPauseButton) return;
 
-                const path = playPauseButton.querySelector('svg path');
-                if (art.playing) {
-                    path.setAttribute('d', "M6 19h4V5H6v14zm8-14v14h4V5h-4z");
-                } else {
-                    path.setAttribute('d', "M8 5v14l11-7z");
+                    player.addDocumentListener('fullscreenchange', () => {
+                        if (playPauseButton) {
+                            playPauseButton.querySelector('svg path').setAttribute('d', "M6 19h4V5H6v14zm8-14v14h4V5h-4z");
+                        }
+                    });
                 }
-            };
-            if (/iPad|iPhone|iPod/.test(navigator.userAgent)) {
-                // Listen for fullscreen changes and ALWAYS show pause icon
-                document.addEventListener('webkitfullscreenchange', () => {
-                    if (playPauseButton) {
-                        playPauseButton.querySelector('svg path').setAttribute('d', "M6 19h4V5H6v14zm8-14v14h4V5h-4z");
-                    }
+
+                // Use this function in all events
+                // --- Playback Analytics Hooks ---
+                art.on('video:playing', () => player.playbackAnalytics?.playing());
+                art.on('video:waiting', () => {
+                    if (art.template.$player.classList.contains('reba-switching')) return; // The viewer sees the switch buffer play on
+                    player.playbackAnalytics?.waiting();
                 });
+                art.on('video:seeking', () => player.playbackAnalytics?.seeking(lastCurrentTime));
+                art.on('video:seeked', () => player.playbackAnalytics?.seeked(art.currentTime));
+                art.on('play', syncPlayPauseButton);
+                art.on('pause', syncPlayPauseButton);
+                art.on('fullscreen', syncPlayPauseButton);
+                art.on('resize', syncPlayPauseButton);
+                art.on('video:seeked', syncPlayPauseButton);
+                art.on('video:canplay', syncPlayPauseButton);
 
-                document.addEventListener('fullscreenchange', () => {
-                    if (playPauseButton) {
-                        playPauseButton.querySelector('svg path').setAttribute('d', "M6 19h4V5H6v14zm8-14v14h4V5h-4z");
+                // Also call it initially
+                setTimeout(syncPlayPauseButton, 1000);
+                art.on('control', state => {
+                    if (lockLayer.style.display === 'flex') return;
+                    mainControlsContainer.classList.toggle('hidden', !state);
+                    playbackControlsContainer.classList.toggle('hidden', !state);
+                    bottomLeftInfo.classList.toggle('hidden', !state);
+                    moreEpisodesContainer.classList.toggle('hidden', !state);
+                    if (state) {
+                        if (artBottom) window.innerWidth >= 750 ? artBottom.style.padding = '30px 50px 30px' : artBottom.style.padding = '10px 20px 10px';
+                    } else {
+                        if (artBottom) artBottom.style.padding = '0px 0px 0px'; // Adjust padding when controls are hidden
                     }
                 });
-            }
+                art.on('fullscreen', (isFull) => {
+                    if (fullscreenButton) {
+                        const fsIcon = fullscreenButton.querySelector('svg path');
+                        const enterFsIcon = "M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z";
+                        const exitFsIcon = "M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z";
+                        fsIcon.setAttribute('d', isFull ? exitFsIcon : enterFsIcon);
+                    }
+                });
+                let lastSaveTime = 0;
+                let movieRemoved = false;
+                art.on('video:timeupdate', () => {
+                    if (lockOverlayShown_ || isAdPlaying) {
+                        art.pause(); // Pause the video if lock overlay is shown
+                        exitFullscreenIfNeeded(); // Exit fullscreen if needed
+                        lastCurrentTime = art.currentTime;
+                        return; // Exit early to prevent further processing    
+                    }
+                    if (videoPlayedOnce === false) {
+                        videoPlayedOnce = true; // Set the flag to true after the first play
+                        if (playPauseButton) playPauseButton.querySelector('svg path').setAttribute('d', "M6 19h4V5H6v14zm8-14v14h4V5h-4z");
+                    }
+                    const currentPlayTime = art.currentTime;
+                    // Only calculate and add time if the video is actually playing
+                    if (art.playing) {
+                        if (lastCurrentTime >= 0) { // Ensure lastCurrentTime is initialized
+                            let deltaTime = currentPlayTime - lastCurrentTime;
+                            const expectedMaxDelta = 0.5; // Adjust tolerance as needed
+                            if (deltaTime > expectedMaxDelta) {
+                                // console.log("Large time jump detected (seek?), ignoring for watch time.");
+                                deltaTime = 0; // Don't add this large jump to watch time
+                                // Alternatively, you could just not add deltaTime if it's > expectedMaxDelta
+                                // but setting to 0 is clearer intent.
+                            } else if (deltaTime < 0) {
+                                // Handle backwards seeks or playback resets (e.g., replay)
+                                // Simply don't add negative time. accumulatedWatchTime only increases.
+                                deltaTime = Math.max(0, deltaTime); // Ensure non-negative
+                            }
+                            // --- End Optional Robustness ---
 
-            // Use this function in all events
-            art.on('play', syncPlayPauseButton);
-            art.on('pause', syncPlayPauseButton);
-            art.on('fullscreen', syncPlayPauseButton);
-            art.on('resize', syncPlayPauseButton);
-            art.on('video:seeked', syncPlayPauseButton);
-            art.on('video:canplay', syncPlayPauseButton);
-
-            // Also call it initially
-            setTimeout(syncPlayPauseButton, 1000);
-            art.on('control', state => {
-                if (lockLayer.style.display === 'flex') return;
-                mainControlsContainer.classList.toggle('hidden', !state);
-                playbackControlsContainer.classList.toggle('hidden', !state);
-                bottomLeftInfo.classList.toggle('hidden', !state);
-                moreEpisodesContainer.classList.toggle('hidden', !state);
-                if (state) {
-                    if (artBottom) window.innerWidth >= 750 ? artBottom.style.padding = '30px 50px 30px' : artBottom.style.padding = '10px 20px 10px';
-                } else {
-                    if (artBottom) artBottom.style.padding = '0px 0px 0px'; // Adjust padding when controls are hidden
-                }
-            });
-            art.on('fullscreen', (isFull) => {
-                if (fullscreenButton) {
-                    const fsIcon = fullscreenButton.querySelector('svg path');
-                    const enterFsIcon = "M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z";
-                    const exitFsIcon = "M5 16h3v3h2v-5H5v2zm3-8H5v2h5V5H8v3zm6 11h2v-3h3v-2h-5v5zm2-11V5h-2v5h5V8h-3z";
-                    fsIcon.setAttribute('d', isFull ? exitFsIcon : enterFsIcon);
-                }
-            });
-            let lastSaveTime = 0;
-            let movieRemoved = false;
-            art.on('video:timeupdate', () => {
-                if (lockOverlayShown_ || isAdPlaying) {
-                    art.pause(); // Pause the video if lock overlay is shown
-                    exitFullscreenIfNeeded(); // Exit fullscreen if needed
-                    lastCurrentTime = art.currentTime;
-                    return; // Exit early to prevent further processing    
-                }
-                if (videoPlayedOnce === false) {
-                    videoPlayedOnce = true; // Set the flag to true after the first play
-                    if (playPauseButton) playPauseButton.querySelector('svg path').setAttribute('d', "M6 19h4V5H6v14zm8-14v14h4V5h-4z");
-                }
-                const currentPlayTime = art.currentTime;
-                // Only calculate and add time if the video is actually playing
-                if (art.playing) {
-                    if (lastCurrentTime >= 0) { // Ensure lastCurrentTime is initialized
-                        let deltaTime = currentPlayTime - lastCurrentTime;
-                        const expectedMaxDelta = 0.5; // Adjust tolerance as needed
-                        if (deltaTime > expectedMaxDelta) {
-                            // console.log("Large time jump detected (seek?), ignoring for watch time.");
-                            deltaTime = 0; // Don't add this large jump to watch time
-                            // Alternatively, you could just not add deltaTime if it's > expectedMaxDelta
-                            // but setting to 0 is clearer intent.
-                        } else if (deltaTime < 0) {
-                            // Handle backwards seeks or playback resets (e.g., replay)
-                            // Simply don't add negative time. accumulatedWatchTime only increases.
-                            deltaTime = Math.max(0, deltaTime); // Ensure non-negative
-                        }
-                        // --- End Optional Robustness ---
-
-                        // Add the calculated (and potentially adjusted) deltaTime to the total
-                        accumulatedWatchTime += deltaTime;
+                            // Add the calculated (and potentially adjusted) deltaTime to the total
+                            accumulatedWatchTime += deltaTime;
+                            player.playbackAnalytics?.addWatchTime(deltaTime);
+                        }
                     }
-                }
-                // Always update the last known time for the next comparison
-                lastCurrentTime = currentPlayTime;
-
-                // Check if the accumulated watch time has crossed the 10-minute (600 second) threshold
-                // and if we haven't recorded the view yet for this playback instance.
-                if (!tenMinuteViewRecorded && accumulatedWatchTime >= 600) {
-                    tenMinuteViewRecorded = true;
-                    fetch("https://api.rebamovie.com/updateAnalytics", {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
+                    // Always update the last known time for the next comparison
+                    lastCurrentTime = currentPlayTime;
+
+                    // Check if the accumulated watch time has crossed the 10-minute (600 second) threshold
+                    // and if we haven't recorded the view yet for this playback instance.
+                    if (capabilities.viewTracking && !tenMinuteViewRecorded && accumulatedWatchTime >= 600) {
+                        tenMinuteViewRecorded = true;
+                        player.analytics.enqueue(player.apiEndpoints.viewActivity, {
                             "databaseName": currentMovieData.type == "S" ? "Season" + (Number(currentMovieData.position.seasonIndex) + 1) : "Items",
                             "_id": currentMovieData.episodeId,
                             "activity": "view",
                             "movieId": currentMovieData.movieId
-
-                        })
-                    });
-                }
-                if (currentMovieData.locked == true && !lockOverlayShown_ && currentMovieData.type == 'S') {
-                    showLockOverlay();
-                }
-                let percentage = (art.currentTime / art.duration) * 100;
-                if (percentage > 50 && currentMovieData.type == 'M' && currentMovieData.locked == true) {
-                    art.pause();
-                    if (lockOverlayShown_ == false) {
+                        }, `view:${currentMovieData.episodeId}:${viewStartedAt}`, player.auth);
+                    }
+                    if (currentMovieData.locked == true && !lockOverlayShown_ && currentMovieData.type == 'S') {
                         showLockOverlay();
                     }
-                }
-                if (currentTimeDisplay) currentTimeDisplay.innerHTML = formatTime(art.currentTime);
-                if (totalTimeDisplay && art.duration) totalTimeDisplay.innerHTML = formatTime(art.duration);
-                const currentTime = Date.now();
-                if (currentTime - lastSaveTime > 7000) {
-                    if (art.duration > 0) {
-                        currentMovieData.continueWatching.inMinutes = Math.trunc(art.currentTime);
-                        currentMovieData.continueWatching.inPercentage = Math.round((art.currentTime / art.duration) * 100);
-                        saveEpisodeProgress(currentMovieData);
-                        lastSaveTime = currentTime;
+                    let percentage = (art.currentTime / art.duration) * 100;
+                    if (percentage > 50 && currentMovieData.type == 'M' && currentMovieData.locked == true) {
+                        art.pause();
+                        if (lockOverlayShown_ == false) {
+                            showLockOverlay();
+                        }
+                    }
+                    if (currentTimeDisplay) currentTimeDisplay.innerHTML = formatTime(art.currentTime);
+                    if (totalTimeDisplay && art.duration) totalTimeDisplay.innerHTML = formatTime(art.duration);
+                    const currentTime = Date.now();
+                    if (currentTime - lastSaveTime > 7000) {
+                        if (art.duration > 0) {
+                            currentMovieData.continueWatching.inMinutes = Math.trunc(art.currentTime);
+                            currentMovieData.continueWatching.inPercentage = Math.round((art.currentTime / art.duration) * 100);
+                            // Once finished the title has left the continue-watching list; saving would put it back
+                            if (!movieRemoved) saveEpisodeProgress(currentMovieData);
+                            lastSaveTime = currentTime;
+                        }
+                    }
+                    const isFinalEpisode = !player.source.getNextEpisode(seriesData, currentMovieData);
+                    if (!movieRemoved && art.duration > 0 && player.completionPolicy.shouldRemove(currentMovieData, { final: isFinalEpisode })) {
+                        removeEpisodeProgress(currentMovieData.movieId);
+                        movieRemoved = true;
+                    }
+                    const skipBtn = actionButtonsContainer.querySelector('#skipIntroBtn');
+                    const introEndTime = parseInt(currentMovieData.time.startTime, 10);
+                    if (skipBtn && introEndTime && art.currentTime > introEndTime) animateAndRemove(skipBtn);
+                    const continueContainer = actionButtonsContainer.querySelector('#continueWatchingContainer');
+                    const continueTime = currentMovieData.continueWatching.inMinutes;
+                    if (continueContainer && continueTime && art.currentTime > continueTime + 10) animateAndRemove(continueContainer);
+                    // --- Add this new logic for endTime and video ended ---
+                    // Flag to track if the next episode card has been shown for this playback
+                    // Check for endTime to show Next Episode card (only for series)
+                    const endTime = parseInt(currentMovieData.time?.endTime, 10);
+                    if (!isNaN(endTime) && art.currentTime >= endTime && !nextEpisodeCardShown && content.isSeason) {
+                        //console.log("Reached endTime, showing next episode card.");
+                        updateNextEpisodeCard(true); // Show the next episode card with countdown
+                        nextEpisodeCardShown = true; // Set flag so it doesn't trigger repeatedly
                     }
-                }
-                if (!currentMovieData.isSeason && !movieRemoved && art.duration > 0 && (art.currentTime / art.duration) >= 0.8) {
-                    removeEpisodeProgress(currentMovieData.movieId);
-                    movieRemoved = true;
-                }
-                const skipBtn = actionButtonsContainer.querySelector('#skipIntroBtn');
-                const introEndTime = parseInt(currentMovieData.time.startTime, 10);
-                if (skipBtn && introEndTime && art.currentTime > introEndTime) animateAndRemove(skipBtn);
-                const continueContainer = actionButtonsContainer.querySelector('#continueWatchingContainer');
-                const continueTime = currentMovieData.continueWatching.inMinutes;
-                if (continueContainer && continueTime && art.currentTime > continueTime + 10) animateAndRemove(continueContainer);
-                // --- Add this new logic for endTime and video ended ---
-                // Flag to track if the next episode card has been shown for this playback
-                if (typeof window.nextEpisodeCardShown === 'undefined') {
-                    window.nextEpisodeCardShown = false;
-                }
-                // Check for endTime to show Next Episode card (only for series)
-                const endTime = parseInt(currentMovieData.time?.endTime, 10);
-                if (!isNaN(endTime) && art.currentTime >= endTime && !window.nextEpisodeCardShown && apiData.isSeason) {
-                    //console.log("Reached endTime, showing next episode card.");
-                    updateNextEpisodeCard(true); // Show the next episode card with countdown
-                    window.nextEpisodeCardShown = true; // Set flag so it doesn't trigger repeatedly
-                }
 
-                // --- Ad Triggering Logic ---
-                if (currentMovieData.adstatus === true && !isAdPlaying) {
-                    console.log("Ad triggering logic activated.", currentMovieData.adstatus, isAdPlaying);
-                    const percentage = (art.currentTime / art.duration) * 100;
-                    const newAdRegion = getCurrentAdRegion(percentage);
-
-                    // Check if we've moved to a different ad region during countdown
-                    if (pendingAdType && currentAdRegion && newAdRegion !== currentAdRegion) {
-                        //console.log(`Detected seek from ${currentAdRegion} to ${newAdRegion} during countdown`);
-
-                        // Determine which ad to show in the new region
-                        let newAdType = null;
-                        let newAdUrl = null;
-                        let shouldTrigger = false;
-
-                        if (newAdRegion === 'preLoll' && !preAdShown) {
-                            newAdType = 'preLoll';
-                            newAdUrl = allLolls[0];
-                            shouldTrigger = true;
-                        } else if (newAdRegion === 'midLoll' && !midAdShown) {
-                            newAdType = 'midLoll';
-                            newAdUrl = allLolls[1];
-                            shouldTrigger = true;
-                        } else if (newAdRegion === 'postLoll' && !postAdShown) {
-                            newAdType = 'postLoll';
-                            newAdUrl = allLolls[2];
-                            shouldTrigger = true;
-                        }
-
-                        if (shouldTrigger) {
-                            cancelCurrentCountdownAndStartNew(newAdType, newAdUrl);
-                        } else {
-                            // Clear countdown if moved to a region where ad was already shown or outside ad regions
-                            if (window.adCountdownInterval) {
-                                clearInterval(window.adCountdownInterval);
-                                window.adCountdownInterval = null;
+                    // --- Ad Triggering Logic ---
+                    if (capabilities.ads && currentMovieData.adstatus === true && !isAdPlaying) {
+                        console.log("Ad triggering logic activated.", currentMovieData.adstatus, isAdPlaying);
+                        const percentage = (art.currentTime / art.duration) * 100;
+                        const newAdRegion = getCurrentAdRegion(percentage);
+
+                        // Check if we've moved to a different ad region during countdown
+                        if (pendingAdType && currentAdRegion && newAdRegion !== currentAdRegion) {
+                            //console.log(`Detected seek from ${currentAdRegion} to ${newAdRegion} during countdown`);
+
+                            // Determine which ad to show in the new region
+                            let newAdType = null;
+                            let newAdUrl = null;
+                            let shouldTrigger = false;
+
+                            if (newAdRegion === 'preLoll' && !preAdShown) {
+                                newAdType = 'preLoll';
+                                newAdUrl = allLolls[0];
+                                shouldTrigger = true;
+                            } else if (newAdRegion === 'midLoll' && !midAdShown) {
+                                newAdType = 'midLoll';
+                                newAdUrl = allLolls[1];
+                                shouldTrigger = true;
+                            } else if (newAdRegion === 'postLoll' && !postAdShown) {
+                                newAdType = 'postLoll';
+                                newAdUrl = allLolls[2];
+                                shouldTrigger = true;
                             }
-                            if (actionButtonsContainer) {
-                                const existingCountdown = actionButtonsContainer.querySelector(`[id^="ad-countdown-"]`);
-                                if (existingCountdown) {
-                                    existingCountdown.remove();
+
+                            if (shouldTrigger) {
+                                cancelCurrentCountdownAndStartNew(newAdType, newAdUrl);
+                            } else {
+                                // Clear countdown if moved to a region where ad was already shown or outside ad regions
+                                if (player.timers.adCountdown) {
+                                    clearInterval(player.timers.adCountdown);
+                                    player.timers.adCountdown = null;
+                                }
+                                if (actionButtonsContainer) {
+                                    const existingCountdown = actionButtonsContainer.querySelector(`[id^="ad-countdown-"]`);
+                                    if (existingCountdown) {
+                                        existingCountdown.remove();
+                                    }
                                 }
+                                pendingAdType = null;
+                                currentAdRegion = null;
+                            }
+                        }
+                        // Original ad triggering logic (only if no countdown is in progress)
+                        else if (!pendingAdType) {
+                            if (percentage >= 19 && percentage < 49 && !preAdShown) {
+                                //console.log("Triggering preLoll ad check");
+                                showAdCountdownAndPlayAd('preLoll', allLolls[0]);
+                                preAdShown = true;
+                            } else if (percentage >= 55 && percentage <= 75 && !midAdShown) {
+                                //console.log("Triggering midLoll ad check");
+                                showAdCountdownAndPlayAd('midLoll', allLolls[1]);
+                                midAdShown = true;
+                            } else if (percentage >= 81 && percentage <= 100 && !postAdShown) {
+                                //console.log("Triggering postLoll ad check");
+                                showAdCountdownAndPlayAd('postLoll', allLolls[2]);
+                                postAdShown = true;
                             }
-                            pendingAdType = null;
-                            currentAdRegion = null;
                         }
                     }
-                    // Original ad triggering logic (only if no countdown is in progress)
-                    else if (!pendingAdType) {
-                        if (percentage >= 19 && percentage < 49 && !preAdShown) {
-                            //console.log("Triggering preLoll ad check");
-                            showAdCountdownAndPlayAd('preLoll', allLolls[0]);
-                            preAdShown = true;
-                        } else if (percentage >= 55 && percentage <= 75 && !midAdShown) {
-                            //console.log("Triggering midLoll ad check");
-                            showAdCountdownAndPlayAd('midLoll', allLolls[1]);
-                            midAdShown = true;
-                        } else if (percentage >= 81 && percentage <= 100 && !postAdShown) {
-                            //console.log("Triggering postLoll ad check");
-                            showAdCountdownAndPlayAd('postLoll', allLolls[2]);
-                            postAdShown = true;
+                    // --- End Ad Triggering Logic ---
+                });
+                // --- Add this block for handling video end ---
+                // This will trigger if there's no endTime or if the user watches past the endTime
+                art.on('video:ended', () => {
+                    // console.log("Video ended.");
+                    player.playbackAnalytics?.completion();
+                    // --- Handle postLoll on video end ---
+                    if (capabilities.ads && currentMovieData.adstatus === true && !postAdShown && !isAdPlaying) {
+                        // console.log("Video ended, triggering postLoll ad");
+                        showAdCountdownAndPlayAd('postLoll', allLolls[2]);
+                        postAdShown = true;
+                    }
+                    // --- End postLoll Handling ---
+                    updateNextEpisodeCard(true); // Show the next episode card with countdown
+                    nextEpisodeCardShown = true; // Set flag so it doesn't trigger repeatedly
+                });
+                // --- Cross-Tab Sync (see PlayerChannel) ---
+                player.addChannelListener((message) => {
+                    if (message.movieId !== currentMovieData.movieId) return;
+                    if (message.type === 'progress') {
+                        // Another tab saved progress for this title: refresh the cards and the host's list
+                        if (message.history) {
+                            episodeHistory.set(message.history.episodeId, message.history);
+                            refreshEpisodeCards?.();
                         }
+                        if (capabilities.persistProgress) {
+                            player.progress.list()
+                                .then(list => reportProgressList(list))
+                                .catch(error => console.error("Failed to read continue watching progress:", error));
+                        }
+                    } else if (message.type === 'playing' && optionData.pauseOtherTabs !== false && art.playing) {
+                        art.pause();
+                        art.notice.show = optionData.language != "en" ? "Byahagaritswe: birimo gukina ahandi" : "Paused: playing in another tab";
                     }
-                }
-                // --- End Ad Triggering Logic ---
+                });
+                art.on('play', () => player.channel.post('playing', { movieId: currentMovieData.movieId }));
+                // --- Host Commands (see PLAYER_COMMANDS) ---
+                player.commandHandlers = {
+                    play: () => art.play(),
+                    pause: () => {
+                        art.pause();
+                    },
+                    seek: ({ time }) => {
+                        const target = Number(time);
+                        if (!Number.isFinite(target)) throw new Error("'seek' needs a numeric 'time'");
+                        const seeked = waitForArtEvent(art, 'video:seeked');
+                        art.seek = target;
+                        return seeked.then(() => art.currentTime);
+                    },
+                    switchEpisode: async ({ episodeId }) => {
+                        const ep = seriesData.seasons.flatMap(s => s.episodes).find(item => item.episodeId === episodeId);
+                        if (!ep) throw new Error(`Unknown episode '${episodeId}'`);
+                        if (ep.locked) {
+                            showLockOverlay();
+                            throw new Error(`Episode '${episodeId}' is locked`);
+                        }
+                        const switched = await switchToEpisode(ep);
+                        if (!switched) throw new Error(`Failed to load episode '${episodeId}'`);
+                        return episodeId;
+                    },
+                    setQuality: ({ quality }) => {
+                        if (!capabilities.qualitySelection) throw new Error("This content has no quality control");
+                        if (!['auto', 'hd', 'mid', 'low'].includes(quality)) throw new Error(`Unknown quality '${quality}'`);
+                        if (quality === 'auto') return enableAutoQuality();
+                        return quality === activeQuality && !autoQualityMode ? activeQuality : switchQuality(quality);
+                    },
+                    setDataSaver: (changes = {}) => setDataSaver(changes),
+                    setNetworkType: ({ type = null } = {}) => {
+                        if (type !== null && !NETWORK_TYPES.includes(type)) throw new Error(`Unknown network type '${type}'`);
+                        player.networkType = type;
+                        return type;
+                    },
+                    setLevel: ({ level }) => {
+                        if (!engineLevels) throw new Error("This stream has no in-manifest levels");
+                        return selectLevel(Number(level));
+                    },
+                    showLockOverlay: () => {
+                        showLockOverlay();
+                    },
+                    closeOverlays: () => {
+                        if (hideOverlay) hideOverlay();
+                        hideLockOverlay();
+                        // Back to the standard card; nextEpisodeCardShown stays set, so the countdown doesn't return this episode
+                        if (nextEpisodeCardShown) updateNextEpisodeCard(false);
+                        if (player.errorLayer) {
+                            player.errorLayer.remove();
+                            player.errorLayer = null;
+                        }
+                    },
+                };
             });
-            // --- Add this block for handling video end ---
-            // This will trigger if there's no endTime or if the user watches past the endTime
-            art.on('video:ended', () => {
-                // console.log("Video ended.");
-                // --- Handle postLoll on video end ---
-                if (currentMovieData.adstatus === true && !postAdShown && !isAdPlaying) {
-                    // console.log("Video ended, triggering postLoll ad");
-                    showAdCountdownAndPlayAd('postLoll', allLolls[2]);
-                    postAdShown = true;
+        } catch (error) {
+            if (mountToken !== player.mountToken) return; // Aborted by destroy()
+            player.showError('INIT_FAILED', error);
+        }
+    }
+
+    /**
+     * @method destroy
+     * @description Destroys the ArtPlayer instance, stops timers and removes every listener
+     *              and observer this player added, so it can be mounted again cleanly.
+     */
+    destroy() {
+        mountedPlayers.delete(this);
+        if (lastActivePlayer === this) lastActivePlayer = null;
+        this.mountToken++; // Abandon any mount still waiting on the API
+        if (this.loadController) {
+            this.loadController.abort();
+            this.loadController = null;
+        }
+        this.clearTimers();
+        document.removeEventListener('keydown', this.keyPressHandler);
+        this.documentListeners.forEach(({ type, handler, options }) => document.removeEventListener(type, handler, options));
+        this.documentListeners = [];
+        this.channelSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.channelSubscriptions = [];
+        window.removeEventListener('message', this.messageHandler);
+        this.commandHandlers = {};
+        if (this.errorLayer) {
+            this.errorLayer.remove();
+            this.errorLayer = null;
+        }
+        if (this.playbackAnalytics) {
+            this.playbackAnalytics.stop();
+            this.playbackAnalytics = null;
+        }
+        if (this.progressSync) {
+            this.progressSync.stop();
+            this.progressSync = null;
+        }
+        if (this.autoQuality) {
+            this.autoQuality.disable();
+            this.autoQuality = null;
+        }
+        if (this.art) {
+            try {
+                const movieTitleEl = this.art.layers.bottomInfo.querySelector('#movie-title-display');
+                if (movieTitleEl) {
+                    movieTitleEl.textContent = '';
                 }
-                // --- End postLoll Handling ---
-                updateNextEpisodeCard(true); // Show the next episode card with countdown
-                window.nextEpisodeCardShown = true; // Set flag so it doesn't trigger repeatedly
-            });
-        });
-    } catch (error) {
-        const event = new CustomEvent('playerAction', {
-            detail: {
-                action: 'backButton',
-                data: {}
+                const seasonEpInfoEl = this.art.layers.bottomInfo.querySelector('#season-episode-info');
+                if (seasonEpInfoEl) {
+                    seasonEpInfoEl.textContent = '';
+                }
+                if (this.container) {
+                    this.container.innerHTML = '';
+                }
+                // The `true` argument also removes the player's root element from the DOM
+                this.art.destroy(true);
+            } catch (e) {
+                console.error("Error destroying ArtPlayer instance:", e);
             }
-        });
-        console.error('Failed to initialize player:', error);
+            this.art = null;
+        }
+        // Disconnect the ResizeObserver to stop watching for element resizes
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        // Remove the window resize event listener
+        if (this.resizeHandler) {
+            window.removeEventListener('resize', this.resizeHandler);
+            this.resizeHandler = null;
+        }
+        this.currentEpisode = {};
+        this.markers = { start: {}, end: {} };
+    }
+}
+// --- Legacy single-player entry points ---
+// Pages that embed one player keep calling initializeApp/destroyApp; they drive a default instance.
+let defaultPlayer = null;
+/**
+ * @function initializeApp
+ * @description Creates the default RebaPlayer and mounts it into `optionData.container` (or `.artplayer-app`).
+ * @param {Object} optionData - RebaPlayer options.
+ * @returns {Promise<RebaPlayer>} The mounted player.
+ */
+async function initializeApp(optionData) {
+    destroyApp();
+    defaultPlayer = new RebaPlayer(optionData);
+    await defaultPlayer.mount(optionData.container || '.artplayer-app');
+    return defaultPlayer;
+}
+/**
+ * @function rebaPlayerExecute
+ * @description Entry point for the Flutter shell (e.g. via callAsyncJavaScript): runs a command on the default player.
+ * @param {Object} message - `{ command, ...args }`, see PLAYER_COMMANDS.
+ * @returns {Promise<{command: string, ok: boolean, result: *}>}
+ */
+function rebaPlayerExecute(message) {
+    if (!defaultPlayer) return Promise.reject(new Error("No player is mounted"));
+    return defaultPlayer.execute(message);
+}
+/**
+ * @function destroyApp
+ * @description Destroys the default player created by initializeApp, if any.
+ */
+function destroyApp() {
+    if (defaultPlayer) {
+        defaultPlayer.destroy();
+        defaultPlayer = null;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,72 @@
+// Unit tests for CompletionPolicy. Run with `node --test test/`.
+// jScript.js is a browser script, so it is evaluated in a VM context with just enough of the DOM for its top-level code.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadPlayerScript() {
+    const element = () => ({ appendChild() { }, setAttribute() { }, style: {}, textContent: '' });
+    const context = {
+        console, setTimeout, clearTimeout, URL, Blob, TextDecoder, TextEncoder,
+        Artplayer: {},
+        document: { createElement: element, createTextNode: () => ({}), head: element(), body: element(), querySelector: () => null, getElementById: () => null },
+    };
+    context.window = context;
+    vm.createContext(context);
+    const source = fs.readFileSync(path.join(__dirname, '..', 'jScript.js'), 'utf8');
+    vm.runInContext(`${source}\nthis.CompletionPolicy = CompletionPolicy;`, context, { filename: 'jScript.js' });
+    return context;
+}
+
+const { CompletionPolicy } = loadPlayerScript();
+const progress = (inPercentage, inMinutes = 0) => ({ inPercentage, inMinutes });
+const movie = (percentage, seconds, endTime) => ({ type: 'M', continueWatching: progress(percentage, seconds), time: endTime ? { endTime: String(endTime) } : undefined });
+const episode = (percentage, { seconds = 0, endTime, partName } = {}) => ({
+    type: 'S', partName, continueWatching: progress(percentage, seconds), time: endTime ? { endTime: String(endTime) } : undefined,
+});
+
+test('movieThreshold: a movie is finished only past the threshold', () => {
+    const policy = new CompletionPolicy();
+    assert.strictEqual(policy.isFinished(movie(91)), true);
+    assert.strictEqual(policy.isFinished(movie(90)), false);
+    assert.strictEqual(new CompletionPolicy({ movieThreshold: 80 }).isFinished(movie(85)), true);
+});
+
+test('episodeThreshold: applies to episodes that are not the final one', () => {
+    const policy = new CompletionPolicy({ episodeThreshold: 70, finalEpisodeThreshold: 95 });
+    assert.strictEqual(policy.isFinished(episode(75)), true);
+    assert.strictEqual(policy.isFinished(episode(65)), false);
+    assert.strictEqual(policy.isFinished(movie(75)), false); // Movies keep their own threshold
+});
+
+test('finalEpisodeThreshold: used for the final episode, from context or partName', () => {
+    const policy = new CompletionPolicy({ episodeThreshold: 90, finalEpisodeThreshold: 50 });
+    assert.strictEqual(policy.isFinished(episode(60), { final: true }), true);
+    assert.strictEqual(policy.isFinished(episode(60, { partName: ' Final' })), true);
+    assert.strictEqual(policy.isFinished(episode(60, { partName: ' Final' }), { final: false }), false); // Known answer wins
+    assert.strictEqual(policy.isFinished(episode(60)), false);
+});
+
+test('creditsComplete: passing time.endTime finishes an item regardless of percentage', () => {
+    assert.strictEqual(new CompletionPolicy().isFinished(episode(50, { seconds: 101, endTime: 100 })), true);
+    assert.strictEqual(new CompletionPolicy().isFinished(movie(50, 99, 100)), false);
+    assert.strictEqual(new CompletionPolicy({ creditsComplete: false }).isFinished(episode(50, { seconds: 101, endTime: 100 })), false);
+});
+
+test('items without progress data are never finished', () => {
+    const policy = new CompletionPolicy();
+    assert.strictEqual(policy.isFinished({ type: 'S' }), false);
+    assert.strictEqual(policy.isFinished({ type: 'M', continueWatching: { inMinutes: 5000 } }), false);
+    assert.strictEqual(policy.shouldRemove({ type: 'M' }), false);
+});
+
+test('removeFinishedEpisodes: decides whether a finished non-final episode leaves the list', () => {
+    const keep = new CompletionPolicy({ removeFinishedEpisodes: false });
+    assert.strictEqual(keep.shouldRemove(episode(95), { final: false }), false);
+    assert.strictEqual(keep.shouldRemove(episode(95), { final: true }), true);
+    assert.strictEqual(keep.shouldRemove(movie(95)), true);
+    assert.strictEqual(new CompletionPolicy().shouldRemove(episode(95), { final: false }), true);
+    assert.strictEqual(new CompletionPolicy().shouldRemove(episode(50), { final: true }), false);
+});